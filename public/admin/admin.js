@@ -0,0 +1,954 @@
+(() => {
+  const filtersForm = document.getElementById('filters-form');
+  const masterSelect = document.getElementById('master-filter');
+  const topicSelect = document.getElementById('topic-filter');
+  const locationField = document.getElementById('location-field');
+  const locationSelect = document.getElementById('location-filter');
+  const locationColumns = Array.from(document.querySelectorAll('.location-column'));
+  const locationsSection = document.getElementById('locations-section');
+  const locationsBody = document.getElementById('locations-body');
+  const summaryEl = document.getElementById('summary');
+  const statusEl = document.querySelector('.form-status');
+  const tbody = document.getElementById('reviews-body');
+  const mastersBody = document.getElementById('masters-body');
+  const topicsBody = document.getElementById('topics-body');
+  const topicsSummary = document.getElementById('topics-summary');
+  const exportCsv = document.getElementById('export-csv');
+  const exportXlsx = document.getElementById('export-xlsx');
+  const logoutBtn = document.getElementById('logout-btn');
+  const funnelSummary = document.getElementById('funnel-summary');
+  const funnelChart = document.getElementById('funnel-chart');
+  const funnelDaily = document.getElementById('funnel-daily');
+  const funnelLegend = document.getElementById('funnel-legend');
+  const funnelSourcesBody = document.getElementById('funnel-sources-body');
+  const funnelMastersBody = document.getElementById('funnel-masters-body');
+  const casesBody = document.getElementById('cases-body');
+  const casesSummary = document.getElementById('cases-summary');
+  const casesAll = document.getElementById('cases-all');
+  const digestsBody = document.getElementById('digests-body');
+  const quarantineBody = document.getElementById('quarantine-body');
+  const quarantineSummary = document.getElementById('quarantine-summary');
+  const outboxBody = document.getElementById('outbox-body');
+  const outboxSummary = document.getElementById('outbox-summary');
+  const retryAllBtn = document.getElementById('retry-all-btn');
+  const webhooksBody = document.getElementById('webhooks-body');
+  const webhooksSummary = document.getElementById('webhooks-summary');
+  const qrForm = document.getElementById('qr-form');
+  const qrLocationField = document.getElementById('qr-location-field');
+  const qrLocationSelect = document.getElementById('qr-location');
+  const qrMasterSelect = document.getElementById('qr-master');
+  const qrSourcesList = document.getElementById('qr-sources');
+  const qrStatus = document.getElementById('qr-status');
+  const qrPreview = document.getElementById('qr-preview');
+  const qrImage = document.getElementById('qr-image');
+  const qrUrl = document.getElementById('qr-url');
+  const qrSourceLabel = document.getElementById('qr-source-label');
+  const qrLinks = {
+    svg: document.getElementById('qr-svg'),
+    png: document.getElementById('qr-png'),
+    card: document.getElementById('qr-card'),
+  };
+
+  let requestSeq = 0;
+  // Salon id → name; the salon column and filter only show up with several salons
+  let locationNames = new Map();
+
+  const dateFormatter = new Intl.DateTimeFormat('uk-UA', {
+    timeZone: 'Europe/Kyiv',
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+  });
+
+  const setStatus = (message, type) => {
+    statusEl.textContent = message;
+    statusEl.classList.remove('error', 'success');
+    if (type) {
+      statusEl.classList.add(type);
+    }
+  };
+
+  const buildQuery = () => {
+    const params = new URLSearchParams();
+    new FormData(filtersForm).forEach((value, key) => {
+      const text = String(value).trim();
+      if (text) {
+        params.set(key, text);
+      }
+    });
+    return params;
+  };
+
+  const cell = (text, className) => {
+    const td = document.createElement('td');
+    td.textContent = text;
+    if (className) {
+      td.className = className;
+    }
+    return td;
+  };
+
+  const renderMasters = (masters) => {
+    const current = masterSelect.value;
+    while (masterSelect.options.length > 1) {
+      masterSelect.remove(1);
+    }
+    masters.forEach((master) => {
+      masterSelect.add(new Option(master, master, false, master === current));
+    });
+  };
+
+  const renderTopicOptions = (topics) => {
+    if (topicSelect.options.length - 1 === topics.length) {
+      return;
+    }
+    const current = topicSelect.value;
+    while (topicSelect.options.length > 1) {
+      topicSelect.remove(1);
+    }
+    topics.forEach((topic) => {
+      topicSelect.add(new Option(topic.label, topic.id, false, topic.id === current));
+    });
+  };
+
+  const renderLocations = (locations) => {
+    locationNames = new Map(locations.map((location) => [location.id, location.name]));
+    const multi = locations.length > 1;
+    locationField.hidden = !multi;
+    locationColumns.forEach((column) => {
+      column.hidden = !multi;
+    });
+    locationsSection.hidden = !multi;
+    if (locationSelect.options.length - 1 !== locations.length) {
+      const current = locationSelect.value;
+      while (locationSelect.options.length > 1) {
+        locationSelect.remove(1);
+      }
+      locations.forEach((location) => {
+        locationSelect.add(new Option(location.name, location.id, false, location.id === current));
+      });
+    }
+  };
+
+  const commentCell = (review) => {
+    const td = cell(review.reason || '', 'comment');
+    if (review.hashtags) {
+      const tags = document.createElement('div');
+      tags.className = 'review-tags';
+      tags.textContent = review.hashtags;
+      td.append(tags);
+    }
+    return td;
+  };
+
+  const renderReviews = (reviews) => {
+    tbody.replaceChildren(
+      ...reviews.map((review) => {
+        const row = document.createElement('tr');
+        if (review.rating < 5) {
+          row.classList.add('negative');
+        }
+        row.append(cell(dateFormatter.format(new Date(review.createdAt))));
+        if (locationNames.size > 1) {
+          row.append(cell(locationNames.get(review.location) || review.location || '—'));
+        }
+        row.append(
+          cell(review.name || '—'),
+          cell(`${review.rating}/5`, 'rating'),
+          cell(review.master || '—'),
+          commentCell(review),
+          cell(review.googleClickedAt ? review.platformName || 'так' : ''),
+        );
+        return row;
+      }),
+    );
+
+    if (!reviews.length) {
+      const row = document.createElement('tr');
+      const empty = cell('Відгуків за цими фільтрами немає', 'empty');
+      empty.colSpan = locationNames.size > 1 ? 7 : 6;
+      row.append(empty);
+      tbody.append(row);
+    }
+  };
+
+  const renderSummary = ({ count, average, negative }) => {
+    summaryEl.textContent = count
+      ? `Відгуків: ${count} · середня оцінка: ${average} · негативних: ${negative}`
+      : 'Відгуків: 0';
+  };
+
+  const updateExportLinks = (params) => {
+    const csvParams = new URLSearchParams(params);
+    csvParams.set('format', 'csv');
+    exportCsv.href = `/api/admin/reviews/export?${csvParams}`;
+    const xlsxParams = new URLSearchParams(params);
+    xlsxParams.set('format', 'xlsx');
+    exportXlsx.href = `/api/admin/reviews/export?${xlsxParams}`;
+  };
+
+  const renderMasterRatings = (masters) => {
+    mastersBody.replaceChildren(
+      ...masters.map((master) => {
+        const row = document.createElement('tr');
+        row.append(
+          cell(master.name),
+          cell(String(master.count)),
+          cell(master.average === null ? '—' : String(master.average), 'rating'),
+          cell(String(master.negative)),
+        );
+        return row;
+      }),
+    );
+  };
+
+  const formatSentiment = (score) => {
+    if (score === null) {
+      return '—';
+    }
+    const mood = score >= 0.3 ? '🙂' : score <= -0.3 ? '🙁' : '😐';
+    return `${mood} ${score > 0 ? '+' : ''}${score}`;
+  };
+
+  // Mentions per week as tiny bars, oldest week on the left
+  const topicTrend = (weekly, weeks) => {
+    const width = 120;
+    const height = 24;
+    const slot = width / Math.max(weekly.length, 1);
+    const max = Math.max(...weekly, 1);
+    const svg = svgNode('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': 'Згадки по тижнях' });
+    weekly.forEach((count, index) => {
+      const barHeight = count ? Math.max((count / max) * height, 2) : 0;
+      const bar = svgNode('rect', {
+        x: index * slot,
+        y: height - barHeight,
+        width: Math.max(slot - 1, 1),
+        height: barHeight,
+        class: 'chart-bar',
+      });
+      bar.append(svgNode('title', {}, `Тиждень з ${weeks[index]}: ${count}`));
+      svg.append(bar);
+    });
+    const td = document.createElement('td');
+    td.className = 'topic-trend';
+    td.append(svg);
+    return td;
+  };
+
+  const renderTopics = ({ commented, weeks, topics }) => {
+    topicsSummary.textContent = commented
+      ? `Відгуків з коментарем: ${commented} · тижнів: ${weeks.length}`
+      : 'За цей період коментарів немає';
+    topicsBody.replaceChildren(
+      ...topics.map((topic) => {
+        const row = document.createElement('tr');
+        row.append(
+          cell(`${topic.label} #${topic.hashtag}`),
+          cell(String(topic.count)),
+          cell(formatPercent(topic.share), 'rating'),
+          cell(topic.average === null ? '—' : String(topic.average), 'rating'),
+          cell(formatSentiment(topic.sentiment), 'rating'),
+          topicTrend(topic.weekly, weeks),
+        );
+        return row;
+      }),
+    );
+  };
+
+  const renderLocationComparison = (locations) => {
+    locationsBody.replaceChildren(
+      ...locations.map((location) => {
+        const row = document.createElement('tr');
+        row.append(
+          cell(location.name),
+          cell(String(location.count)),
+          cell(location.average === null ? '—' : String(location.average), 'rating'),
+          cell(String(location.negative)),
+          cell(String(location.googleClicks)),
+          cell(location.masterReviews.average === null
+            ? '—'
+            : `${location.masterReviews.average} (${location.masterReviews.count})`, 'rating'),
+        );
+        return row;
+      }),
+    );
+  };
+
+  const FUNNEL_STEPS = {
+    view: 'Відкрили форму',
+    rating: 'Поставили оцінку',
+    submit: 'Надіслали відгук',
+    google_click: 'Перейшли в Google',
+    master_click: 'Перейшли до майстра',
+  };
+  const SOURCE_LABELS = { direct: 'Напряму', invite: 'Персональне посилання' };
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  const svgNode = (tag, attributes = {}, text) => {
+    const node = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => node.setAttribute(name, String(value)));
+    if (text !== undefined) {
+      node.textContent = text;
+    }
+    return node;
+  };
+
+  const formatPercent = (value) => (value === null ? '—' : `${value}%`);
+
+  // Horizontal bars: sessions that reached each step, with the share of the previous step
+  const renderFunnelChart = (steps, total) => {
+    const rowHeight = 34;
+    const max = Math.max(total.view, ...steps.map((step) => total[step]), 1);
+    const svg = svgNode('svg', { viewBox: `0 0 640 ${steps.length * rowHeight}`, role: 'img', 'aria-label': 'Воронка відгуків' });
+    steps.forEach((step, index) => {
+      const y = index * rowHeight;
+      const width = Math.max((total[step] / max) * 360, total[step] ? 2 : 0);
+      const share = index === 0 ? '' : ` · ${formatPercent(total.rates[step])}`;
+      svg.append(
+        svgNode('text', { x: 0, y: y + 21, class: 'chart-label' }, FUNNEL_STEPS[step] || step),
+        svgNode('rect', { x: 170, y: y + 6, width, height: 22, rx: 4, class: 'chart-bar' }),
+        svgNode('text', { x: 176 + width, y: y + 21, class: 'chart-value' }, `${total[step]}${share}`),
+      );
+    });
+    funnelChart.replaceChildren(svg);
+  };
+
+  // Per day: form views, submitted reviews and Google clicks side by side
+  const renderFunnelDaily = (days) => {
+    funnelLegend.hidden = days.length === 0;
+    if (!days.length) {
+      funnelDaily.replaceChildren();
+      return;
+    }
+    const height = 160;
+    const slot = 600 / days.length;
+    const barWidth = Math.max(Math.min(slot / 3 - 2, 18), 1);
+    const max = Math.max(...days.map((day) => day.view), 1);
+    const svg = svgNode('svg', { viewBox: `0 0 640 ${height + 24}`, role: 'img', 'aria-label': 'Воронка по днях' });
+    days.forEach((day, index) => {
+      const x = 20 + index * slot + (slot - barWidth * 3) / 2;
+      [['view', 'chart-bar view'], ['submit', 'chart-bar'], ['google_click', 'chart-bar google']].forEach(([step, className], offset) => {
+        const barHeight = (day[step] / max) * height;
+        const bar = svgNode('rect', {
+          x: x + offset * barWidth,
+          y: height - barHeight,
+          width: barWidth,
+          height: barHeight,
+          class: className,
+        });
+        bar.append(svgNode('title', {}, `${day.day} · ${FUNNEL_STEPS[step]}: ${day[step]}`));
+        svg.append(bar);
+      });
+    });
+    // First and last day under the axis
+    const [first] = days;
+    const last = days[days.length - 1];
+    svg.append(svgNode('text', { x: 20, y: height + 18, class: 'chart-value' }, first.day));
+    if (days.length > 1) {
+      svg.append(svgNode('text', { x: 620, y: height + 18, 'text-anchor': 'end', class: 'chart-value' }, last.day));
+    }
+    funnelDaily.replaceChildren(svg);
+  };
+
+  const funnelRow = (label, counts) => {
+    const row = document.createElement('tr');
+    row.append(
+      cell(label),
+      cell(String(counts.view)),
+      cell(String(counts.rating)),
+      cell(String(counts.submit)),
+      cell(String(counts.fiveStar)),
+      cell(String(counts.google_click)),
+      cell(String(counts.master_click)),
+      cell(formatPercent(counts.rates.completed), 'rating'),
+      cell(formatPercent(counts.rates.google_click), 'rating'),
+    );
+    return row;
+  };
+
+  const renderFunnel = ({ steps, total, days, sources, masters }) => {
+    funnelSummary.textContent = total.view
+      ? `Відкрили форму: ${total.view} · надіслали відгук: ${formatPercent(total.rates.completed)} · з 5★ перейшли в Google: ${formatPercent(total.rates.google_click)}`
+      : 'За цей період переглядів форми немає';
+    renderFunnelChart(steps, total);
+    renderFunnelDaily(days);
+    funnelSourcesBody.replaceChildren(...sources.map((source) => funnelRow(SOURCE_LABELS[source.source] || source.source, source)));
+    funnelMastersBody.replaceChildren(...masters.map((master) => funnelRow(master.master, master)));
+  };
+
+  const pickParams = (params, keys) => {
+    const picked = new URLSearchParams();
+    keys.forEach((key) => {
+      if (params.has(key)) {
+        picked.set(key, params.get(key));
+      }
+    });
+    return picked;
+  };
+
+  const loadMasterRatings = async (params) => {
+    try {
+      const response = await fetch(`/api/admin/masters?${pickParams(params, ['from', 'to', 'location'])}`, {
+        headers: { Accept: 'application/json' },
+      });
+      if (response.ok) {
+        const result = await response.json();
+        renderMasterRatings(result.masters || []);
+      }
+    } catch (error) {
+      // The reviews table reports connectivity errors already
+    }
+  };
+
+  const loadTopics = async (params) => {
+    try {
+      const response = await fetch(`/api/admin/topics?${params}`, { headers: { Accept: 'application/json' } });
+      if (response.ok) {
+        renderTopics(await response.json());
+      }
+    } catch (error) {
+      // The reviews table reports connectivity errors already
+    }
+  };
+
+  const loadFunnel = async (params) => {
+    try {
+      const response = await fetch(`/api/stats?${pickParams(params, ['from', 'to', 'location'])}`, {
+        headers: { Accept: 'application/json' },
+      });
+      if (response.ok) {
+        renderFunnel(await response.json());
+      }
+    } catch (error) {
+      // The reviews table reports connectivity errors already
+    }
+  };
+
+  const loadLocationComparison = async (params) => {
+    if (locationNames.size < 2) {
+      return;
+    }
+    try {
+      const response = await fetch(`/api/admin/locations?${pickParams(params, ['from', 'to'])}`, {
+        headers: { Accept: 'application/json' },
+      });
+      if (response.ok) {
+        const result = await response.json();
+        renderLocationComparison(result.locations || []);
+      }
+    } catch (error) {
+      // The reviews table reports connectivity errors already
+    }
+  };
+
+  const load = async () => {
+    const seq = ++requestSeq;
+    const params = buildQuery();
+    updateExportLinks(params);
+    setStatus('', null);
+    void loadMasterRatings(params);
+    void loadFunnel(params);
+    void loadTopics(params);
+
+    try {
+      const response = await fetch(`/api/admin/reviews?${params}`, { headers: { Accept: 'application/json' } });
+      if (response.status === 401) {
+        window.location.assign('/admin/login');
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Не вдалося завантажити відгуки');
+      }
+      if (seq !== requestSeq) {
+        return;
+      }
+      renderLocations(result.locations || []);
+      renderMasters(result.masters || []);
+      renderTopicOptions(result.topics || []);
+      renderSummary(result.summary);
+      void loadLocationComparison(params);
+      renderReviews(result.reviews || []);
+    } catch (error) {
+      setStatus(error.message || 'Сталася помилка. Спробуйте ще раз', 'error');
+    }
+  };
+
+  const postJson = async (url, method = 'POST', body) => {
+    const response = await fetch(url, body
+      ? { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+      : { method });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || 'Не вдалося виконати дію');
+    }
+    return result;
+  };
+
+  const QUARANTINE_KINDS = {
+    review: 'Відгук',
+    master_review: 'Відгук про майстра',
+    google_click: 'Перехід у Google',
+    master_click: 'Клік «Відгук про майстра»',
+  };
+
+  const actionButton = (label, action) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn ghost';
+    button.textContent = label;
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      try {
+        await action();
+      } catch (error) {
+        setStatus(error.message, 'error');
+      }
+      void loadQuarantine();
+    });
+    return button;
+  };
+
+  const renderQuarantine = ({ items, total }) => {
+    quarantineSummary.textContent = total
+      ? `Затримано підозрілих відправок: ${total}. Опубліковані підуть у сповіщення як нові.`
+      : 'Підозрілих відправок немає';
+    quarantineBody.replaceChildren(
+      ...items.map((item) => {
+        const row = document.createElement('tr');
+        const url = `/api/admin/quarantine/${encodeURIComponent(item.id)}`;
+        const actionsCell = document.createElement('td');
+        const actions = document.createElement('div');
+        actions.className = 'flex-button-row';
+        actionsCell.append(actions);
+        if (item.publishable) {
+          actions.append(actionButton('Опублікувати', async () => {
+            await postJson(`${url}/publish`);
+            void load();
+          }));
+        }
+        actions.append(actionButton('Видалити', () => postJson(url, 'DELETE')));
+        row.append(cell(dateFormatter.format(new Date(item.createdAt))));
+        if (locationNames.size > 1) {
+          row.append(cell(item.location));
+        }
+        row.append(
+          cell(QUARANTINE_KINDS[item.kind] || item.kind),
+          cell(item.name || '—'),
+          cell(item.rating ? `${item.rating}/5` : '—', 'rating'),
+          cell(item.text, 'comment'),
+          cell(item.reasons.join(', ')),
+          actionsCell,
+        );
+        return row;
+      }),
+    );
+  };
+
+  const loadQuarantine = async () => {
+    try {
+      const response = await fetch('/api/admin/quarantine', { headers: { Accept: 'application/json' } });
+      if (response.ok) {
+        renderQuarantine(await response.json());
+      }
+    } catch (error) {
+      // The reviews table reports connectivity errors already
+    }
+  };
+
+  const CASE_STATUSES = { new: 'Новий', contacted: 'Звʼязалися з гостем', resolved: 'Вирішено' };
+
+  const caseRow = (item) => {
+    const row = document.createElement('tr');
+    row.className = 'negative';
+
+    const statusCell = cell('', 'case-field');
+    const statusSelect = document.createElement('select');
+    statusSelect.setAttribute('aria-label', 'Статус');
+    statusSelect.append(
+      ...Object.entries(CASE_STATUSES).map(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+      }),
+    );
+    statusSelect.value = item.status;
+    statusCell.append(statusSelect);
+
+    const assigneeCell = cell('', 'case-field');
+    const assigneeInput = document.createElement('input');
+    assigneeInput.type = 'text';
+    assigneeInput.value = item.assignee;
+    assigneeInput.placeholder = 'Хто займається';
+    assigneeInput.setAttribute('aria-label', 'Відповідальний');
+    assigneeCell.append(assigneeInput);
+
+    const notesCell = cell('', 'case-field');
+    if (item.notes.length) {
+      const list = document.createElement('ul');
+      list.className = 'case-notes';
+      list.append(
+        ...item.notes.map((note) => {
+          const entry = document.createElement('li');
+          entry.textContent = `${dateFormatter.format(new Date(note.at))}, ${note.author}: ${note.text}`;
+          return entry;
+        }),
+      );
+      notesCell.append(list);
+    }
+    const noteInput = document.createElement('input');
+    noteInput.type = 'text';
+    noteInput.placeholder = 'Нова нотатка';
+    noteInput.setAttribute('aria-label', 'Нова нотатка');
+    notesCell.append(noteInput);
+
+    const saveCell = document.createElement('td');
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.className = 'btn ghost';
+    saveBtn.textContent = 'Зберегти';
+    saveBtn.addEventListener('click', async () => {
+      saveBtn.disabled = true;
+      try {
+        await postJson(`/api/admin/cases/${encodeURIComponent(item.id)}`, 'POST', {
+          status: statusSelect.value,
+          assignee: assigneeInput.value,
+          note: noteInput.value,
+        });
+        setStatus('Зміни збережено', 'success');
+      } catch (error) {
+        setStatus(error.message, 'error');
+      }
+      void loadCases();
+    });
+    saveCell.append(saveBtn);
+
+    // The phone or Telegram username the guest left for a callback, if any
+    const guestCell = cell(item.master ? `${item.name || 'Невідомо'} (${item.master})` : item.name || 'Невідомо');
+    if (item.contact) {
+      const contact = document.createElement('div');
+      contact.className = 'case-contact';
+      contact.textContent = item.contact;
+      guestCell.append(contact);
+    }
+
+    row.append(cell(dateFormatter.format(new Date(item.createdAt))));
+    if (locationNames.size > 1) {
+      row.append(cell(item.location));
+    }
+    row.append(
+      guestCell,
+      cell(item.rating ? `${item.rating}/5` : '—', 'rating'),
+      cell(item.comment || '—', 'comment'),
+      statusCell,
+      assigneeCell,
+      notesCell,
+      saveCell,
+    );
+    return row;
+  };
+
+  const renderCases = (items) => {
+    const open = items.filter((item) => item.status !== 'resolved').length;
+    casesSummary.textContent = open
+      ? `Невирішених: ${open}. Зміни видно й у повідомленнях Telegram.`
+      : 'Усі негативні відгуки опрацьовано';
+    casesBody.replaceChildren(...items.map(caseRow));
+  };
+
+  const loadCases = async () => {
+    try {
+      const query = casesAll.checked ? '?all=1' : '';
+      const response = await fetch(`/api/admin/cases${query}`, { headers: { Accept: 'application/json' } });
+      if (response.ok) {
+        renderCases((await response.json()).cases || []);
+      }
+    } catch (error) {
+      // The reviews table reports connectivity errors already
+    }
+  };
+
+  const DIGEST_PERIODS = { day: 'Щоденний', week: 'Тижневий', month: 'Місячний' };
+
+  const renderDigests = (digests) => {
+    digestsBody.replaceChildren(
+      ...digests.map((digest) => {
+        const row = document.createElement('tr');
+        const sendCell = document.createElement('td');
+        const sendBtn = document.createElement('button');
+        sendBtn.type = 'button';
+        sendBtn.className = 'btn ghost';
+        sendBtn.textContent = 'Надіслати зараз';
+        sendBtn.addEventListener('click', async () => {
+          sendBtn.disabled = true;
+          try {
+            await postJson(`/api/admin/digests/${encodeURIComponent(digest.id)}/send`);
+            setStatus('Звіт поставлено в чергу на відправку', 'success');
+          } catch (error) {
+            setStatus(error.message, 'error');
+          } finally {
+            sendBtn.disabled = false;
+            void loadOutbox();
+          }
+        });
+        sendCell.append(sendBtn);
+        row.append(cell(`${DIGEST_PERIODS[digest.period] || digest.period} (${digest.id})`));
+        if (locationNames.size > 1) {
+          row.append(cell(digest.location ? locationNames.get(digest.location) || digest.location : 'Усі'));
+        }
+        row.append(cell(digest.schedule), sendCell);
+        return row;
+      }),
+    );
+
+    if (!digests.length) {
+      const row = document.createElement('tr');
+      const empty = cell('Звіти не налаштовані (config/digests.json)', 'empty');
+      empty.colSpan = locationNames.size > 1 ? 4 : 3;
+      row.append(empty);
+      digestsBody.append(row);
+    }
+  };
+
+  const loadDigests = async () => {
+    try {
+      const response = await fetch('/api/admin/digests', { headers: { Accept: 'application/json' } });
+      if (response.ok) {
+        renderDigests((await response.json()).digests || []);
+      }
+    } catch (error) {
+      // The reviews table reports connectivity errors already
+    }
+  };
+
+  const renderOutbox = ({ dead, pending }) => {
+    outboxSummary.textContent = `У черзі на відправку: ${pending} · недоставлених: ${dead.length}`;
+    retryAllBtn.hidden = dead.length < 2;
+    outboxBody.replaceChildren(
+      ...dead.map((message) => {
+        const row = document.createElement('tr');
+        const retryCell = document.createElement('td');
+        const retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.className = 'btn ghost';
+        retryBtn.textContent = 'Повторити';
+        retryBtn.addEventListener('click', async () => {
+          retryBtn.disabled = true;
+          try {
+            await postJson(`/api/admin/outbox/${encodeURIComponent(message.id)}/retry`);
+          } catch (error) {
+            setStatus(error.message, 'error');
+          }
+          void loadOutbox();
+        });
+        retryCell.append(retryBtn);
+        row.append(
+          cell(dateFormatter.format(new Date(message.createdAt))),
+          cell(message.channel || ''),
+          cell(String(message.attempts)),
+          cell(message.lastError || ''),
+          cell(message.text || '', 'comment'),
+          retryCell,
+        );
+        return row;
+      }),
+    );
+  };
+
+  const loadOutbox = async () => {
+    try {
+      const response = await fetch('/api/admin/outbox', { headers: { Accept: 'application/json' } });
+      if (response.ok) {
+        renderOutbox(await response.json());
+      }
+    } catch (error) {
+      // The reviews table reports connectivity errors already
+    }
+  };
+
+  retryAllBtn.addEventListener('click', async () => {
+    retryAllBtn.disabled = true;
+    try {
+      await postJson('/api/admin/outbox/retry');
+    } catch (error) {
+      setStatus(error.message, 'error');
+    } finally {
+      retryAllBtn.disabled = false;
+      void loadOutbox();
+    }
+  });
+
+  const DELIVERY_STATUS_LABELS = { pending: 'У черзі', sent: 'Доставлено', dead: 'Не доставлено' };
+
+  const deliveryResponse = (delivery) => {
+    if (delivery.status === 'sent') return `HTTP ${delivery.responseStatus} · ${delivery.durationMs} мс`;
+    const next = delivery.nextAttemptAt ? ` · наступна спроба ${dateFormatter.format(new Date(delivery.nextAttemptAt))}` : '';
+    return `${delivery.lastError || ''}${next}`;
+  };
+
+  const renderWebhooks = ({ endpoints, deliveries }) => {
+    webhooksSummary.textContent = endpoints.length
+      ? `Адресати: ${endpoints.map((endpoint) => `${endpoint.id} (${endpoint.events.join(', ')})`).join('; ')}`
+      : 'Вебхуки не налаштовані (config/webhooks.json)';
+    webhooksBody.replaceChildren(
+      ...deliveries.map((delivery) => {
+        const row = document.createElement('tr');
+        const redeliverCell = document.createElement('td');
+        if (delivery.status !== 'pending') {
+          const redeliverBtn = document.createElement('button');
+          redeliverBtn.type = 'button';
+          redeliverBtn.className = 'btn ghost';
+          redeliverBtn.textContent = 'Надіслати ще раз';
+          redeliverBtn.addEventListener('click', async () => {
+            redeliverBtn.disabled = true;
+            try {
+              await postJson(`/api/admin/webhooks/deliveries/${encodeURIComponent(delivery.id)}/redeliver`);
+            } catch (error) {
+              setStatus(error.message, 'error');
+            }
+            void loadWebhooks();
+          });
+          redeliverCell.append(redeliverBtn);
+        }
+        row.append(
+          cell(dateFormatter.format(new Date(delivery.createdAt))),
+          cell(delivery.endpoint),
+          cell(delivery.redeliveryOf ? `${delivery.event} (повтор)` : delivery.event),
+          cell(DELIVERY_STATUS_LABELS[delivery.status] || delivery.status),
+          cell(String(delivery.attempts)),
+          cell(deliveryResponse(delivery), 'comment'),
+          redeliverCell,
+        );
+        return row;
+      }),
+    );
+  };
+
+  const loadWebhooks = async () => {
+    try {
+      const response = await fetch('/api/admin/webhooks', { headers: { Accept: 'application/json' } });
+      if (response.ok) {
+        renderWebhooks(await response.json());
+      }
+    } catch (error) {
+      // The reviews table reports connectivity errors already
+    }
+  };
+
+  // Salons with their active masters, for the QR form
+  let qrLocations = [];
+
+  const renderQrMasters = () => {
+    const current = qrMasterSelect.value;
+    const location = qrLocations.find((item) => item.id === qrLocationSelect.value) || qrLocations[0];
+    while (qrMasterSelect.options.length > 1) {
+      qrMasterSelect.remove(1);
+    }
+    (location ? location.masters : []).forEach((master) => {
+      qrMasterSelect.add(new Option(master.name, master.id));
+    });
+    qrMasterSelect.value = location && location.masters.some((master) => master.id === current) ? current : '';
+  };
+
+  let qrRequestSeq = 0;
+  const updateQr = async () => {
+    const seq = ++qrRequestSeq;
+    const params = new URLSearchParams();
+    new FormData(qrForm).forEach((value, key) => {
+      const text = String(value).trim();
+      if (text) {
+        params.set(key, text);
+      }
+    });
+    const query = params.toString();
+    try {
+      const response = await fetch(`/api/admin/qr?${query}`, { headers: { Accept: 'application/json' } });
+      const result = await response.json().catch(() => ({}));
+      if (seq !== qrRequestSeq) {
+        return;
+      }
+      if (!response.ok) {
+        qrPreview.hidden = true;
+        qrStatus.textContent = result.error || 'Не вдалося створити QR-код';
+        qrStatus.className = 'form-status error';
+        return;
+      }
+      qrStatus.textContent = '';
+      qrStatus.className = 'form-status';
+      qrImage.src = result.image;
+      qrUrl.textContent = result.url;
+      qrSourceLabel.textContent = result.sourceLabel ? `У сповіщенні: 📍 джерело: ${result.sourceLabel}` : '';
+      qrLinks.svg.href = `/api/admin/qr/svg?${query}`;
+      qrLinks.png.href = `/api/admin/qr/png?${query}`;
+      qrLinks.card.href = `/admin/qr-card?${query}`;
+      qrPreview.hidden = false;
+    } catch (error) {
+      // The reviews table reports connectivity errors already
+    }
+  };
+
+  const loadQrOptions = async () => {
+    try {
+      const response = await fetch('/api/admin/qr/options', { headers: { Accept: 'application/json' } });
+      if (!response.ok) {
+        return;
+      }
+      const { sources = [], locations = [] } = await response.json();
+      qrLocations = locations;
+      qrSourcesList.replaceChildren(...sources.map((source) => new Option(source.label, source.id)));
+      qrLocationSelect.replaceChildren(...locations.map((location) => new Option(location.name, location.id)));
+      qrLocationField.hidden = locations.length < 2;
+      renderQrMasters();
+      void updateQr();
+    } catch (error) {
+      // The reviews table reports connectivity errors already
+    }
+  };
+
+  let qrTimer = null;
+  qrForm.addEventListener('input', (event) => {
+    if (event.target === qrLocationSelect) {
+      renderQrMasters();
+    }
+    clearTimeout(qrTimer);
+    qrTimer = setTimeout(updateQr, event.target.name === 'source' ? 300 : 0);
+  });
+  qrForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    void updateQr();
+  });
+
+  let searchTimer = null;
+  filtersForm.addEventListener('input', (event) => {
+    clearTimeout(searchTimer);
+    // Debounce free-text search; selects and dates reload immediately
+    const delay = event.target.name === 'q' ? 300 : 0;
+    searchTimer = setTimeout(load, delay);
+  });
+  filtersForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    void load();
+  });
+
+  logoutBtn.addEventListener('click', async () => {
+    try {
+      await fetch('/api/admin/logout', { method: 'POST' });
+    } finally {
+      window.location.assign('/admin/login');
+    }
+  });
+
+  casesAll.addEventListener('change', () => {
+    void loadCases();
+  });
+
+  // The case, quarantine and digest tables need to know whether there are several salons
+  void load().then(() => Promise.all([loadCases(), loadQuarantine(), loadDigests()]));
+  void loadOutbox();
+  void loadWebhooks();
+  void loadQrOptions();
+})();
@@ -0,0 +1,47 @@
+(() => {
+  const form = document.getElementById('login-form');
+  const passwordInput = document.getElementById('admin-password');
+  const statusEl = form.querySelector('.form-status');
+  const submitBtn = form.querySelector('.submit-btn');
+
+  const setStatus = (message, type) => {
+    statusEl.textContent = message;
+    statusEl.classList.remove('error', 'success');
+    if (type) {
+      statusEl.classList.add(type);
+    }
+  };
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    setStatus('', null);
+
+    if (!passwordInput.value) {
+      setStatus('Введіть пароль', 'error');
+      passwordInput.focus();
+      return;
+    }
+
+    submitBtn.disabled = true;
+
+    try {
+      const response = await fetch('/api/admin/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: passwordInput.value }),
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Не вдалося увійти');
+      }
+
+      window.location.assign('/admin');
+    } catch (error) {
+      setStatus(error.message || 'Сталася помилка. Спробуйте ще раз', 'error');
+      passwordInput.select();
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+})();
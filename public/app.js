@@ -4,19 +4,83 @@
   const ratingInput = document.getElementById('rating-value');
   const nameInput = document.getElementById('guest-name');
   const feedbackInput = document.getElementById('feedback');
+  const contactGroup = document.getElementById('contact-group');
+  const contactConsent = document.getElementById('contact-consent');
+  const contactFields = document.getElementById('contact-fields');
+  const phoneInput = document.getElementById('guest-phone');
+  const telegramInput = document.getElementById('guest-telegram');
   const statusEl = document.querySelector('.form-status');
   const submitBtn = form.querySelector('.submit-btn');
   const rewardBanner = document.getElementById('reward-banner');
   const rewardLink = document.getElementById('reward-link');
+  const rewardTitle = document.getElementById('reward-title');
+  const rewardCopy = document.getElementById('reward-copy');
   const tipsBanner = document.getElementById('tips-banner');
   const tipsLink = document.getElementById('tips-link');
+  const voucherInfo = document.getElementById('voucher-info');
+  const voucherCode = document.getElementById('voucher-code');
+  const voucherAmount = document.getElementById('voucher-amount');
+  const voucherExpiry = document.getElementById('voucher-expiry');
+  const rewardQr = document.getElementById('reward-qr');
+  const rewardQrCopy = document.getElementById('reward-qr-copy');
 
   let selectedRating = null;
   let googleClickSent = false;
   let formLocked = false;
 
+  // Translations rendered into the page by the server (see locales/*.json, "client.*")
+  const messages = (() => {
+    try {
+      return JSON.parse(document.getElementById('i18n')?.textContent || '{}');
+    } catch (error) {
+      return {};
+    }
+  })();
+  const t = (key, params = {}) =>
+    (messages[key] || key).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  const pageLang = document.documentElement.lang || 'uk';
+
+  // Salon path prefix ("/kyiv-center") when the portal serves several locations
+  const apiBase = document.body.dataset.base || '';
+  // Front-desk tablet (/kiosk, see src/kiosk.js): nothing about the guest is kept on
+  // the device, and the form starts over for the next guest
+  const kiosk = document.body.dataset.kiosk === '1';
   const STORAGE_KEY = 'hataMasazhuReview';
   const REVIEW_TTL_MS = 72 * 60 * 60 * 1000;
+  // Personal per-visit link from reception: /?t=...
+  const inviteToken = new URLSearchParams(window.location.search).get('t') || null;
+  // Printed QR code for one master: /?src=room-2&master=alina
+  const qrMasterId = new URLSearchParams(window.location.search).get('master') || null;
+
+  // Server-issued form nonce (antispam time-to-submit check); good for one submission
+  let formNonce = null;
+  const fetchNonce = () =>
+    fetch(`${apiBase}/api/form-nonce`, { cache: 'no-store' })
+      .then((response) => response.json())
+      .catch(() => null);
+  const refreshNonce = () =>
+    fetchNonce().then((result) => {
+      formNonce = result?.nonce || null;
+    });
+
+  // A page opened offline has no nonce. One fetched at submit time has to age like any
+  // other first; still offline, the service worker adds one when it sends the review.
+  const ensureNonce = async () => {
+    if (formNonce) return;
+    const result = await fetchNonce();
+    if (!result?.nonce) return;
+    await new Promise((resolve) => setTimeout(resolve, result.minAgeMs || 0));
+    formNonce = result.nonce;
+  };
+
+  const randomId = () =>
+    crypto.randomUUID
+      ? crypto.randomUUID()
+      : Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+  // Idempotency-Key of the review being sent: kept while a send fails without an
+  // answer, so a retry can't post the review twice (see src/idempotency.js)
+  let submissionKey = null;
 
   const safeParse = (raw) => {
     try {
@@ -26,7 +90,57 @@
     }
   };
 
+  // Cookieless funnel analytics: a random id per tab, kept in sessionStorage so the
+  // masters page continues the same session. Source: ?src= / ?utm_source= on the link.
+  // On the kiosk every guest is a session of their own, kept in memory only.
+  const FUNNEL_KEY = 'hataMasazhuFunnel';
+  const startFunnelSession = () => {
+    if (kiosk) {
+      return { sid: randomId(), source: 'kiosk' };
+    }
+    try {
+      const saved = safeParse(sessionStorage.getItem(FUNNEL_KEY));
+      if (saved?.sid) {
+        return saved;
+      }
+    } catch (error) {
+      // sessionStorage недоступний, сесія житиме до закриття сторінки
+    }
+    const params = new URLSearchParams(window.location.search);
+    const session = {
+      sid: randomId(),
+      source: params.get('src') || params.get('utm_source') || (inviteToken ? 'invite' : 'direct'),
+    };
+    try {
+      sessionStorage.setItem(FUNNEL_KEY, JSON.stringify(session));
+    } catch (error) {
+      // ignore quota errors
+    }
+    return session;
+  };
+  let funnelSession = startFunnelSession();
+
+  const track = (step, details = {}) => {
+    const payload = JSON.stringify({ sid: funnelSession.sid, source: funnelSession.source, step, ...details });
+    try {
+      if (navigator.sendBeacon && navigator.sendBeacon(`${apiBase}/api/collect`, new Blob([payload], { type: 'application/json' }))) {
+        return;
+      }
+    } catch (error) {
+      // fallback to fetch path
+    }
+    fetch(`${apiBase}/api/collect`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: payload,
+      keepalive: true,
+    }).catch(() => {});
+  };
+
   const getStoredReview = () => {
+    if (kiosk) {
+      return null;
+    }
     try {
       const raw = localStorage.getItem(STORAGE_KEY);
       if (!raw) {
@@ -52,6 +166,11 @@
         return null;
       }
 
+      // A link for another visit unlocks the form again
+      if (inviteToken && parsed.token !== inviteToken) {
+        return null;
+      }
+
       return parsed;
     } catch (error) {
       return null;
@@ -59,6 +178,9 @@
   };
 
   const storeReview = (review) => {
+    if (kiosk) {
+      return;
+    }
     try {
       localStorage.setItem(STORAGE_KEY, JSON.stringify(review));
     } catch (error) {
@@ -70,7 +192,7 @@
     formLocked = true;
     form.setAttribute('aria-disabled', 'true');
     submitBtn.disabled = true;
-    submitBtn.textContent = 'Відгук надіслано';
+    submitBtn.textContent = t('submitted');
 
     stars.forEach((star) => {
       star.disabled = true;
@@ -79,6 +201,7 @@
 
     nameInput.setAttribute('disabled', 'disabled');
     feedbackInput.setAttribute('disabled', 'disabled');
+    [contactConsent, phoneInput, telegramInput].forEach((input) => input.setAttribute('disabled', 'disabled'));
   };
 
   const hydrateFromStorage = () => {
@@ -88,7 +211,7 @@
       return;
     }
 
-    if (review.rating === 5 && !review.redirectUrl) {
+    if (review.rating === 5 && !review.redirectUrl && !review.queued) {
       localStorage.removeItem(STORAGE_KEY);
       return;
     }
@@ -104,13 +227,14 @@
     googleClickSent = Boolean(review.googleClicked);
 
     if (review.redirectUrl) {
-      showReward(review.redirectUrl, true);
+      showReward(review, true);
     }
 
     if (review.googleClicked) {
+      showVoucher(review.voucher);
       showTips(true);
     }
-    setStatus('Ви вже залишили відгук. Дякуємо!', 'success');
+    setStatus(t(review.queued ? 'savedOffline' : 'alreadyReviewed'), 'success');
     disableForm();
   };
 
@@ -121,10 +245,20 @@
     });
   };
 
+  // Below 5 stars the comment is required and the guest may ask to be contacted
   const toggleFeedback = (rating) => {
-    feedbackInput.required = rating !== null && rating < 5;
+    const unhappy = rating !== null && rating < 5;
+    feedbackInput.required = unhappy;
+    contactGroup.hidden = !unhappy;
   };
 
+  contactConsent.addEventListener('change', () => {
+    contactFields.hidden = !contactConsent.checked;
+    if (contactConsent.checked) {
+      phoneInput.focus();
+    }
+  });
+
   const hideReward = () => {
     if (rewardBanner) {
       rewardBanner.hidden = true;
@@ -137,17 +271,36 @@
     hideTips();
   };
 
-  const showReward = (url, preserve = false) => {
-    if (!rewardBanner || !rewardLink || !url) {
+  // The platform the guest was sent to (see config/redirect-policy.json); reviews
+  // stored before there was a choice went to Google
+  const platformName = (review) => review?.platform?.name || 'Google';
+
+  // Banner wording comes with the answer: the platform and the A/B variant decide it
+  const applyRewardTexts = (review) => {
+    const texts = review.reward || {};
+    const fallback = (text) => text.replace(/\{platform\}/g, platformName(review));
+    [[rewardTitle, 'title'], [rewardCopy, 'copy'], [rewardLink, 'link'], [rewardQrCopy, 'qrCopy']].forEach(([element, key]) => {
+      if (element) {
+        element.textContent = texts[key] || fallback(element.textContent.trim());
+      }
+    });
+    if (rewardQr) {
+      rewardQr.alt = texts.qrAlt || fallback(rewardQr.alt);
+    }
+  };
+
+  const showReward = (review, preserve = false) => {
+    if (!rewardBanner || !rewardLink || !review?.redirectUrl) {
       return;
     }
 
-    rewardLink.href = url;
+    applyRewardTexts(review);
+    rewardLink.href = review.redirectUrl;
     rewardBanner.hidden = false;
 
     if (!preserve) {
-      setRating(5, { preserveReward: true });
-      // Smoothly bring the Google review button into view and focus it
+      setRating(Number(review.rating) || 5, { preserveReward: true });
+      // Smoothly bring the review button into view and focus it
       try {
         // Defer a tick to ensure layout is updated
         setTimeout(() => {
@@ -188,6 +341,20 @@
   };
 
 
+  const showVoucher = (voucher) => {
+    if (!voucherInfo || !voucher || !voucher.code) {
+      return;
+    }
+
+    voucherCode.textContent = voucher.code;
+    voucherAmount.textContent = String(voucher.amount || 200);
+    const expiresAt = new Date(voucher.expiresAt);
+    voucherExpiry.textContent = Number.isNaN(expiresAt.getTime())
+      ? ''
+      : expiresAt.toLocaleDateString(pageLang, { timeZone: 'Europe/Kyiv' });
+    voucherInfo.hidden = false;
+  };
+
   const sendGoogleClickEvent = () => {
     if (googleClickSent) {
       return;
@@ -196,36 +363,51 @@
     const storedReview = getStoredReview();
     const nameValue = (storedReview?.name || nameInput.value || '').trim();
     const ratingValue = storedReview?.rating ?? selectedRating;
-    const payload = JSON.stringify({ name: nameValue, rating: ratingValue });
+    const payload = JSON.stringify({ name: nameValue, rating: ratingValue, reviewId: storedReview?.reviewId });
     const blob = new Blob([payload], { type: 'application/json' });
+    const clickKey = randomId();
 
-    const markClicked = () => {
+    // `queued`: offline, the service worker sends the click later and the voucher follows
+    const markClicked = (voucher, queued = false) => {
       googleClickSent = true;
       if (storedReview) {
         storedReview.googleClicked = true;
+        if (voucher) {
+          storedReview.voucher = voucher;
+        }
+        if (queued) {
+          storedReview.googleClickKey = clickKey;
+        }
         storeReview(storedReview);
       }
+      showVoucher(voucher);
       showTips(false);
     };
 
-    try {
-      if (navigator.sendBeacon) {
-        navigator.sendBeacon('/api/review/google-click', blob);
-        markClicked();
-        return;
-      }
-    } catch (error) {
-      // sendBeacon недоступний або не спрацював, продовжуємо
-    }
+    // Block double clicks while the request is in flight
+    googleClickSent = true;
 
-    fetch('/api/review/google-click', {
+    // fetch rather than sendBeacon: the response carries the issued voucher. Offline
+    // the request has to reach the service worker, which keepalive requests may skip.
+    fetch(`${apiBase}/api/review/google-click`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': clickKey },
       body: payload,
-      keepalive: true,
+      keepalive: navigator.onLine !== false,
     })
-      .then(() => markClicked())
+      .then(async (response) => {
+        const result = await response.json().catch(() => ({}));
+        markClicked(result.voucher || null, response.status === 202 && result.queued === true);
+      })
       .catch(() => {
+        try {
+          if (navigator.sendBeacon && navigator.sendBeacon(`${apiBase}/api/review/google-click`, blob)) {
+            markClicked(null);
+            return;
+          }
+        } catch (error) {
+          // sendBeacon недоступний, дозволяємо повторну спробу
+        }
         googleClickSent = storedReview?.googleClicked || false;
       });
   };
@@ -253,6 +435,7 @@
       const value = Number(star.dataset.value);
       setRating(value);
       setStatus('', null);
+      track('rating');
     });
 
     star.addEventListener('keydown', (event) => {
@@ -260,12 +443,14 @@
         event.preventDefault();
         const value = Number(star.dataset.value);
         setRating(value);
+        track('rating');
       }
     });
   });
 
   if (rewardLink) {
     rewardLink.addEventListener('click', () => {
+      track('google_click');
       void sendGoogleClickEvent();
     });
   }
@@ -277,20 +462,20 @@
     setStatus('', null);
 
     if (getStoredReview()) {
-      setStatus('Ви вже залишили відгук. Дякуємо!', 'success');
+      setStatus(t('alreadyReviewed'), 'success');
       disableForm();
       return;
     }
 
     if (!selectedRating) {
-      setStatus('Будь ласка, оберіть кількість зірок перед відправкою', 'error');
+      setStatus(t('chooseRating'), 'error');
       return;
     }
 
     const nameValue = nameInput.value.trim();
 
     if (!nameValue) {
-      setStatus('Будь ласка, вкажіть своє імʼя', 'error');
+      setStatus(t('enterName'), 'error');
       nameInput.focus();
       return;
     }
@@ -301,30 +486,86 @@
       name: nameValue,
       rating: selectedRating,
       reason: reasonValue,
+      token: inviteToken || undefined,
+      nonce: formNonce,
+      website: form.querySelector('[name="website"]')?.value || '',
+      masterId: (kiosk ? kioskMasterId : qrMasterId) || undefined,
+      source: funnelSession.source,
+      sid: funnelSession.sid,
     };
 
     if (payload.reason.length === 0 && selectedRating < 5) {
-      setStatus('Будь ласка, поділіться коротким коментарем, щоб ми могли Вам допомогти', 'error');
+      setStatus(t('enterFeedback'), 'error');
       feedbackInput.focus();
       return;
     }
 
+    // Contacts only go out with the consent box ticked, and never into localStorage
+    if (selectedRating < 5 && contactConsent.checked) {
+      payload.contactConsent = true;
+      payload.phone = phoneInput.value.trim();
+      payload.telegram = telegramInput.value.trim();
+      if (!payload.phone && !payload.telegram) {
+        setStatus(t('enterContact'), 'error');
+        phoneInput.focus();
+        return;
+      }
+    }
+
     submitBtn.disabled = true;
-    submitBtn.textContent = 'Надсилаємо...';
+    submitBtn.textContent = t('sending');
+    submissionKey = submissionKey || randomId();
+    if (!payload.nonce) {
+      await ensureNonce();
+      payload.nonce = formNonce;
+    }
 
     try {
-      const response = await fetch('/api/review', {
+      const response = await fetch(`${apiBase}/api/review`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Idempotency-Key': submissionKey,
         },
         body: JSON.stringify(payload),
       });
+      const sentKey = submissionKey;
+      // The server (or the service worker) answered: a new attempt is a new submission
+      submissionKey = null;
 
       const result = await response.json();
 
+      // No connection: the service worker keeps the review and sends it later
+      if (response.status === 202 && result.queued) {
+        storeReview({
+          name: payload.name,
+          rating: payload.rating,
+          reason: payload.reason,
+          submittedAt: new Date().toISOString(),
+          reviewId: null,
+          token: inviteToken,
+          redirectUrl: null,
+          googleClicked: false,
+          queued: true,
+          queueKey: sentKey,
+        });
+        disableForm();
+        setStatus(t('savedOffline'), 'success');
+        if (kiosk) {
+          startKioskCountdown(KIOSK_RESET_S);
+        }
+        return;
+      }
+
+      // The server already has a review for this visit
+      if (response.status === 409) {
+        setStatus(result.error || t('alreadyReviewed'), 'success');
+        disableForm();
+        return;
+      }
+
       if (!response.ok) {
-        throw new Error(result.error || 'Не вдалось відправити відгук. Будь ласка, напишіть адміністратору');
+        throw new Error(result.error || t('sendFailed'));
       }
 
       const storedReview = {
@@ -332,36 +573,267 @@
         rating: payload.rating,
         reason: payload.reason,
         submittedAt: new Date().toISOString(),
+        reviewId: result.reviewId || null,
+        token: inviteToken,
         redirectUrl: result.redirectUrl || null,
+        platform: result.platform || null,
+        reward: result.reward || null,
         googleClicked: false,
       };
 
       storeReview(storedReview);
+      track('submit', { rating: payload.rating, reviewId: storedReview.reviewId || undefined });
       googleClickSent = Boolean(storedReview.googleClicked);
+      disableForm();
+
+      if (kiosk) {
+        applyRewardTexts(storedReview);
+        showKioskQr(result.redirectQr);
+        setStatus(t(result.redirectQr ? 'kioskThanksGoogle' : 'thanksManager', { platform: platformName(storedReview) }), 'success');
+        startKioskCountdown(result.redirectQr ? KIOSK_QR_RESET_S : KIOSK_RESET_S);
+        return;
+      }
       if (storedReview.redirectUrl) {
-        showReward(storedReview.redirectUrl);
+        showReward(storedReview);
       }
-      disableForm();
 
       if (result.redirectUrl) {
-        setStatus('Дякуємо! Натисніть кнопку, щоб залишити відгук у Google', 'success');
+        setStatus(t('thanksGoogle', { platform: platformName(storedReview) }), 'success');
       } else {
-        setStatus('Дякуємо за Ваш відгук! Ми передали його керівництву для вирішення', 'success');
+        setStatus(t('thanksManager'), 'success');
       }
     } catch (error) {
-      setStatus(error.message || 'Сталася помилка. Спробуйте ще раз', 'error');
+      setStatus(error.message || t('genericError'), 'error');
     } finally {
+      refreshNonce();
       if (!formLocked) {
         submitBtn.disabled = false;
-        submitBtn.textContent = 'Надіслати відгук';
+        submitBtn.textContent = t('submit');
       } else {
         submitBtn.disabled = true;
-        submitBtn.textContent = 'Відгук надіслано';
+        submitBtn.textContent = t('submitted');
       }
     }
   });
 
+  // Answers to submissions the service worker sent after an outage (see public/sw.js)
+  const applyQueueResults = (results) => {
+    const storedReview = getStoredReview();
+    if (!storedReview) {
+      return;
+    }
+    results.forEach(({ key, status, body = {} }) => {
+      if (storedReview.queued && key === storedReview.queueKey) {
+        if (status === 409 || status < 300) {
+          storedReview.queued = false;
+          storedReview.reviewId = body.reviewId || null;
+          storedReview.redirectUrl = body.redirectUrl || null;
+          storedReview.platform = body.platform || null;
+          storedReview.reward = body.reward || null;
+          storeReview(storedReview);
+        }
+        if (status === 409) {
+          setStatus(body.error || t('alreadyReviewed'), 'success');
+        } else if (status < 300) {
+          track('submit', { rating: storedReview.rating, reviewId: storedReview.reviewId || undefined });
+          if (storedReview.redirectUrl) {
+            showReward(storedReview);
+          }
+          setStatus(t(storedReview.redirectUrl ? 'thanksGoogle' : 'thanksManager', { platform: platformName(storedReview) }), 'success');
+        } else {
+          localStorage.removeItem(STORAGE_KEY);
+          setStatus(body.error || t('sendFailed'), 'error');
+        }
+      }
+      if (key === storedReview.googleClickKey && body.voucher) {
+        storedReview.googleClickKey = null;
+        storedReview.voucher = body.voucher;
+        storeReview(storedReview);
+        showVoucher(body.voucher);
+      }
+    });
+  };
+
+  navigator.serviceWorker?.addEventListener('message', (event) => {
+    if (event.data?.type === 'queue-results' && Array.isArray(event.data.results)) {
+      applyQueueResults(event.data.results);
+    }
+  });
+
+  // Kiosk: a countdown after the thank-you, then a clean form for the next guest.
+  // A form left half-filled is cleared after a few idle minutes too.
+  const KIOSK_RESET_S = 20;
+  const KIOSK_QR_RESET_S = 60;
+  const KIOSK_IDLE_MS = 3 * 60 * 1000;
+  const kioskReset = document.getElementById('kiosk-reset');
+  const kioskCountdown = document.getElementById('kiosk-countdown');
+  const kioskMasterNote = document.getElementById('kiosk-master');
+  const staffToggle = document.getElementById('kiosk-staff-toggle');
+  const staffPanel = document.getElementById('kiosk-staff-panel');
+  const staffPin = document.getElementById('kiosk-pin');
+  const staffTools = document.getElementById('kiosk-staff-tools');
+  const staffStatus = document.getElementById('kiosk-staff-status');
+  const masterSelect = document.getElementById('kiosk-master-select');
+  let kioskMasterId = null;
+  let countdownTimer = null;
+  let idleTimer = null;
+
+  const showKioskQr = (qr) => {
+    if (!qr) {
+      return;
+    }
+    rewardLink.hidden = true;
+    rewardQr.src = qr;
+    rewardQr.hidden = false;
+    rewardQrCopy.hidden = false;
+    rewardBanner.hidden = false;
+  };
+
+  const setKioskMaster = (id, name) => {
+    kioskMasterId = id || null;
+    kioskMasterNote.textContent = id ? t('kioskMaster', { name }) : '';
+    kioskMasterNote.hidden = !id;
+  };
+
+  const closeStaffPanel = () => {
+    staffPanel.hidden = true;
+    staffTools.hidden = true;
+    staffPin.value = '';
+    staffStatus.textContent = '';
+    staffToggle.setAttribute('aria-expanded', 'false');
+  };
+
+  const resetKiosk = () => {
+    clearInterval(countdownTimer);
+    clearTimeout(idleTimer);
+    countdownTimer = null;
+    form.reset();
+    formLocked = false;
+    form.removeAttribute('aria-disabled');
+    [nameInput, feedbackInput, contactConsent, phoneInput, telegramInput].forEach((input) => input.removeAttribute('disabled'));
+    stars.forEach((star) => {
+      star.disabled = false;
+      star.removeAttribute('tabindex');
+    });
+    contactFields.hidden = true;
+    setRating(null);
+    rewardQr.hidden = true;
+    rewardQr.removeAttribute('src');
+    rewardQrCopy.hidden = true;
+    rewardLink.hidden = false;
+    kioskReset.hidden = true;
+    submitBtn.disabled = false;
+    submitBtn.textContent = t('submit');
+    setStatus('', null);
+    googleClickSent = false;
+    submissionKey = null;
+    setKioskMaster(null);
+    closeStaffPanel();
+    funnelSession = startFunnelSession();
+    track('view');
+    refreshNonce();
+    window.scrollTo(0, 0);
+  };
+
+  const startKioskCountdown = (seconds) => {
+    clearTimeout(idleTimer);
+    let left = seconds;
+    const tick = () => {
+      if (left <= 0) {
+        resetKiosk();
+        return;
+      }
+      kioskCountdown.textContent = t('kioskCountdown', { seconds: left });
+      left -= 1;
+    };
+    kioskReset.hidden = false;
+    tick();
+    countdownTimer = setInterval(tick, 1000);
+  };
+
+  const armIdleReset = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      if (!formLocked) {
+        resetKiosk();
+      }
+    }, KIOSK_IDLE_MS);
+  };
+
+  const postStaff = async (url) => {
+    const response = await fetch(`${apiBase}${url}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pin: staffPin.value.trim() }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || t('genericError'));
+    }
+    return result;
+  };
+
+  if (kiosk) {
+    // No browser autofill either: it would offer one guest's name to the next
+    form.setAttribute('autocomplete', 'off');
+    [nameInput, phoneInput, telegramInput].forEach((input) => input.setAttribute('autocomplete', 'off'));
+    form.addEventListener('input', armIdleReset);
+    form.addEventListener('click', armIdleReset);
+    document.getElementById('kiosk-next').addEventListener('click', resetKiosk);
+
+    staffToggle.addEventListener('click', () => {
+      if (!staffPanel.hidden) {
+        closeStaffPanel();
+        return;
+      }
+      staffPanel.hidden = false;
+      staffToggle.setAttribute('aria-expanded', 'true');
+      staffPin.focus();
+    });
+
+    // PIN → the salon's masters; the choice goes with the next review
+    staffPanel.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      staffStatus.textContent = '';
+      try {
+        const { masters = [] } = await postStaff('/api/kiosk/staff');
+        while (masterSelect.options.length > 1) {
+          masterSelect.remove(1);
+        }
+        masters.forEach((master) => {
+          masterSelect.add(new Option(master.name, master.id, false, master.id === kioskMasterId));
+        });
+        staffTools.hidden = false;
+      } catch (error) {
+        staffStatus.textContent = error.message;
+      }
+    });
+
+    document.getElementById('kiosk-staff-done').addEventListener('click', () => {
+      const option = masterSelect.selectedOptions[0];
+      setKioskMaster(masterSelect.value, option ? option.textContent : '');
+      closeStaffPanel();
+    });
+
+    document.getElementById('kiosk-exit').addEventListener('click', async () => {
+      try {
+        const { url } = await postStaff('/api/kiosk/exit');
+        window.location.assign(url || '/');
+      } catch (error) {
+        staffStatus.textContent = error.message;
+      }
+    });
+  }
+
   hydrateFromStorage();
+  track('view');
+  if (!formLocked) {
+    refreshNonce();
+  }
+  // Opened offline from the cache: get the nonce as soon as the connection is back
+  window.addEventListener('online', () => {
+    if (!formLocked && !formNonce) refreshNonce();
+  });
 
   // OS autofill remains via autocomplete attributes on the input
 })();
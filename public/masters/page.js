@@ -10,12 +10,47 @@
     true,
   );
 
-  const links = Array.from(document.querySelectorAll('.btn.primary[data-master]'));
-  if (!links.length) {
+  const cards = Array.from(document.querySelectorAll('.person[data-master-id]'));
+  if (!cards.length) {
     return;
   }
 
+  // Printed QR code for one master (?master=alina): their card is highlighted and scrolled to
+  const qrMasterId = new URLSearchParams(window.location.search).get('master');
+  const qrCard = qrMasterId && cards.find((card) => card.dataset.masterId === qrMasterId);
+  if (qrCard) {
+    qrCard.classList.add('highlighted');
+    qrCard.scrollIntoView({ block: 'start' });
+  }
+
+  // Translations rendered into the page by the server (see locales/*.json, "client.*")
+  const messages = (() => {
+    try {
+      return JSON.parse(document.getElementById('i18n')?.textContent || '{}');
+    } catch (
+      /** @type {unknown} */ _error
+    ) {
+      return {};
+    }
+  })();
+  const t = (key, params = {}) =>
+    (messages[key] || key).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+
+  // Salon path prefix ("/kyiv-center") when the portal serves several locations
+  const apiBase = document.body.dataset.base || '';
   const STORAGE_KEY = 'hataMasazhuReview';
+  const MASTER_REVIEWS_KEY = 'hataMasazhuMasterReviews';
+
+  // Server-issued form nonce (antispam time-to-submit check); good for one submission
+  let formNonce = null;
+  const refreshNonce = () =>
+    fetch(`${apiBase}/api/form-nonce`, { cache: 'no-store' })
+      .then((response) => response.json())
+      .then((result) => {
+        formNonce = result.nonce || null;
+      })
+      .catch(() => {});
+  refreshNonce();
   const safeParse = (raw) => {
     try {
       return JSON.parse(raw);
@@ -26,9 +61,9 @@
     }
   };
 
-  const getStored = () => {
+  const getStored = (key = STORAGE_KEY) => {
     try {
-      return safeParse(localStorage.getItem(STORAGE_KEY));
+      return safeParse(localStorage.getItem(key));
     } catch (
       /** @type {unknown} */ _error
     ) {
@@ -36,9 +71,9 @@
     }
   };
 
-  const store = (payload) => {
+  const store = (payload, key = STORAGE_KEY) => {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+      localStorage.setItem(key, JSON.stringify(payload));
     } catch (
       /** @type {unknown} */ _error
     ) {
@@ -46,6 +81,58 @@
     }
   };
 
+  const randomId = () =>
+    crypto.randomUUID
+      ? crypto.randomUUID()
+      : Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+  // Cookieless funnel analytics; continues the review page's session (same tab)
+  const FUNNEL_KEY = 'hataMasazhuFunnel';
+  const funnelSession = (() => {
+    try {
+      const saved = safeParse(sessionStorage.getItem(FUNNEL_KEY));
+      if (saved?.sid) {
+        return saved;
+      }
+    } catch (
+      /** @type {unknown} */ _error
+    ) {
+      // sessionStorage unavailable: the session lasts as long as the page
+    }
+    const params = new URLSearchParams(window.location.search);
+    const session = {
+      sid: randomId(),
+      source: params.get('src') || params.get('utm_source') || 'direct',
+    };
+    try {
+      sessionStorage.setItem(FUNNEL_KEY, JSON.stringify(session));
+    } catch (
+      /** @type {unknown} */ _error
+    ) {
+      // ignore quota errors
+    }
+    return session;
+  })();
+
+  const track = (step, details = {}) => {
+    const payload = JSON.stringify({ sid: funnelSession.sid, source: funnelSession.source, step, ...details });
+    try {
+      if (navigator.sendBeacon && navigator.sendBeacon(`${apiBase}/api/collect`, new Blob([payload], { type: 'application/json' }))) {
+        return;
+      }
+    } catch (
+      /** @type {unknown} */ _error
+    ) {
+      // fallback to fetch path
+    }
+    fetch(`${apiBase}/api/collect`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: payload,
+      keepalive: true,
+    }).catch(() => {});
+  };
+
   let masterClickSent = Boolean(getStored()?.masterClicked);
 
   const ping = (master) => {
@@ -61,7 +148,10 @@
 
     const name = (stored?.name || '').trim();
     const rating = stored?.rating ?? undefined;
-    const payload = JSON.stringify({ master, name, rating });
+    const reviewId = stored?.reviewId || undefined;
+    // A review still queued offline: the service worker fills in its id before sending
+    const reviewKey = !reviewId && stored?.queued ? stored.queueKey : undefined;
+    const payload = JSON.stringify({ master, name, rating, reviewId, reviewKey });
 
     const markClicked = () => {
       masterClickSent = true;
@@ -71,10 +161,12 @@
       }
     };
 
+    // Offline a beacon is lost, while a fetch is queued by the service worker
+    const offline = navigator.onLine === false;
     try {
-      if (navigator.sendBeacon) {
+      if (navigator.sendBeacon && !offline && !reviewKey) {
         const blob = new Blob([payload], { type: 'application/json' });
-        navigator.sendBeacon('/api/review/master-click', blob);
+        navigator.sendBeacon(`${apiBase}/api/review/master-click`, blob);
         markClicked();
         return;
       }
@@ -84,21 +176,190 @@
       // fallback to fetch path
     }
 
-    fetch('/api/review/master-click', {
+    fetch(`${apiBase}/api/review/master-click`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': randomId() },
       body: payload,
-      keepalive: true,
+      keepalive: !offline,
     })
       .then(() => markClicked())
       .catch(() => {});
   };
 
-  links.forEach((anchor) => {
-    anchor.addEventListener(
-      'click',
-      () => ping(anchor.getAttribute('data-master')),
-      { once: true },
-    );
+  const el = (tag, className, text) => {
+    const node = document.createElement(tag);
+    if (className) {
+      node.className = className;
+    }
+    if (text) {
+      node.textContent = text;
+    }
+    return node;
+  };
+
+  const STAR_LABELS = ['star1', 'star2', 'star3', 'star4', 'star5'].map((key) => t(key));
+
+  const buildReviewForm = (masterName) => {
+    const form = el('form', 'master-review');
+    form.noValidate = true;
+    form.hidden = true;
+
+    const stars = el('div', 'stars');
+    stars.setAttribute('role', 'group');
+    stars.setAttribute('aria-label', t('masterRateLabel', { name: masterName }));
+    STAR_LABELS.forEach((label, index) => {
+      const star = el('button', 'star', '★');
+      star.type = 'button';
+      star.dataset.value = String(index + 1);
+      star.setAttribute('aria-label', label);
+      stars.append(star);
+    });
+
+    const comment = el('textarea');
+    comment.name = 'comment';
+    comment.rows = 3;
+    comment.maxLength = 500;
+    comment.placeholder = t('masterCommentPlaceholder');
+    comment.setAttribute('aria-label', t('masterCommentLabel'));
+
+    const status = el('div', 'form-status');
+    status.setAttribute('role', 'alert');
+    status.setAttribute('aria-live', 'polite');
+
+    const submit = el('button', 'btn primary', t('masterSubmit'));
+    submit.type = 'submit';
+
+    // Honeypot: people never see it, form-filling bots do
+    const trap = el('div', 'hp-field');
+    trap.setAttribute('aria-hidden', 'true');
+    const website = el('input');
+    website.type = 'text';
+    website.name = 'website';
+    website.tabIndex = -1;
+    website.autocomplete = 'off';
+    trap.append(website);
+
+    form.append(stars, comment, trap, status, submit);
+    return form;
+  };
+
+  cards.forEach((card) => {
+    const masterId = card.dataset.masterId;
+    const bookingLink = card.querySelector('a[data-master]');
+    const actions = card.querySelector('.person-actions');
+    const masterName = bookingLink?.getAttribute('data-master') || card.querySelector('.person-name')?.textContent || '';
+    if (!actions) {
+      return;
+    }
+
+    // The alteg.io link stays as a no-JS fallback and is offered again after rating
+    if (bookingLink) {
+      bookingLink.hidden = true;
+      bookingLink.classList.remove('primary');
+      bookingLink.classList.add('ghost');
+      bookingLink.textContent = t('masterBookingLink');
+      bookingLink.addEventListener('click', () => {
+        track('master_click', { master: masterName });
+        ping(masterName);
+      }, { once: true });
+    }
+
+    const toggle = el('button', 'btn primary', t('masterLeaveReview'));
+    toggle.type = 'button';
+    actions.prepend(toggle);
+
+    const form = buildReviewForm(masterName);
+    const thanks = el('p', 'master-review-thanks', t('masterThanks'));
+    thanks.hidden = true;
+    actions.after(form);
+    form.after(thanks);
+
+    const stars = Array.from(form.querySelectorAll('.star'));
+    const comment = form.querySelector('textarea');
+    const website = form.querySelector('[name="website"]');
+    const status = form.querySelector('.form-status');
+    const submit = form.querySelector('[type="submit"]');
+    let rating = null;
+
+    const setStatus = (message, type) => {
+      status.textContent = message;
+      status.classList.remove('error', 'success');
+      if (type) {
+        status.classList.add(type);
+      }
+    };
+
+    const showDone = () => {
+      form.hidden = true;
+      toggle.hidden = true;
+      thanks.hidden = false;
+      if (bookingLink) {
+        bookingLink.hidden = false;
+      }
+    };
+
+    if (getStored(MASTER_REVIEWS_KEY)?.[masterId]) {
+      showDone();
+      return;
+    }
+
+    toggle.addEventListener('click', () => {
+      track('master_click', { master: masterName });
+      form.hidden = !form.hidden;
+      if (!form.hidden) {
+        stars[0].focus();
+      }
+    });
+
+    stars.forEach((star) => {
+      star.addEventListener('click', () => {
+        rating = Number(star.dataset.value);
+        stars.forEach((item) => item.classList.toggle('selected', Number(item.dataset.value) <= rating));
+        setStatus('', null);
+      });
+    });
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      setStatus('', null);
+
+      if (!rating) {
+        setStatus(t('masterChooseStars'), 'error');
+        return;
+      }
+
+      const stored = getStored();
+      submit.disabled = true;
+
+      try {
+        const response = await fetch(`${apiBase}/api/masters/${encodeURIComponent(masterId)}/review`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            rating,
+            comment: comment.value.trim(),
+            name: (stored?.name || '').trim(),
+            reviewId: stored?.reviewId || undefined,
+            nonce: formNonce,
+            website: website.value,
+            sid: funnelSession.sid,
+          }),
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(result.error || t('masterSendFailed'));
+        }
+
+        const reviewed = getStored(MASTER_REVIEWS_KEY) || {};
+        reviewed[masterId] = new Date().toISOString();
+        store(reviewed, MASTER_REVIEWS_KEY);
+        showDone();
+      } catch (error) {
+        setStatus(error.message || t('genericError'), 'error');
+      } finally {
+        submit.disabled = false;
+        refreshNonce();
+      }
+    });
   });
 })();
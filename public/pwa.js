@@ -0,0 +1,50 @@
+// Registers the service worker (public/sw.js) on the guest pages and asks it to
+// send queued submissions on load and whenever the connection comes back.
+(() => {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+
+  // The shared front-desk tablet keeps nothing about guests: no worker and no
+  // offline queue, including any left from before the tablet became a kiosk
+  if (document.body.dataset.kiosk === '1') {
+    navigator.serviceWorker.getRegistrations()
+      .then((registrations) => Promise.all(registrations.map((registration) => registration.unregister())))
+      .catch(() => {});
+    if (window.indexedDB) {
+      window.indexedDB.deleteDatabase('hata-offline');
+    }
+    return;
+  }
+
+  // Salon path prefix ("/kyiv-center") when the portal serves several locations
+  const apiBase = document.body.dataset.base || '';
+  const SCRIPT_URL = '/sw.js';
+
+  // The CSP requires Trusted Types for script URLs, the worker's included
+  const scriptUrl = window.trustedTypes
+    ? window.trustedTypes
+      .createPolicy('service-worker', {
+        createScriptURL: (url) => {
+          if (url !== SCRIPT_URL) {
+            throw new TypeError(`Unexpected service worker URL: ${url}`);
+          }
+          return url;
+        },
+      })
+      .createScriptURL(SCRIPT_URL)
+    : SCRIPT_URL;
+
+  const post = (message) =>
+    navigator.serviceWorker.ready
+      .then((registration) => registration.active?.postMessage(message))
+      .catch(() => {});
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(scriptUrl, { scope: '/' }).catch(() => {});
+    post({ type: 'cache-pages', urls: [`${apiBase}/`, `${apiBase}/masters`] });
+    post({ type: 'replay' });
+  });
+
+  window.addEventListener('online', () => post({ type: 'replay' }));
+})();
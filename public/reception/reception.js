@@ -0,0 +1,160 @@
+(() => {
+  const form = document.getElementById('voucher-form');
+  const pinInput = document.getElementById('reception-pin');
+  const codeInput = document.getElementById('voucher-input');
+  const checkBtn = document.getElementById('check-btn');
+  const submitBtn = form.querySelector('.submit-btn');
+  const statusEl = form.querySelector('.form-status');
+  // Reception of another salon lives under its prefix: /kyiv-center/reception
+  const apiBase = window.location.pathname.replace(/\/reception\/?$/, '');
+
+  const setStatus = (message, type) => {
+    statusEl.textContent = message;
+    statusEl.classList.remove('error', 'success');
+    if (type) {
+      statusEl.classList.add(type);
+    }
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleDateString('uk-UA', { timeZone: 'Europe/Kyiv' }) : '');
+
+  const describe = (result) => {
+    const voucher = result.voucher;
+    switch (result.status) {
+      case 'valid':
+        return [`Код дійсний: знижка ${voucher.amount} грн до ${formatDate(voucher.expiresAt)}`, 'success'];
+      case 'redeemed_now':
+        return [`Готово! Знижку ${voucher.amount} грн погашено`, 'success'];
+      case 'redeemed':
+        return [`Код уже використано ${formatDate(voucher.redeemedAt)}`, 'error'];
+      case 'expired':
+        return [`Термін дії коду минув ${formatDate(voucher.expiresAt)}`, 'error'];
+      default:
+        return [result.error || 'Сталася помилка. Спробуйте ще раз', 'error'];
+    }
+  };
+
+  const send = async (action) => {
+    setStatus('', null);
+
+    if (!pinInput.value) {
+      setStatus('Введіть PIN', 'error');
+      pinInput.focus();
+      return;
+    }
+    if (!codeInput.value.trim()) {
+      setStatus('Введіть код гостя', 'error');
+      codeInput.focus();
+      return;
+    }
+
+    checkBtn.disabled = true;
+    submitBtn.disabled = true;
+
+    try {
+      const response = await fetch(`${apiBase}/api/vouchers/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pin: pinInput.value, code: codeInput.value }),
+      });
+      const result = await response.json().catch(() => ({}));
+      const [message, type] = describe(result);
+      setStatus(message, type);
+      if (result.status === 'redeemed_now') {
+        codeInput.value = '';
+      }
+    } catch (error) {
+      setStatus('Немає звʼязку з сервером. Спробуйте ще раз', 'error');
+    } finally {
+      checkBtn.disabled = false;
+      submitBtn.disabled = false;
+    }
+  };
+
+  checkBtn.addEventListener('click', () => {
+    void send('check');
+  });
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    void send('redeem');
+  });
+
+  // Per-visit review links
+  const inviteForm = document.getElementById('invite-form');
+  const inviteMaster = document.getElementById('invite-master');
+  const inviteVisit = document.getElementById('invite-visit');
+  const inviteResult = document.getElementById('invite-result');
+  const inviteUrl = document.getElementById('invite-url');
+  const inviteCopy = document.getElementById('invite-copy');
+  const inviteSubmit = inviteForm.querySelector('.submit-btn');
+  const inviteStatus = inviteForm.querySelector('.form-status');
+
+  const setInviteStatus = (message, type) => {
+    inviteStatus.textContent = message;
+    inviteStatus.classList.remove('error', 'success');
+    if (type) {
+      inviteStatus.classList.add(type);
+    }
+  };
+
+  fetch(`${apiBase}/api/masters`, { headers: { Accept: 'application/json' } })
+    .then((response) => (response.ok ? response.json() : { masters: [] }))
+    .then(({ masters }) => {
+      masters.forEach((master) => {
+        const option = document.createElement('option');
+        option.value = master.id;
+        option.textContent = master.name;
+        inviteMaster.append(option);
+      });
+    })
+    .catch(() => {});
+
+  inviteForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    setInviteStatus('', null);
+    inviteResult.hidden = true;
+
+    if (!pinInput.value) {
+      setInviteStatus('Введіть PIN у формі вище', 'error');
+      pinInput.focus();
+      return;
+    }
+
+    inviteSubmit.disabled = true;
+    try {
+      const response = await fetch(`${apiBase}/api/invitations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          pin: pinInput.value,
+          masterId: inviteMaster.value || undefined,
+          visitId: inviteVisit.value.trim() || undefined,
+        }),
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setInviteStatus(result.error || 'Сталася помилка. Спробуйте ще раз', 'error');
+        return;
+      }
+      inviteUrl.value = result.url;
+      inviteResult.hidden = false;
+      setInviteStatus(`Посилання дійсне до ${formatDate(result.expiresAt)}`, 'success');
+      inviteUrl.select();
+    } catch (error) {
+      setInviteStatus('Немає звʼязку з сервером. Спробуйте ще раз', 'error');
+    } finally {
+      inviteSubmit.disabled = false;
+    }
+  });
+
+  inviteCopy.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl.value);
+      setInviteStatus('Посилання скопійовано', 'success');
+    } catch (error) {
+      inviteUrl.select();
+      setInviteStatus('Скопіюйте посилання вручну', null);
+    }
+  });
+})();
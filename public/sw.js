@@ -0,0 +1,325 @@
+// Offline support for the guest pages.
+//
+// - The review form, the masters page, their scripts and styles and the master
+//   photos are cached, so the pages open without a connection. Pages, scripts and
+//   styles come from the network first and fall back to the cache; images (their
+//   URLs change with every new version) come from the cache first.
+// - Reviews, Google clicks and master clicks the page sends with an
+//   `Idempotency-Key` header are queued in IndexedDB when the network is down (never
+//   from the front-desk kiosk, which keeps no guest data), and
+//   the page gets 202 { queued: true } to show "saved, will send". The queue is
+//   replayed in order on Background Sync, or when a page reports it is back online,
+//   each review with a fresh form nonce; anything older than a day is dropped.
+//   The server answers a repeated key with its first answer, so a replay never
+//   creates a second review.
+// - Answers to replayed requests are kept for a few days and handed to the pages
+//   as { type: 'queue-results', results: [{ key, kind, status, body }] }.
+
+const CACHE_NAME = 'hata-v1';
+const PRECACHE_URLS = [
+  '/',
+  '/masters',
+  '/styles.css',
+  '/app.js',
+  '/pwa.js',
+  '/masters/page.js',
+  '/site.webmanifest',
+  '/logo-96.png',
+  '/logo-128.png',
+  '/logo-192.png',
+  '/favicon-16.png',
+  '/favicon-32.png',
+  '/apple-touch-icon.png',
+];
+const DB_NAME = 'hata-offline';
+const SYNC_TAG = 'submissions';
+// Queued submissions are dropped after a day, the lifetime of a form nonce (src/antispam.js)
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+// Answers are kept as long as the review page remembers a submitted review
+const RESULT_MAX_AGE_MS = 72 * 60 * 60 * 1000;
+// Submissions that are queued offline; an optional salon prefix comes first
+const QUEUED_PATH_REGEX = /\/api\/review(\/google-click|\/master-click)?$/;
+// Staff pages, the kiosk and the API are never served from the cache
+const UNCACHED_PATH_REGEX = /(^|\/)(api|admin|reception|kiosk|healthz)(\/|$)/;
+
+const openDb = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('queue', { keyPath: 'key' });
+      request.result.createObjectStore('results', { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Runs `action(objectStore)` in one transaction; resolves with its request's result
+const withStore = async (name, mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(name, mode);
+    const request = action(transaction.objectStore(name));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+const getAll = (name) => withStore(name, 'readonly', (objectStore) => objectStore.getAll());
+const getOne = (name, key) => withStore(name, 'readonly', (objectStore) => objectStore.get(key));
+const putOne = (name, value) => withStore(name, 'readwrite', (objectStore) => objectStore.put(value));
+const deleteOne = (name, key) => withStore(name, 'readwrite', (objectStore) => objectStore.delete(key));
+
+const kindOf = (pathname) => {
+  if (pathname.endsWith('/google-click')) return 'google_click';
+  if (pathname.endsWith('/master-click')) return 'master_click';
+  return 'review';
+};
+
+const parseBody = (text) => {
+  try {
+    return JSON.parse(text) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const jsonResponse = (body, status) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+// Master photos in every size the masters page may ask for; best effort
+const precachePhotos = async (cache) => {
+  try {
+    const response = await fetch('/api/masters');
+    const { masters = [] } = await response.json();
+    const urls = masters.flatMap((master) => [
+      master.photo.src,
+      ...[master.photo.srcsetWebp, master.photo.srcsetJpeg].flatMap((srcset) =>
+        srcset.split(',').map((candidate) => candidate.trim().split(/\s+/)[0])),
+    ]);
+    await Promise.all([...new Set(urls)].map((url) => cache.add(url).catch(() => {})));
+  } catch (error) {
+    // The photos get cached as the masters page shows them
+  }
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(PRECACHE_URLS);
+    await precachePhotos(cache);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+const fromCache = async (request) =>
+  (await caches.match(request)) || (await caches.match(request, { ignoreSearch: true }));
+
+const networkFirst = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok && response.type === 'basic') {
+      const cache = await caches.open(CACHE_NAME);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await fromCache(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok && response.type === 'basic') {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// The front-desk kiosk page (src/kiosk.js): a shared tablet where guest data is never stored
+const isKioskClient = async (clientId) => {
+  const client = clientId ? await self.clients.get(clientId) : null;
+  return Boolean(client && /\/kiosk$/.test(new URL(client.url).pathname));
+};
+
+// Sends the submission, or queues it when the network is down. A click that
+// refers to a review still in the queue waits behind it. The kiosk is never queued
+// (public/pwa.js unregisters the worker there; this covers the page it still controls).
+const sendOrQueue = async (request, clientId) => {
+  if (await isKioskClient(clientId)) return fetch(request);
+  const key = request.headers.get('Idempotency-Key');
+  const text = await request.clone().text();
+  const { reviewKey } = parseBody(text);
+  const waitsForReview = Boolean(reviewKey && (await getOne('queue', reviewKey)));
+  if (!waitsForReview) {
+    try {
+      if (!reviewKey) return await fetch(request);
+      return await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: await withReviewId({ reviewKey, body: text }),
+        credentials: 'same-origin',
+      });
+    } catch (error) {
+      // Offline: queue below
+    }
+  }
+
+  await putOne('queue', {
+    key,
+    kind: kindOf(new URL(request.url).pathname),
+    url: request.url,
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body: text,
+    reviewKey: reviewKey || null,
+    queuedAt: Date.now(),
+  });
+  try {
+    await self.registration.sync.register(SYNC_TAG);
+  } catch (error) {
+    // No Background Sync (Safari, Firefox): the pages trigger the replay when back online
+  }
+  return jsonResponse({ queued: true }, 202);
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.method === 'POST') {
+    if (QUEUED_PATH_REGEX.test(url.pathname) && request.headers.has('Idempotency-Key')) {
+      event.respondWith(sendOrQueue(request, event.clientId));
+    }
+    return;
+  }
+  if (request.method !== 'GET' || UNCACHED_PATH_REGEX.test(url.pathname)) return;
+
+  event.respondWith(request.destination === 'image' ? cacheFirst(request) : networkFirst(request));
+});
+
+// The review id a queued click needs, once its review has gone through
+const withReviewId = async (entry) => {
+  if (!entry.reviewKey) return entry.body;
+  const body = parseBody(entry.body);
+  const review = await getOne('results', entry.reviewKey);
+  if (body.reviewId || !review || !review.body || !review.body.reviewId) return entry.body;
+  return JSON.stringify({ ...body, reviewId: review.body.reviewId });
+};
+
+// A queued review gets a fresh form nonce: the page may have been opened offline
+// without one, or the one it had may have expired while the review waited. The
+// nonce is held for the server's time-to-submit minimum before it is used.
+const withFreshNonce = async (entry, body) => {
+  if (entry.kind !== 'review') return body;
+  const url = new URL(entry.url);
+  url.pathname = url.pathname.replace(/\/api\/review$/, '/api/form-nonce');
+  const response = await fetch(url, { cache: 'no-store', credentials: 'same-origin' });
+  const { nonce, minAgeMs } = await response.json();
+  await new Promise((resolve) => setTimeout(resolve, minAgeMs || 0));
+  return JSON.stringify({ ...parseBody(body), nonce });
+};
+
+// Sends the queue oldest first and stops at the first network or server error,
+// so the order holds. Resolves with the number of submissions still queued.
+const sendQueue = async () => {
+  const entries = (await getAll('queue')).sort((a, b) => a.queuedAt - b.queuedAt);
+  let sent = 0;
+  for (const entry of entries) {
+    if (Date.now() - entry.queuedAt > MAX_AGE_MS) {
+      await deleteOne('queue', entry.key);
+      sent += 1;
+      continue;
+    }
+    let response;
+    try {
+      response = await fetch(entry.url, {
+        method: 'POST',
+        headers: entry.headers,
+        body: await withFreshNonce(entry, await withReviewId(entry)),
+        credentials: 'same-origin',
+      });
+    } catch (error) {
+      break;
+    }
+    // Rate limit or server trouble: try again later
+    if (response.status === 429 || response.status >= 500) break;
+    const body = await response.json().catch(() => ({}));
+    await putOne('results', { key: entry.key, kind: entry.kind, status: response.status, body, settledAt: Date.now() });
+    await deleteOne('queue', entry.key);
+    sent += 1;
+  }
+
+  const results = await getAll('results');
+  await Promise.all(results
+    .filter((result) => Date.now() - result.settledAt > RESULT_MAX_AGE_MS)
+    .map((result) => deleteOne('results', result.key)));
+  return entries.length - sent;
+};
+
+// One replay at a time, whoever asks for it
+let replaying = null;
+const replay = () => {
+  if (!replaying) {
+    replaying = sendQueue().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+};
+
+const results = async () => (await getAll('results')).map(({ key, kind, status, body }) => ({ key, kind, status, body }));
+
+const broadcastResults = async () => {
+  const message = { type: 'queue-results', results: await results() };
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach((client) => client.postMessage(message));
+};
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil((async () => {
+    const left = await replay();
+    await broadcastResults();
+    // A rejected sync is retried by the browser later
+    if (left) throw new Error(`${left} submissions still queued`);
+  })());
+});
+
+// From public/pwa.js: { type: 'replay' } on load and when back online,
+// { type: 'cache-pages', urls } so the salon's own pages work offline too
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type === 'replay') {
+    event.waitUntil((async () => {
+      await replay().catch(() => {});
+      if (event.source) event.source.postMessage({ type: 'queue-results', results: await results() });
+    })());
+  }
+  if (data.type === 'cache-pages' && Array.isArray(data.urls)) {
+    event.waitUntil((async () => {
+      const cache = await caches.open(CACHE_NAME);
+      await Promise.all(data.urls.map(async (url) => {
+        if (!(await cache.match(url))) await cache.add(url).catch(() => {});
+      }));
+    })());
+  }
+});
@@ -0,0 +1,48 @@
+// Builds the responsive photo set for one master from a single source image:
+//   public/masters/<name>-{320,432,864,1296}.{webp,jpg} plus <name>.{webp,jpg}
+//
+// Usage: npm run build:photos -- <source-image> <photo-name>
+// <photo-name> is the "photo" value in config/masters.json. Bump that master's
+// "photoVersion" afterwards so browsers drop the cached images.
+
+const path = require('path');
+const sharp = require('sharp');
+const { PHOTO_WIDTHS } = require('../src/masters');
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'public', 'masters');
+const ORIGINAL_MAX_WIDTH = 2048;
+const JPEG_OPTIONS = { quality: 82, mozjpeg: true };
+const WEBP_OPTIONS = { quality: 80 };
+
+const writeVariant = async (source, width, baseName) => {
+  const resized = sharp(source).rotate().resize({ width, withoutEnlargement: true });
+  await Promise.all([
+    resized.clone().jpeg(JPEG_OPTIONS).toFile(path.join(OUTPUT_DIR, `${baseName}.jpg`)),
+    resized.clone().webp(WEBP_OPTIONS).toFile(path.join(OUTPUT_DIR, `${baseName}.webp`)),
+  ]);
+};
+
+const main = async () => {
+  const [source, photoName] = process.argv.slice(2);
+  if (!source || !photoName || !/^[a-z0-9-]{1,60}$/.test(photoName)) {
+    console.error('Usage: npm run build:photos -- <source-image> <photo-name (a-z, 0-9, -)>');
+    process.exit(1);
+  }
+
+  const { width } = await sharp(source).metadata();
+  if (width < PHOTO_WIDTHS[PHOTO_WIDTHS.length - 1]) {
+    console.warn(`Source is only ${width}px wide; larger variants will not be upscaled.`);
+  }
+
+  for (const variantWidth of PHOTO_WIDTHS) {
+    await writeVariant(source, variantWidth, `${photoName}-${variantWidth}`);
+    console.log(`✓ ${photoName}-${variantWidth}.{jpg,webp}`);
+  }
+  await writeVariant(source, ORIGINAL_MAX_WIDTH, photoName);
+  console.log(`✓ ${photoName}.{jpg,webp}`);
+};
+
+main().catch((error) => {
+  console.error('Failed to build photos:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+// Offline stand-in for an SMTP relay.
+//
+// Start it, then run the portal with
+//   SMTP_HOST=localhost SMTP_PORT=2525 SMTP_FROM=portal@localhost NOTIFY_EMAIL_TO=owner@localhost
+// Every accepted mail is printed here. Any login is accepted.
+// To rehearse a rejected recipient, send to an address starting with "reject" —
+// the server answers 550 and the portal parks the message as undeliverable.
+
+const { SMTPServer } = require('smtp-server');
+
+const port = Number(process.env.FAKE_SMTP_PORT || 2525);
+
+const server = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ['STARTTLS'],
+  logger: false,
+  onAuth: (auth, session, callback) => callback(null, { user: auth.username }),
+  onRcptTo: (address, session, callback) => {
+    if (/^reject/i.test(address.address)) {
+      const error = new Error('Mailbox unavailable');
+      error.responseCode = 550;
+      return callback(error);
+    }
+    return callback();
+  },
+  onData: (stream, session, callback) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => {
+      const to = session.envelope.rcptTo.map((rcpt) => rcpt.address).join(', ');
+      console.log(`\n── mail ${session.envelope.mailFrom.address} → ${to} ──\n${Buffer.concat(chunks).toString('utf8')}`);
+      callback();
+    });
+  },
+});
+
+server.on('error', (error) => console.error('Fake SMTP error', error.message));
+
+server.listen(port, () => {
+  console.log(`Fake SMTP server on localhost:${port}`);
+});
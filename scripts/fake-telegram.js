@@ -0,0 +1,142 @@
+// Offline stand-in for the Telegram Bot API.
+//
+// Start it, then run the portal with
+//   TELEGRAM_API_URL=http://localhost:8081 TELEGRAM_BOT_TOKEN=test TELEGRAM_CHAT_ID=1
+//   TELEGRAM_WEBHOOK_SECRET=dev
+// Outgoing bot messages are printed here and kept in memory (GET /messages).
+// To play the manager, POST /chat {"text": "/stats 7d"} — the text is wrapped into
+// a Telegram update and delivered to the portal webhook; add "replyTo": <message id>
+// to answer one of the bot's messages. To press an inline button, POST /press
+// {"messageId": 3, "data": "case:…:resolved"} or {"messageId": 3, "button": 0} (the
+// buttons counted left to right, top to bottom).
+// To rehearse outages, POST /fail {"status": 429, "count": 3, "retryAfter": 5} —
+// the next `count` bot API calls fail with that status. Add
+// "description": "Bad Request: can't parse entities" to rehearse broken template markup.
+
+const express = require('express');
+const axios = require('axios');
+
+const port = Number(process.env.FAKE_TELEGRAM_PORT || 8081);
+const chatId = Number(process.env.TELEGRAM_CHAT_ID || 1);
+const webhookUrl = process.env.FAKE_TELEGRAM_WEBHOOK_URL
+  || `http://localhost:${process.env.PORT || 3000}/telegram/webhook/${process.env.TELEGRAM_WEBHOOK_SECRET || 'dev'}`;
+
+const app = express();
+app.use(express.json());
+
+const messages = [];
+let nextMessageId = 1;
+let nextUpdateId = 1;
+let failure = null;
+
+// Injected failures apply to every bot method
+app.post('/bot:token/:method', (req, res, next) => {
+  if (!failure || failure.count <= 0) return next();
+  failure.count -= 1;
+  const { status, retryAfter, description } = failure;
+  console.log(`\n── bot ${req.params.method} → injected HTTP ${status} (${failure.count} left) ──`);
+  if (status === 429) {
+    return res.status(429).json({
+      ok: false,
+      error_code: 429,
+      description: `Too Many Requests: retry after ${retryAfter}`,
+      parameters: { retry_after: retryAfter },
+    });
+  }
+  return res.status(status).json({ ok: false, error_code: status, description: description || 'Injected failure' });
+});
+
+app.post('/bot:token/sendMessage', (req, res) => {
+  const { chat_id: targetChat, text } = req.body || {};
+  if (!targetChat || typeof text !== 'string' || !text) {
+    return res.status(400).json({ ok: false, error_code: 400, description: 'Bad Request: message text is empty' });
+  }
+  const message = { message_id: nextMessageId++, chat: { id: targetChat }, date: Math.floor(Date.now() / 1000), text };
+  messages.push({ ...message, request: req.body });
+  const mode = req.body.parse_mode ? ` [${req.body.parse_mode}]` : '';
+  console.log(`\n── bot → chat ${targetChat} (#${message.message_id})${mode} ──\n${text}`);
+  return res.json({ ok: true, result: message });
+});
+
+app.post('/bot:token/editMessageText', (req, res) => {
+  const { chat_id: targetChat, message_id: messageId, text } = req.body || {};
+  const message = messages.find((item) => String(item.chat.id) === String(targetChat) && item.message_id === messageId);
+  if (!message) {
+    return res.status(400).json({ ok: false, error_code: 400, description: 'Bad Request: message to edit not found' });
+  }
+  if (message.text === text && JSON.stringify(message.request.reply_markup) === JSON.stringify(req.body.reply_markup)) {
+    return res.status(400).json({ ok: false, error_code: 400, description: 'Bad Request: message is not modified' });
+  }
+  message.text = text;
+  message.request = { ...message.request, ...req.body };
+  console.log(`\n── bot edited #${messageId} in chat ${targetChat} ──\n${text}`);
+  return res.json({ ok: true, result: { ...message, request: undefined } });
+});
+
+app.post('/bot:token/:method', (req, res) => {
+  console.log(`\n── bot called ${req.params.method} ──\n${JSON.stringify(req.body, null, 2)}`);
+  return res.json({ ok: true, result: true });
+});
+
+app.post('/fail', (req, res) => {
+  const { status = 500, count = 1, retryAfter = 3, description } = req.body || {};
+  failure = { status: Number(status), count: Number(count), retryAfter: Number(retryAfter), description };
+  res.json({ ok: true, failure });
+});
+
+app.get('/messages', (req, res) => {
+  res.json(messages);
+});
+
+app.delete('/messages', (req, res) => {
+  messages.length = 0;
+  res.json({ ok: true });
+});
+
+const deliverUpdate = async (update, res) => {
+  try {
+    const response = await axios.post(webhookUrl, update, { timeout: 5000 });
+    return res.json({ ok: true, status: response.status, update });
+  } catch (error) {
+    return res.status(502).json({ ok: false, error: error.message });
+  }
+};
+
+app.post('/chat', (req, res) => {
+  const { text, chatId: fromChat = chatId, replyTo } = req.body || {};
+  const original = replyTo ? messages.find((message) => message.message_id === Number(replyTo)) : null;
+  return deliverUpdate({
+    update_id: nextUpdateId++,
+    message: {
+      message_id: nextMessageId++,
+      from: { id: fromChat, is_bot: false, first_name: 'Manager' },
+      chat: { id: fromChat, type: 'private' },
+      date: Math.floor(Date.now() / 1000),
+      text: String(text || ''),
+      ...(original ? { reply_to_message: { message_id: original.message_id, chat: original.chat, text: original.text } } : {}),
+    },
+  }, res);
+});
+
+app.post('/press', (req, res) => {
+  const { messageId, data, button = 0 } = req.body || {};
+  const message = messages.find((item) => item.message_id === Number(messageId));
+  const buttons = message && message.request.reply_markup ? message.request.reply_markup.inline_keyboard.flat() : [];
+  const pressed = data || (buttons[button] && buttons[button].callback_data);
+  if (!message || !pressed) {
+    return res.status(404).json({ ok: false, error: 'No such message or button' });
+  }
+  return deliverUpdate({
+    update_id: nextUpdateId++,
+    callback_query: {
+      id: String(nextUpdateId),
+      from: { id: chatId, is_bot: false, first_name: 'Manager' },
+      message: { message_id: message.message_id, chat: { id: Number(message.chat.id) || message.chat.id, type: 'private' }, text: message.text },
+      data: pressed,
+    },
+  }, res);
+});
+
+app.listen(port, () => {
+  console.log(`Fake Telegram API on http://localhost:${port} → webhook ${webhookUrl}`);
+});
@@ -0,0 +1,99 @@
+// Offline stand-in for incoming webhooks (Slack / Mattermost), the Viber REST API,
+// the TurboSMS gateway and a CRM receiving the portal's signed event webhooks.
+//
+// Start it, then run the portal with
+//   NOTIFY_WEBHOOK_URL=http://localhost:8082/hooks/test
+//   VIBER_API_URL=http://localhost:8082 VIBER_AUTH_TOKEN=test VIBER_RECEIVERS=staff-1,staff-2
+//   SMS_API_URL=http://localhost:8082 SMS_API_TOKEN=test SMS_SENDER=HataMasazhu
+// Received payloads are printed here and kept in memory (GET /messages).
+// A Viber receiver id starting with "blocked" gets status 6 (not subscribed), and
+// an SMS to a number ending in 000 gets code 406 (bad recipient); the portal treats
+// both as permanent.
+//
+// Event webhooks go to http://localhost:8082/events/<id> (url in config/webhooks.json,
+// secret FAKE_WEBHOOK_SECRET, "test" by default, in the endpoint's secretEnv). A bad
+// signature or a timestamp more than 5 minutes off gets 401; an <id> starting with
+// "down" gets 503, so the portal retries.
+
+const crypto = require('crypto');
+const express = require('express');
+
+const port = Number(process.env.FAKE_WEBHOOK_PORT || 8082);
+const eventSecret = process.env.FAKE_WEBHOOK_SECRET || 'test';
+const TIMESTAMP_TOLERANCE_S = 5 * 60;
+
+const app = express();
+// The raw body is what event signatures cover
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  },
+}));
+
+const messages = [];
+
+app.post('/pa/send_message', (req, res) => {
+  const { receiver, text } = req.body || {};
+  if (!req.get('X-Viber-Auth-Token')) {
+    return res.json({ status: 2, status_message: 'invalidAuthToken' });
+  }
+  if (/^blocked/.test(String(receiver))) {
+    return res.json({ status: 6, status_message: 'notSubscribed' });
+  }
+  messages.push({ kind: 'viber', receiver, text });
+  console.log(`\n── viber → ${receiver} ──\n${text}`);
+  return res.json({ status: 0, status_message: 'ok', message_token: Date.now() });
+});
+
+app.post('/message/send.json', (req, res) => {
+  const { recipients, sms } = req.body || {};
+  if (!Array.isArray(recipients) || !recipients.length || !sms || !sms.text) {
+    return res.json({ response_code: 103, response_status: 'REQUIRED_TOKEN_OR_RECIPIENTS' });
+  }
+  if (recipients.some((phone) => String(phone).endsWith('000'))) {
+    return res.json({ response_code: 406, response_status: 'NOT_ALLOWED_RECIPIENTS' });
+  }
+  messages.push({ kind: 'sms', recipients, text: sms.text });
+  console.log(`\n── sms ${sms.sender} → ${recipients.join(', ')} ──\n${sms.text}`);
+  return res.json({ response_code: 800, response_status: 'SUCCESS_MESSAGE_ACCEPTED', response_result: [] });
+});
+
+app.post('/hooks/:id', (req, res) => {
+  const { text } = req.body || {};
+  if (typeof text !== 'string' || !text) {
+    return res.status(400).type('text/plain').send('no_text');
+  }
+  messages.push({ kind: 'webhook', hook: req.params.id, text });
+  console.log(`\n── webhook ${req.params.id} ──\n${text}`);
+  return res.type('text/plain').send('ok');
+});
+
+app.post('/events/:id', (req, res) => {
+  const timestamp = Number(req.get('X-Hata-Timestamp'));
+  const expected = `sha256=${crypto.createHmac('sha256', eventSecret).update(`${timestamp}.${req.rawBody || ''}`).digest('hex')}`;
+  const signature = String(req.get('X-Hata-Signature') || '');
+  const valid = signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  if (!valid || !Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > TIMESTAMP_TOLERANCE_S) {
+    console.log(`\n── event ${req.params.id}: rejected (bad signature or stale timestamp) ──`);
+    return res.status(401).type('text/plain').send('bad_signature');
+  }
+  if (/^down/.test(req.params.id)) {
+    return res.status(503).type('text/plain').send('unavailable');
+  }
+  messages.push({ kind: 'event', hook: req.params.id, delivery: req.get('X-Hata-Delivery'), body: req.body });
+  console.log(`\n── event ${req.params.id}: ${req.get('X-Hata-Event')} (${req.get('X-Hata-Delivery')}) ──\n${JSON.stringify(req.body, null, 2)}`);
+  return res.type('text/plain').send('ok');
+});
+
+app.get('/messages', (req, res) => {
+  res.json(messages);
+});
+
+app.delete('/messages', (req, res) => {
+  messages.length = 0;
+  res.json({ ok: true });
+});
+
+app.listen(port, () => {
+  console.log(`Fake webhook / Viber / SMS API on http://localhost:${port}`);
+});
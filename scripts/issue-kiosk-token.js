@@ -0,0 +1,59 @@
+// Issues the enrollment link for a reception kiosk tablet.
+//
+// Usage: npm run kiosk-token -- --device <name> [--location <salon id>]
+// Reads KIOSK_SECRET, KIOSK_TOKEN_TTL_DAYS, PUBLIC_BASE_URL, MASTERS_CONFIG and
+// LOCATIONS_CONFIG from the environment / .env, the same way the server does.
+// Open the printed link once on the tablet; it stays a kiosk until the token expires.
+
+const path = require('path');
+const dotenv = require('dotenv');
+const { loadLocations, createLocations } = require('../src/locations');
+const { createKioskSigner } = require('../src/kiosk');
+
+dotenv.config();
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i];
+    const value = argv[i + 1];
+    if (!['--device', '--location'].includes(key) || value === undefined) {
+      throw new Error(`Unexpected argument: ${key}`);
+    }
+    args[key.slice(2)] = value;
+  }
+  return args;
+};
+
+const main = () => {
+  const secret = process.env.KIOSK_SECRET;
+  if (!secret) {
+    throw new Error('KIOSK_SECRET is not set');
+  }
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.device) {
+    throw new Error('--device is required');
+  }
+  const locations = createLocations(loadLocations(
+    process.env.LOCATIONS_CONFIG || path.join(__dirname, '..', 'config', 'locations.json'),
+    { mastersPath: process.env.MASTERS_CONFIG || path.join(__dirname, '..', 'config', 'masters.json') },
+  ));
+  const location = args.location ? locations.get(args.location) : locations.default;
+  if (!location) {
+    throw new Error(`Unknown location: ${args.location}`);
+  }
+  const signer = createKioskSigner({ secret, ttlDays: Number(process.env.KIOSK_TOKEN_TTL_DAYS || 365) });
+
+  const { token, expiresAt } = signer.issue({ device: args.device, locationId: location.id });
+  const baseUrl = locations.baseUrlFor(location, process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`);
+  console.log(`${baseUrl}/kiosk?device=${encodeURIComponent(token)}`);
+  console.error(`device "${args.device}", valid until ${expiresAt.toISOString()}`);
+};
+
+try {
+  main();
+} catch (error) {
+  console.error('Failed to issue kiosk token:', error.message);
+  console.error('Usage: npm run kiosk-token -- --device <name> [--location <salon id>]');
+  process.exit(1);
+}
@@ -0,0 +1,58 @@
+// Issues a signed per-visit review link from the command line.
+//
+// Usage: npm run review-link -- [--visit <visit id>] [--master <master id>] [--location <salon id>]
+// Reads REVIEW_LINK_SECRET, REVIEW_LINK_TTL_DAYS, PUBLIC_BASE_URL, MASTERS_CONFIG and
+// LOCATIONS_CONFIG from the environment / .env, the same way the server does.
+
+const path = require('path');
+const dotenv = require('dotenv');
+const { loadLocations, createLocations } = require('../src/locations');
+const { createInvitationSigner, issueInvitation, buildReviewUrl } = require('../src/invitations');
+
+dotenv.config();
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i];
+    const value = argv[i + 1];
+    if (!['--visit', '--master', '--location'].includes(key) || value === undefined) {
+      throw new Error(`Unexpected argument: ${key}`);
+    }
+    args[key.slice(2)] = value;
+  }
+  return args;
+};
+
+const main = () => {
+  const secret = process.env.REVIEW_LINK_SECRET;
+  if (!secret) {
+    throw new Error('REVIEW_LINK_SECRET is not set');
+  }
+  const args = parseArgs(process.argv.slice(2));
+  const locations = createLocations(loadLocations(
+    process.env.LOCATIONS_CONFIG || path.join(__dirname, '..', 'config', 'locations.json'),
+    { mastersPath: process.env.MASTERS_CONFIG || path.join(__dirname, '..', 'config', 'masters.json') },
+  ));
+  const location = args.location ? locations.get(args.location) : locations.default;
+  if (!location) {
+    throw new Error(`Unknown location: ${args.location}`);
+  }
+  const signer = createInvitationSigner({ secret, ttlDays: Number(process.env.REVIEW_LINK_TTL_DAYS || 14) });
+
+  const { invitation, error } = issueInvitation(signer, location, { visitId: args.visit, masterId: args.master });
+  if (error) {
+    throw new Error(error);
+  }
+  const baseUrl = locations.baseUrlFor(location, process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`);
+  console.log(buildReviewUrl(baseUrl, invitation.token));
+  console.error(`visit ${invitation.visitId}, valid until ${invitation.expiresAt.toISOString()}`);
+};
+
+try {
+  main();
+} catch (error) {
+  console.error('Failed to issue review link:', error.message);
+  console.error('Usage: npm run review-link -- [--visit <visit id>] [--master <master id>] [--location <salon id>]');
+  process.exit(1);
+}
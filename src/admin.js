@@ -0,0 +1,554 @@
+const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const rateLimit = require('express-rate-limit');
+const ExcelJS = require('exceljs');
+const {
+  MAX_NAME_LENGTH,
+  sanitizeText,
+  isValidRating,
+  formatDateTime,
+  formatDateKey,
+  safeEqual,
+  readCookie,
+} = require('./utils');
+const { summarize } = require('./reports');
+const { summarizeMasterReviews } = require('./masters');
+const { REASON_LABELS } = require('./antispam');
+const { summarizeFunnel } = require('./funnel');
+const { STATUSES: CASE_STATUSES } = require('./cases');
+const { summarizeTopics } = require('./topics');
+const { toSvg, toPng, toSvgDataUrl } = require('./qr');
+
+const SESSION_COOKIE = 'hm_admin';
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const LOCATION_ID_REGEX = /^[a-z0-9-]{1,40}$/;
+const TOPIC_ID_REGEX = /^[a-z0-9_-]{1,40}$/;
+const MAX_SEARCH_LENGTH = 100;
+const MAX_QUARANTINE_ITEMS = 200;
+const MAX_WEBHOOK_DELIVERIES = 100;
+// Clicks are only kept for the record; reviews can be released
+const PUBLISHABLE_KINDS = ['review', 'master_review'];
+
+const EXPORT_COLUMNS = [
+  { header: 'Дата', key: 'date', width: 18 },
+  { header: 'Салон', key: 'location', width: 20 },
+  { header: 'Імʼя', key: 'name', width: 20 },
+  { header: 'Оцінка', key: 'rating', width: 8 },
+  { header: 'Майстер', key: 'master', width: 16 },
+  { header: 'Коментар', key: 'reason', width: 60 },
+  { header: 'Теми', key: 'topics', width: 30 },
+  { header: 'Перехід на платформу', key: 'googleClicked', width: 18 },
+  { header: 'Варіант банера', key: 'variant', width: 10 },
+  { header: 'Telegram', key: 'telegramStatus', width: 12 },
+];
+
+const parseFilters = (query = {}) => {
+  const ratings = String(query.rating || '')
+    .split(',')
+    .map((value) => Number(value))
+    .filter(isValidRating);
+  const from = DATE_KEY_REGEX.test(query.from) ? query.from : null;
+  const to = DATE_KEY_REGEX.test(query.to) ? query.to : null;
+  const master = sanitizeText(query.master, MAX_NAME_LENGTH) || null;
+  const search = sanitizeText(query.q, MAX_SEARCH_LENGTH).toLowerCase() || null;
+  const location = LOCATION_ID_REGEX.test(query.location) ? query.location : null;
+  const topic = TOPIC_ID_REGEX.test(query.topic) ? query.topic : null;
+
+  return { ratings, from, to, master, search, location, topic };
+};
+
+// `locationOf` resolves records without a location to the default salon
+const filterReviews = (reviews, { ratings, from, to, master, search, location, topic }, locationOf = (review) => review.location) =>
+  reviews
+    .filter((review) => {
+      if (location && locationOf(review) !== location) return false;
+      if (ratings.length && !ratings.includes(review.rating)) return false;
+      const day = formatDateKey(review.createdAt);
+      if (from && day < from) return false;
+      if (to && day > to) return false;
+      if (master && review.master !== master) return false;
+      if (topic && !(review.topics || []).includes(topic)) return false;
+      if (search) {
+        const haystack = `${review.name || ''} ${review.reason || ''}`.toLowerCase();
+        if (!haystack.includes(search)) return false;
+      }
+      return true;
+    })
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+
+const toExportRow = (review, locationName, hashtags, platformName) => ({
+  date: formatDateTime(review.createdAt),
+  location: locationName,
+  name: review.name || '',
+  rating: review.rating,
+  master: review.master || '',
+  reason: review.reason || '',
+  topics: hashtags,
+  googleClicked: review.googleClickedAt ? platformName : '',
+  variant: review.variant || '',
+  telegramStatus: review.telegramStatus || '',
+});
+
+// Spreadsheet apps execute cells starting with these characters as formulas
+const neutralizeFormula = (value) => (/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+const toCsvCell = (value) => {
+  const text = neutralizeFormula(String(value ?? ''));
+  return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const buildCsv = (rows) => {
+  const lines = [EXPORT_COLUMNS.map((column) => toCsvCell(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(EXPORT_COLUMNS.map((column) => toCsvCell(row[column.key])).join(','));
+  }
+  // BOM so Excel opens the file as UTF-8
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+const buildXlsx = async (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Відгуки');
+  sheet.columns = EXPORT_COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  for (const row of rows) {
+    sheet.addRow({ ...row, name: neutralizeFormula(row.name), reason: neutralizeFormula(row.reason) });
+  }
+  sheet.getColumn('reason').alignment = { wrapText: true, vertical: 'top' };
+  return workbook.xlsx.writeBuffer();
+};
+
+// `publishQuarantined(item)` sends a released submission on as if it had just arrived;
+// `digests` lists the scheduled digests and sends one on demand; `cases` lists and
+// updates follow-up cases for negative reviews; `topics` is the comment tagger
+const createAdminRouter = ({
+  store,
+  locations,
+  notifications,
+  webhooks,
+  rateLimitStore,
+  publishQuarantined,
+  digests,
+  cases,
+  topics,
+  redirectPolicy,
+  qrCodes,
+  baseUrl,
+  publicDir,
+  password,
+  sessionTtlMs,
+  secureCookies,
+}) => {
+  const router = express.Router();
+  const locationName = (record) => locations.get(locations.of(record)).name;
+  const listFiltered = (collection, filters) => filterReviews(store.list(collection), filters, locations.of);
+  const periodOnly = ({ from, to, location }) => ({ ratings: [], from, to, master: null, search: null, location });
+  // Quarantine ids being published right now, so a double click can't publish twice
+  const publishing = new Set();
+  const adminDir = path.join(publicDir, 'admin');
+  // Printed codes need the public address; without PUBLIC_BASE_URL the one the admin is on
+  const originOf = (req) => baseUrl || `${req.protocol}://${req.get('host')}`;
+  const sessions = new Map();
+
+  const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    skipSuccessfulRequests: true,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Забагато спроб входу. Спробуйте пізніше.' },
+    store: rateLimitStore,
+  });
+
+  const createSession = () => {
+    const now = Date.now();
+    for (const [id, expiresAt] of sessions) {
+      if (expiresAt <= now) sessions.delete(id);
+    }
+    const id = crypto.randomBytes(32).toString('hex');
+    sessions.set(id, now + sessionTtlMs);
+    return id;
+  };
+
+  const hasSession = (req) => {
+    const id = readCookie(req, SESSION_COOKIE);
+    const expiresAt = id && sessions.get(id);
+    if (!expiresAt) return false;
+    if (expiresAt <= Date.now()) {
+      sessions.delete(id);
+      return false;
+    }
+    return true;
+  };
+
+  const requireAdmin = (req, res, next) => {
+    if (!hasSession(req)) {
+      return res.status(401).json({ error: 'Потрібна авторизація.' });
+    }
+    next();
+  };
+
+  const requireAdminPage = (req, res, next) => {
+    if (!hasSession(req)) {
+      return res.redirect(302, '/admin/login');
+    }
+    next();
+  };
+
+  router.use(['/admin', '/api/admin', '/api/stats'], (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  router.get('/admin/login', (req, res) => {
+    if (hasSession(req)) {
+      return res.redirect(302, '/admin');
+    }
+    res.sendFile(path.join(adminDir, 'login.html'));
+  });
+
+  router.get('/admin', requireAdminPage, (req, res) => {
+    res.sendFile(path.join(adminDir, 'index.html'));
+  });
+
+  router.post('/api/admin/login', loginLimiter, (req, res) => {
+    if (!password) {
+      return res.status(503).json({ error: 'Адмін-панель не налаштована. Задайте ADMIN_PASSWORD.' });
+    }
+    const { password: candidate } = req.body || {};
+    if (typeof candidate !== 'string' || !safeEqual(candidate, password)) {
+      return res.status(401).json({ error: 'Невірний пароль.' });
+    }
+    res.cookie(SESSION_COOKIE, createSession(), {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: secureCookies,
+      maxAge: sessionTtlMs,
+      path: '/',
+    });
+    return res.json({ success: true });
+  });
+
+  router.post('/api/admin/logout', (req, res) => {
+    const id = readCookie(req, SESSION_COOKIE);
+    if (id) sessions.delete(id);
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    return res.json({ success: true });
+  });
+
+  router.get('/api/admin/reviews', requireAdmin, (req, res) => {
+    const filters = parseFilters(req.query);
+    const reviews = listFiltered('reviews', filters).map((review) => ({
+      ...review,
+      location: locations.of(review),
+      hashtags: topics.hashtags(review.topics),
+      platformName: review.redirectUrl ? redirectPolicy.platformName(redirectPolicy.platformOf(review)) : null,
+    }));
+    const selected = filters.location && locations.get(filters.location);
+    const salonReviews = listFiltered('reviews', periodOnly({ location: filters.location }));
+    const masterNames = [
+      ...new Set([
+        ...(selected ? selected.masters : locations.allMasters()).map((master) => master.name),
+        ...salonReviews.map((review) => review.master).filter(Boolean),
+      ]),
+    ];
+
+    return res.json({
+      reviews,
+      masters: masterNames,
+      locations: locations.list.map(({ id, name }) => ({ id, name })),
+      topics: topics.list(),
+      summary: summarize(reviews),
+    });
+  });
+
+  router.get('/api/admin/masters', requireAdmin, (req, res) => {
+    const filters = parseFilters(req.query);
+    const selected = filters.location && locations.get(filters.location);
+    const masterReviews = listFiltered('masterReviews', periodOnly(filters));
+    return res.json({
+      masters: summarizeMasterReviews(selected ? selected.masters : locations.allMasters(), masterReviews),
+    });
+  });
+
+  // Side-by-side numbers for every salon over the selected period
+  router.get('/api/admin/locations', requireAdmin, (req, res) => {
+    const filters = { ...periodOnly(parseFilters(req.query)), location: null };
+    const reviews = listFiltered('reviews', filters);
+    const masterReviews = listFiltered('masterReviews', filters);
+    const googleClicks = listFiltered('events', filters).filter((event) => event.type === 'google_click');
+    const inLocation = (id) => (record) => locations.of(record) === id;
+    return res.json({
+      locations: locations.list.map(({ id, name }) => ({
+        id,
+        name,
+        ...summarize(reviews.filter(inLocation(id))),
+        googleClicks: googleClicks.filter(inLocation(id)).length,
+        masterReviews: summarize(masterReviews.filter(inLocation(id))),
+      })),
+    });
+  });
+
+  // Mentions, ratings and tone per comment topic, week by week; every filter but the topic applies
+  router.get('/api/admin/topics', requireAdmin, (req, res) => {
+    const filters = { ...parseFilters(req.query), topic: null };
+    return res.json(summarizeTopics(listFiltered('reviews', filters), topics.list(), filters));
+  });
+
+  // Review funnel (page view → rating → submit → Google → master) per day, source and master
+  router.get('/api/stats', requireAdmin, (req, res) => {
+    const filters = parseFilters(req.query);
+    return res.json(summarizeFunnel(listFiltered('funnelSessions', periodOnly(filters))));
+  });
+
+  router.get('/api/admin/digests', requireAdmin, (req, res) => res.json({ digests: digests.list() }));
+
+  // "Send now", e.g. to check a digest's recipients and layout
+  router.post('/api/admin/digests/:id/send', requireAdmin, async (req, res) => {
+    try {
+      const digest = await digests.send(req.params.id);
+      if (!digest) {
+        return res.status(404).json({ error: 'Звіт не знайдено.' });
+      }
+      return res.json({ success: true });
+    } catch (error) {
+      console.error('Failed to send digest', error);
+      return res.status(500).json({ error: `Не вдалося надіслати звіт: ${error.message}` });
+    }
+  });
+
+  // Open cases by default; ?all=1 includes resolved ones
+  router.get('/api/admin/cases', requireAdmin, (req, res) => {
+    const items = cases.list({ openOnly: req.query.all !== '1' }).map((caseRecord) => {
+      const review = caseRecord.review || {};
+      return {
+        id: caseRecord.id,
+        createdAt: caseRecord.createdAt,
+        location: locationName(caseRecord),
+        status: caseRecord.status,
+        assignee: caseRecord.assignee ? caseRecord.assignee.name : '',
+        notes: caseRecord.notes,
+        name: review.name || '',
+        rating: review.rating || null,
+        master: review.master || '',
+        comment: review.reason || '',
+        contact: [review.contactPhone, review.contactTelegram].filter(Boolean).join(' · '),
+      };
+    });
+    return res.json({ cases: items });
+  });
+
+  // { status?, assignee?, note? }; the Telegram messages about the case are updated too
+  router.post('/api/admin/cases/:id', requireAdmin, async (req, res) => {
+    try {
+      const { status, assignee, note } = req.body || {};
+      if (status !== undefined && !CASE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Невідомий статус.' });
+      }
+      const changes = {
+        status,
+        assignee: typeof assignee === 'string' ? assignee.slice(0, MAX_NAME_LENGTH) : undefined,
+        note: typeof note === 'string' ? note : undefined,
+      };
+      const updated = await cases.change(req.params.id, changes, 'Адмін-панель');
+      if (!updated) {
+        return res.status(404).json({ error: 'Випадок не знайдено.' });
+      }
+      return res.json({ success: true });
+    } catch (error) {
+      console.error('Failed to update case', error);
+      return res.status(500).json({ error: 'Не вдалося зберегти зміни.' });
+    }
+  });
+
+  router.get('/api/admin/outbox', requireAdmin, (req, res) => {
+    const dead = notifications.listDead().map((message) => ({
+      id: message.id,
+      createdAt: message.createdAt,
+      deadAt: message.deadAt,
+      channel: message.channel,
+      attempts: message.attempts,
+      lastError: message.lastError,
+      text: message.payload && (message.payload.fallbackText || message.payload.text),
+    }));
+    return res.json({ dead, pending: notifications.countPending() });
+  });
+
+  router.post('/api/admin/outbox/retry', requireAdmin, async (req, res) => {
+    const retried = await notifications.retryAllDead();
+    return res.json({ success: true, retried });
+  });
+
+  router.post('/api/admin/outbox/:id/retry', requireAdmin, async (req, res) => {
+    const message = await notifications.retry(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'Повідомлення не знайдено серед недоставлених.' });
+    }
+    return res.json({ success: true });
+  });
+
+  // Outbound webhooks: the configured endpoints and the latest deliveries
+  router.get('/api/admin/webhooks', requireAdmin, (req, res) => {
+    const deliveries = webhooks.listDeliveries(MAX_WEBHOOK_DELIVERIES).map((delivery) => ({
+      id: delivery.id,
+      createdAt: delivery.createdAt,
+      endpoint: delivery.endpoint,
+      event: delivery.event,
+      eventId: delivery.payload && delivery.payload.id,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+      sentAt: delivery.sentAt || null,
+      responseStatus: delivery.result ? delivery.result.status : null,
+      durationMs: delivery.result ? delivery.result.durationMs : null,
+      lastError: delivery.lastError,
+      redeliveryOf: delivery.redeliveryOf || null,
+    }));
+    return res.json({ endpoints: webhooks.describeEndpoints(), deliveries });
+  });
+
+  router.post('/api/admin/webhooks/deliveries/:id/redeliver', requireAdmin, async (req, res) => {
+    try {
+      const delivery = await webhooks.redeliver(req.params.id);
+      if (!delivery) {
+        return res.status(404).json({ error: 'Доставку не знайдено.' });
+      }
+      return res.json({ success: true, id: delivery.id });
+    } catch (error) {
+      console.error('Failed to redeliver webhook', error);
+      return res.status(500).json({ error: 'Не вдалося поставити доставку в чергу.' });
+    }
+  });
+
+  router.get('/api/admin/quarantine', requireAdmin, (req, res) => {
+    const items = store
+      .list('quarantine')
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .slice(0, MAX_QUARANTINE_ITEMS)
+      .map((item) => ({
+        id: item.id,
+        createdAt: item.createdAt,
+        kind: item.kind,
+        location: locationName(item),
+        name: (item.record && item.record.name) || '',
+        rating: item.record ? item.record.rating : null,
+        text: item.text || '',
+        reasons: item.reasons.map((reason) => REASON_LABELS[reason] || reason),
+        ip: item.ip || null,
+        publishable: PUBLISHABLE_KINDS.includes(item.kind),
+      }));
+    return res.json({ items, total: store.list('quarantine').length });
+  });
+
+  router.post('/api/admin/quarantine/:id/publish', requireAdmin, async (req, res) => {
+    const item = store.findById('quarantine', req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Запис не знайдено в карантині.' });
+    }
+    if (!PUBLISHABLE_KINDS.includes(item.kind)) {
+      return res.status(400).json({ error: 'Кліки не публікуються, їх можна лише видалити.' });
+    }
+    const { visitId } = item.record;
+    if (item.kind === 'review' && visitId && store.list('reviews', (review) => review.visitId === visitId).length) {
+      return res.status(409).json({ error: 'За цей візит уже є опублікований відгук.' });
+    }
+    if (publishing.has(item.id)) {
+      return res.status(409).json({ error: 'Запис уже публікується.' });
+    }
+    // Out of quarantine only once published: if publishing fails, the item stays for another try
+    publishing.add(item.id);
+    try {
+      await publishQuarantined(item);
+      await store.remove('quarantine', (entry) => entry.id === item.id);
+      return res.json({ success: true });
+    } catch (error) {
+      console.error('Failed to publish quarantined submission', error);
+      return res.status(500).json({ error: `Не вдалося опублікувати: ${error.message}` });
+    } finally {
+      publishing.delete(item.id);
+    }
+  });
+
+  router.delete('/api/admin/quarantine/:id', requireAdmin, async (req, res) => {
+    const removed = await store.remove('quarantine', (entry) => entry.id === req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Запис не знайдено в карантині.' });
+    }
+    return res.json({ success: true });
+  });
+
+  // QR codes for printing: the review form or the masters page of a salon, with
+  // ?src= and an optional master
+  router.get('/api/admin/qr/options', requireAdmin, (req, res) =>
+    res.json({
+      sources: qrCodes.sources,
+      locations: locations.list.map(({ id, name, masters }) => ({
+        id,
+        name,
+        masters: masters.filter((master) => master.active).map((master) => ({ id: master.id, name: master.name })),
+      })),
+    }));
+
+  const resolveQr = (req, res) => {
+    const code = qrCodes.resolve(req.query, originOf(req));
+    if (code.error) {
+      res.status(400).json({ error: code.error });
+      return null;
+    }
+    return code;
+  };
+  const qrFileName = (code, extension) =>
+    `qr-${[code.location.id, code.target, code.source, code.master && code.master.id].filter(Boolean).join('-')}.${extension}`;
+
+  router.get('/api/admin/qr', requireAdmin, async (req, res) => {
+    const code = resolveQr(req, res);
+    if (!code) return;
+    return res.json({ url: code.url, sourceLabel: code.sourceLabel, image: await toSvgDataUrl(code.url) });
+  });
+
+  router.get('/api/admin/qr/svg', requireAdmin, async (req, res) => {
+    const code = resolveQr(req, res);
+    if (!code) return;
+    return res.attachment(qrFileName(code, 'svg')).type('image/svg+xml').send(await toSvg(code.url));
+  });
+
+  router.get('/api/admin/qr/png', requireAdmin, async (req, res) => {
+    const code = resolveQr(req, res);
+    if (!code) return;
+    return res.attachment(qrFileName(code, 'png')).type('image/png').send(await toPng(code.url));
+  });
+
+  router.get('/admin/qr-card', requireAdminPage, async (req, res) => {
+    const code = qrCodes.resolve(req.query, originOf(req));
+    if (code.error) {
+      return res.status(400).type('text/plain').send(code.error);
+    }
+    return res.type('html').send(await qrCodes.renderCard(code));
+  });
+
+  router.get('/api/admin/reviews/export', requireAdmin, async (req, res) => {
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+    const rows = listFiltered('reviews', parseFilters(req.query)).map((review) =>
+      toExportRow(
+        review,
+        locationName(review),
+        topics.hashtags(review.topics),
+        redirectPolicy.platformName(redirectPolicy.platformOf(review)),
+      ));
+    const fileName = `reviews-${formatDateKey(Date.now())}.${format}`;
+
+    res.attachment(fileName);
+    if (format === 'xlsx') {
+      const buffer = await buildXlsx(rows);
+      return res
+        .type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+        .send(Buffer.from(buffer));
+    }
+    return res.type('text/csv; charset=utf-8').send(buildCsv(rows));
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter, parseFilters, filterReviews };
@@ -0,0 +1,123 @@
+const express = require('express');
+const { MAX_NAME_LENGTH, sanitizeText, safeEqual } = require('./utils');
+const { sameName } = require('./reports');
+
+// Inbound alteg.io webhooks.
+//
+// alteg.io posts every change to a booking ("record") — creation, edits, the
+// administrator marking the guest as arrived. We only keep records with
+// attendance 1 ("client came"), store them as visits and schedule a review
+// invitation. If the record is un-marked or deleted before the invitation goes
+// out, the invitation is cancelled. With several salons the record's company
+// decides which salon the visit belongs to.
+
+const ATTENDED = 1;
+
+// +38 (050) 123-45-67 → 380501234567; anything that doesn't look like a phone → null
+const normalizePhone = (raw) => {
+  let digits = String(raw || '').replace(/\D/g, '');
+  if (digits.length === 10 && digits.startsWith('0')) digits = `38${digits}`;
+  return digits.length >= 11 && digits.length <= 15 ? digits : null;
+};
+
+const parseRecord = (event) => {
+  if (!event || event.resource !== 'record' || !event.data || typeof event.data !== 'object') return null;
+  const { data } = event;
+  const recordId = data.id || event.resource_id;
+  if (!recordId) return null;
+  const client = data.client || {};
+  const staff = data.staff || {};
+  const attendance = Number(data.attendance ?? data.visit_attendance);
+  const visitAt = new Date(data.datetime || data.date);
+  return {
+    recordId: String(recordId),
+    companyId: String(data.company_id || event.company_id || ''),
+    staffId: Number(data.staff_id || staff.id) || null,
+    staffName: sanitizeText(staff.name, MAX_NAME_LENGTH),
+    clientName: sanitizeText(client.name || client.display_name, MAX_NAME_LENGTH),
+    clientPhone: normalizePhone(client.phone),
+    clientEmail: sanitizeText(client.email, 120) || null,
+    services: Array.isArray(data.services)
+      ? data.services.map((service) => sanitizeText(service && service.title, 80)).filter(Boolean)
+      : [],
+    visitAt: Number.isNaN(visitAt.getTime()) ? null : visitAt.toISOString(),
+    attended: attendance === ATTENDED && !data.deleted && event.status !== 'delete',
+  };
+};
+
+const findMaster = ({ masters }, { staffId, staffName }) =>
+  (staffId && masters.find((master) => master.altegioStaffId === staffId))
+  || (staffName && masters.find((master) => sameName(master.name, staffName)))
+  || null;
+
+const createAltegioRouter = ({ store, locations, secret, invitations }) => {
+  const router = express.Router();
+
+  const recordVisit = async (record, location) => {
+    const existing = store.list('visits', (visit) => visit.altegioRecordId === record.recordId)[0];
+
+    if (!record.attended) {
+      if (existing && existing.invitationStatus === 'scheduled') {
+        await store.update('visits', existing.id, { invitationStatus: 'cancelled' });
+      }
+      return;
+    }
+
+    const master = findMaster(location, record);
+    const details = {
+      location: location.id,
+      masterId: master ? master.id : null,
+      masterName: master ? master.name : record.staffName || null,
+      clientName: record.clientName || null,
+      clientPhone: record.clientPhone,
+      clientEmail: record.clientEmail,
+      services: record.services,
+      visitAt: record.visitAt,
+    };
+
+    if (!existing) {
+      await store.insert('visits', {
+        source: 'altegio',
+        altegioRecordId: record.recordId,
+        ...details,
+        ...invitations.initialState(),
+        reviewId: null,
+      });
+      return;
+    }
+
+    // alteg.io re-sends the record on every edit; keep the invitation that is already on its way
+    const reopen = existing.invitationStatus === 'cancelled' ? invitations.initialState() : {};
+    await store.update('visits', existing.id, { ...details, ...reopen });
+  };
+
+  router.post('/altegio/webhook/:secret', async (req, res) => {
+    if (!secret || !safeEqual(req.params.secret, secret)) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    // alteg.io may batch several events into one request
+    const events = Array.isArray(req.body) ? req.body : [req.body];
+    try {
+      for (const event of events) {
+        const record = parseRecord(event);
+        if (!record) continue;
+        const location = locations.forAltegioCompany(record.companyId);
+        if (!location) {
+          console.warn('Ignoring alteg.io webhook for another company', record.companyId);
+          continue;
+        }
+        await recordVisit(record, location);
+      }
+      invitations.wake();
+    } catch (error) {
+      console.error('Failed to process alteg.io webhook', error);
+      return res.status(500).json({ error: 'Failed to process webhook' });
+    }
+    return res.json({ success: true });
+  });
+
+  return router;
+};
+
+module.exports = { createAltegioRouter, parseRecord, normalizePhone };
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const express = require('express');
+const { DAY_MS } = require('./reports');
+const { safeEqual, msUntilLocalHour } = require('./utils');
+const { isSessionId } = require('./funnel');
+
+// Server-side defenses for the guest endpoints.
+//
+// - Honeypot: the forms carry a visually hidden "website" field that people never fill.
+// - Form nonce: GET /api/form-nonce hands out a signed timestamp. A form sent back
+//   sooner than ANTISPAM_MIN_SUBMIT_MS, without a valid nonce, or with one that was
+//   already used (on any instance: used nonces are kept in the shared store), is suspect.
+// - Text checks on the comment: links, text repeated within itself or from the same
+//   client's recent submissions (stock phrases like "Дякую, все супер" are common
+//   among real guests; only a long text is suspect when anyone repeats it), words
+//   from config/profanity.json.
+//
+// Suspect submissions go to the quarantine collection instead of being published:
+// no notification, no stats. The guest gets the usual answer, so a bot learns
+// nothing; staff publish or delete quarantined items in the admin panel.
+
+const NONCE_MAX_AGE_MS = DAY_MS;
+const REPEAT_WINDOW_MS = 7 * DAY_MS;
+const MIN_REPEAT_LENGTH = 10;
+// Copy-pasted campaigns: this long a text is suspect whoever repeats it
+const MIN_SHARED_REPEAT_LENGTH = 120;
+
+const REASON_LABELS = {
+  honeypot: 'Заповнене приховане поле',
+  nonce: 'Без токена форми або токен недійсний',
+  too_fast: 'Надіслано надто швидко',
+  link: 'Посилання в тексті',
+  repeated: 'Повтор тексту',
+  profanity: 'Нецензурна лексика',
+  no_review: 'Клік без відповідного відгуку',
+};
+
+const LINK_REGEX = /\bhttps?:\/\/|\bwww\.|\bt\.me\/|\b[a-z0-9-]+\.(?:com|net|org|info|biz|ru|ua|pl|io|me|xyz|top|site|online|link|click|shop|store)\b/i;
+const REPEATED_CHAR_REGEX = /(.)\1{7,}/u;
+const REPEATED_WORD_REGEX = /(?:^|\s)(\S+)(?:\s+\1){3,}(?=\s|$)/iu;
+
+const normalizeText = (text) => String(text || '').toLocaleLowerCase('uk').replace(/\s+/g, ' ').trim();
+
+const loadProfanity = (filePath) => {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read profanity list at ${filePath}: ${error.message}`);
+  }
+  if (!config || !Array.isArray(config.stems) || !config.stems.every((stem) => typeof stem === 'string' && stem)) {
+    throw new Error(`Profanity list at ${filePath} must be { "stems": [...] }`);
+  }
+  return config.stems.map((stem) => stem.toLocaleLowerCase('uk'));
+};
+
+// "ts.random.signature" where ts is the issue time in ms (base 36). Used nonces go to
+// `kv` until they expire; while it fails, to this process only.
+const createFormNonces = ({ secret, minAgeMs, kv }) => {
+  const usedLocally = new Map();
+  const sign = (body) => crypto.createHmac('sha256', secret).update(`form-nonce:${body}`).digest('base64url');
+
+  const issue = () => {
+    const body = `${Date.now().toString(36)}.${crypto.randomBytes(9).toString('base64url')}`;
+    return `${body}.${sign(body)}`;
+  };
+
+  // → true the first time a nonce is seen
+  const markUsed = async (signature, expiresAt) => {
+    try {
+      return await kv.setIfAbsent(`nonce:${signature}`, '1', Math.max(1, expiresAt - Date.now()));
+    } catch (error) {
+      console.warn('Form nonces checked in this process only', error && error.message);
+    }
+    const now = Date.now();
+    for (const [key, until] of usedLocally) {
+      if (until <= now) usedLocally.delete(key);
+    }
+    if (usedLocally.has(signature)) return false;
+    usedLocally.set(signature, expiresAt);
+    return true;
+  };
+
+  // → null when fine, otherwise the quarantine reason; a nonce is good for one submission
+  const consume = async (nonce) => {
+    const now = Date.now();
+    const [ts, random, signature, extra] = typeof nonce === 'string' ? nonce.split('.') : [];
+    if (!ts || !random || !signature || extra !== undefined || !safeEqual(signature, sign(`${ts}.${random}`))) return 'nonce';
+    const issuedAt = parseInt(ts, 36);
+    if (!Number.isFinite(issuedAt) || now - issuedAt > NONCE_MAX_AGE_MS) return 'nonce';
+    if (!(await markUsed(signature, issuedAt + NONCE_MAX_AGE_MS))) return 'nonce';
+    if (now - issuedAt < minAgeMs) return 'too_fast';
+    return null;
+  };
+
+  return { issue, consume };
+};
+
+// `kv` (src/kv) remembers used form nonces and which client sent which comment
+// over the repeat window
+const createSpamGuard = ({ store, kv, secret, minSubmitMs, profanityPath }) => {
+  const nonces = createFormNonces({ secret, minAgeMs: minSubmitMs, kv });
+  const profanity = loadProfanity(profanityPath);
+
+  // The same comment from the same client (IP and page session) within the window;
+  // the store keeps only a hash. Guests on one salon Wi-Fi differ by session.
+  const isRepeatedByClient = async (normalized, { ip, sid }) => {
+    const digest = crypto.createHash('sha256').update(`${ip || 'unknown'}\n${sid || ''}\n${normalized}`).digest('base64url');
+    try {
+      return !(await kv.setIfAbsent(`repeat:${digest}`, '1', REPEAT_WINDOW_MS));
+    } catch (error) {
+      console.warn('Repeat check unavailable', error && error.message);
+      return false;
+    }
+  };
+
+  const isRepeatedByAnyone = (normalized) => {
+    if (normalized.length < MIN_SHARED_REPEAT_LENGTH) return false;
+    const sinceMs = Date.now() - REPEAT_WINDOW_MS;
+    const recent = (record) => new Date(record.createdAt).getTime() >= sinceMs;
+    return store.list('reviews', recent).some((review) => normalizeText(review.reason) === normalized)
+      || store.list('masterReviews', recent).some((review) => normalizeText(review.comment) === normalized)
+      || store.list('quarantine', recent).some((item) => normalizeText(item.text) === normalized);
+  };
+
+  const isRepeated = async (text, client) => {
+    const normalized = normalizeText(text);
+    if (normalized.length < MIN_REPEAT_LENGTH) return false;
+    if (REPEATED_WORD_REGEX.test(normalized) || isRepeatedByAnyone(normalized)) return true;
+    return isRepeatedByClient(normalized, client);
+  };
+
+  const hasProfanity = (text) =>
+    (normalizeText(text).match(/[\p{L}\p{N}]+/gu) || []).some((word) => profanity.some((stem) => word.startsWith(stem)));
+
+  // Reasons to quarantine a form submission; empty when it looks like a guest.
+  // Links and profanity are looked for in the name too, repeats only in the comment.
+  // `ip` and `sid` (the page's funnel session) tell the client apart.
+  const inspectForm = async ({ nonce, honeypot, text, name, ip, sid }) => {
+    const reasons = [];
+    if (typeof honeypot === 'string' && honeypot.trim()) reasons.push('honeypot');
+    const nonceProblem = await nonces.consume(nonce);
+    if (nonceProblem) reasons.push(nonceProblem);
+    const combined = [name, text].filter(Boolean).join('\n');
+    if (LINK_REGEX.test(combined)) reasons.push('link');
+    if (text && (REPEATED_CHAR_REGEX.test(text) || (await isRepeated(text, { ip, sid: isSessionId(sid) ? sid : null })))) reasons.push('repeated');
+    if (hasProfanity(combined)) reasons.push('profanity');
+    return reasons;
+  };
+
+  // kind: review | master_review | google_click | master_click; `record` is what would
+  // have been stored, `text` the guest's comment (for the repeat check and the admin)
+  const quarantine = (kind, { record, text, reasons, location, ip }) =>
+    store.insert('quarantine', { kind, record, text: text || '', reasons, location, ip });
+
+  // { total, reasons: { reason: count } } for items quarantined since `sinceMs`
+  const statsSince = (sinceMs) => {
+    const items = store.list('quarantine', (item) => new Date(item.createdAt).getTime() >= sinceMs);
+    const reasons = {};
+    for (const item of items) {
+      for (const reason of item.reasons) reasons[reason] = (reasons[reason] || 0) + 1;
+    }
+    return { total: items.length, reasons };
+  };
+
+  const router = express.Router();
+  router.get('/api/form-nonce', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    // minAgeMs: how long a nonce fetched just before sending has to wait (offline replays)
+    res.json({ nonce: nonces.issue(), minAgeMs: minSubmitMs });
+  });
+
+  return { inspectForm, quarantine, statsSince, router };
+};
+
+// Once a day at `hour` (salon time) staff get the number of submissions held back
+// over the last 24 hours; nothing is sent on a clean day
+const createQuarantineReport = ({ spamGuard, hour, notify }) => {
+  let timer = null;
+
+  const send = async () => {
+    const { total, reasons } = spamGuard.statsSince(Date.now() - DAY_MS);
+    if (!total) return;
+    const lines = Object.entries(reasons).map(([reason, count]) => `${REASON_LABELS[reason] || reason}: ${count}`);
+    await notify({
+      event: 'alert',
+      values: {
+        title: `🛡 Карантин за добу: ${total}`,
+        details: [...lines, '', 'Переглянути й опублікувати: /admin'].join('\n'),
+      },
+    });
+  };
+
+  const schedule = () => {
+    timer = setTimeout(async () => {
+      try {
+        await send();
+      } catch (error) {
+        console.warn('Failed to send quarantine report', error && error.message);
+      }
+      schedule();
+    }, msUntilLocalHour(hour));
+    if (timer.unref) timer.unref();
+  };
+
+  const start = () => {
+    if (!timer) schedule();
+  };
+
+  return { start, send };
+};
+
+module.exports = { REASON_LABELS, createSpamGuard, createQuarantineReport, createFormNonces, loadProfanity };
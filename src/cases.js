@@ -0,0 +1,198 @@
+// Follow-up on negative reviews.
+//
+// Every published review below 5 stars opens a case: status new → contacted →
+// resolved, an assignee and notes. The Telegram message about the review carries
+// inline buttons; pressing one updates the case and edits every message about it
+// to show the new status. Replying to such a message adds the reply as a note.
+// Staff can do the same in the admin panel. A case that is still not resolved
+// `escalateAfterHours` after it was opened (or after the previous reminder) gets
+// a reminder in the salon's chat. Every instance runs the check; the reminder for a
+// case's n-th interval is claimed in the shared key-value store, so it goes out once.
+
+const STATUSES = ['new', 'contacted', 'resolved'];
+const STATUS_LABELS = {
+  new: '🆕 Новий',
+  contacted: '📞 Звʼязалися з гостем',
+  resolved: '✅ Вирішено',
+};
+const MAX_NOTE_LENGTH = 500;
+const MAX_NOTES_SHOWN = 5;
+const HOUR_MS = 60 * 60 * 1000;
+const CALLBACK_REGEX = /^case:([\w-]{1,40}):(contacted|resolved|reopen|assign)$/;
+
+// Telegram user → how staff see them
+const describeTelegramUser = (user = {}) =>
+  [user.first_name, user.last_name].filter(Boolean).join(' ') || (user.username ? `@${user.username}` : `id ${user.id}`);
+
+// Placeholders for the review and escalation templates
+const caseValues = (caseRecord) => {
+  if (!caseRecord) return {};
+  const notes = caseRecord.notes.slice(-MAX_NOTES_SHOWN).map((note) => `• ${note.author}: ${note.text}`);
+  return {
+    caseStatus: STATUS_LABELS[caseRecord.status],
+    caseAssignee: caseRecord.assignee ? caseRecord.assignee.name : null,
+    caseNotes: notes.length ? ['📝 Нотатки:', ...notes].join('\n') : null,
+  };
+};
+
+// Buttons under the Telegram message for the case's current state
+const caseKeyboard = (caseRecord) => {
+  const button = (text, action) => ({ text, callback_data: `case:${caseRecord.id}:${action}` });
+  if (caseRecord.status === 'resolved') return [[button('↩️ Відкрити знову', 'reopen')]];
+  const rows = [
+    caseRecord.status === 'new'
+      ? [button('📞 Звʼязалися', 'contacted'), button('✅ Вирішено', 'resolved')]
+      : [button('✅ Вирішено', 'resolved')],
+  ];
+  if (!caseRecord.assignee) rows.push([button('🙋 Беру на себе', 'assign')]);
+  return rows;
+};
+
+// `renderMessage(caseRecord)` → { text, formatted } for the review message as it
+// should look now; `telegram(method, payload)` queues a Bot API call;
+// `notifyEscalation(caseRecord, hours)` sends the reminder
+const createCases = ({ store, kv, telegram, renderMessage, notifyEscalation, escalateAfterHours }) => {
+  const open = (review) =>
+    store.insert('cases', {
+      reviewId: review.id,
+      location: review.location || null,
+      status: 'new',
+      assignee: null,
+      notes: [],
+      history: [],
+      telegramMessages: [],
+      remindedAt: null,
+      resolvedAt: null,
+    });
+
+  const findByMessage = (chatId, messageId) =>
+    store.list('cases', (caseRecord) =>
+      caseRecord.telegramMessages.some((message) => message.chatId === String(chatId) && message.messageId === messageId))[0] || null;
+
+  // Re-renders every Telegram message about the case
+  const refreshMessages = async (caseRecord) => {
+    if (!caseRecord.telegramMessages.length) return;
+    const { text, formatted } = renderMessage(caseRecord);
+    for (const { chatId, messageId } of caseRecord.telegramMessages) {
+      await telegram('editMessageText', {
+        chat_id: chatId,
+        message_id: messageId,
+        ...(formatted ? { text: formatted.text, parse_mode: formatted.parseMode, fallbackText: text } : { text }),
+        reply_markup: { inline_keyboard: caseKeyboard(caseRecord) },
+      });
+    }
+  };
+
+  // The sent Telegram message, so later changes can edit it
+  const attachMessage = async (caseId, { chatId, messageId }) => {
+    const caseRecord = store.findById('cases', caseId);
+    if (!caseRecord) return null;
+    return store.update('cases', caseId, {
+      telegramMessages: [...caseRecord.telegramMessages, { chatId: String(chatId), messageId }],
+    });
+  };
+
+  // changes: { status?, assignee?, note? }; `actor` is the staff member's name
+  const change = async (caseId, changes, actor) => {
+    const caseRecord = store.findById('cases', caseId);
+    if (!caseRecord) return null;
+    const now = new Date().toISOString();
+    const patch = {};
+    const history = [];
+    if (changes.status && STATUSES.includes(changes.status) && changes.status !== caseRecord.status) {
+      patch.status = changes.status;
+      patch.resolvedAt = changes.status === 'resolved' ? now : null;
+      history.push({ at: now, by: actor, status: changes.status });
+    }
+    const name = changes.assignee === undefined ? undefined : String(changes.assignee || '').trim();
+    if (name !== undefined && name !== (caseRecord.assignee ? caseRecord.assignee.name : '')) {
+      patch.assignee = name ? { name } : null;
+      history.push({ at: now, by: actor, assignee: name || null });
+    }
+    const note = String(changes.note || '').trim().slice(0, MAX_NOTE_LENGTH);
+    if (note) {
+      patch.notes = [...caseRecord.notes, { at: now, author: actor, text: note }];
+    }
+    if (!Object.keys(patch).length) return caseRecord;
+
+    const updated = await store.update('cases', caseId, { ...patch, history: [...caseRecord.history, ...history] });
+    await refreshMessages(updated);
+    return updated;
+  };
+
+  // Inline button pressed; `scope` is the salon the chat covers (null — all)
+  const handleCallback = async (callbackQuery, scope) => {
+    const match = CALLBACK_REGEX.exec(callbackQuery.data || '');
+    const caseRecord = match && store.findById('cases', match[1]);
+    const answer = (text) => telegram('answerCallbackQuery', { callback_query_id: callbackQuery.id, text });
+    if (!caseRecord || (scope && caseRecord.location !== scope)) {
+      return answer('Випадок не знайдено');
+    }
+    const actor = describeTelegramUser(callbackQuery.from);
+    const action = match[2];
+    if (action === 'assign') {
+      await change(caseRecord.id, { assignee: actor }, actor);
+      return answer(`Відповідальний: ${actor}`);
+    }
+    const status = action === 'reopen' ? 'new' : action;
+    await change(caseRecord.id, { status }, actor);
+    return answer(STATUS_LABELS[status]);
+  };
+
+  // A reply to a case message becomes a note; false when the message isn't about a case
+  const handleReply = async (message, scope) => {
+    const original = message.reply_to_message;
+    const caseRecord = original && findByMessage(message.chat.id, original.message_id);
+    if (!caseRecord || (scope && caseRecord.location !== scope)) return false;
+    await change(caseRecord.id, { note: message.text }, describeTelegramUser(message.from));
+    return true;
+  };
+
+  // → true for the instance that sends this interval's reminder; without the store, each sends
+  const claimReminder = async (caseRecord, now, dueMs) => {
+    const interval = Math.floor((now - new Date(caseRecord.createdAt).getTime()) / dueMs);
+    try {
+      return await kv.setIfAbsent(`case-escalation:${caseRecord.id}:${interval}`, '1', dueMs);
+    } catch (error) {
+      console.warn(`Escalation for case ${caseRecord.id} sent unclaimed, the key-value store failed: ${error && error.message}`);
+      return true;
+    }
+  };
+
+  const escalate = async (now = Date.now()) => {
+    const dueMs = escalateAfterHours * HOUR_MS;
+    const overdue = store.list('cases', (caseRecord) =>
+      caseRecord.status !== 'resolved'
+      && now - new Date(caseRecord.remindedAt || caseRecord.createdAt).getTime() >= dueMs);
+    for (const caseRecord of overdue) {
+      const hours = Math.floor((now - new Date(caseRecord.createdAt).getTime()) / HOUR_MS);
+      // Stamped either way: another instance may have sent this one
+      await store.update('cases', caseRecord.id, { remindedAt: new Date(now).toISOString() });
+      if (!(await claimReminder(caseRecord, now, dueMs))) continue;
+      try {
+        await notifyEscalation(caseRecord, hours);
+      } catch (error) {
+        console.error(`Failed to send escalation for case ${caseRecord.id}`, error && error.message);
+      }
+    }
+    return overdue.length;
+  };
+
+  // For the admin panel: cases with their review, newest first
+  const list = ({ openOnly = true } = {}) =>
+    store
+      .list('cases', (caseRecord) => !openOnly || caseRecord.status !== 'resolved')
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .map((caseRecord) => ({ ...caseRecord, review: store.findById('reviews', caseRecord.reviewId) }));
+
+  return { open, attachMessage, change, handleCallback, handleReply, escalate, list };
+};
+
+module.exports = {
+  STATUSES,
+  STATUS_LABELS,
+  caseValues,
+  caseKeyboard,
+  describeTelegramUser,
+  createCases,
+};
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const { parseCron } = require('./scheduler');
+const { summarize, ratingDistribution } = require('./reports');
+const { formatDateKey, shiftDateKey, weekdayOfDateKey } = require('./utils');
+
+// Scheduled summaries for the owner: reviews, average rating, distribution, Google
+// conversion, master clicks and negative comments, each compared with the period
+// before. config/digests.json lists them:
+//
+//   { "digests": [{ "id": "weekly", "period": "week", "schedule": "0 10 * * 1" }] }
+//
+// A digest covers the last completed calendar period in the salon's zone: "day" is
+// yesterday, "week" last Monday–Sunday, "month" last month. Recipients follow the
+// "digest" routing rules unless the entry names `channels` and/or a Telegram `chatId`;
+// `location` limits it to one salon (and its chat).
+//
+// Every instance runs the schedule; the first to claim a period in the shared
+// key-value store sends its digest, so several instances don't send it twice.
+
+const DIGEST_ID_REGEX = /^[a-z0-9-]{1,40}$/;
+const PERIODS = ['day', 'week', 'month'];
+const TITLES = { day: 'Щоденний звіт', week: 'Тижневий звіт', month: 'Місячний звіт' };
+const MAX_NEGATIVE_COMMENTS = 10;
+const MAX_COMMENT_PREVIEW = 200;
+// Outlives the longest period, so a claim stays until its key can't come up again
+const CLAIM_TTL_MS = 35 * 24 * 60 * 60 * 1000;
+
+const validateDigest = (digest, filePath, locationIds, channelNames) => {
+  const fail = (reason) => {
+    throw new Error(`Invalid digest entry in ${filePath} (${reason}): ${JSON.stringify(digest)}`);
+  };
+  if (!digest || typeof digest !== 'object') fail('not an object');
+  if (!DIGEST_ID_REGEX.test(digest.id)) fail('id');
+  if (!PERIODS.includes(digest.period)) fail(`period must be one of ${PERIODS.join(', ')}`);
+  try {
+    parseCron(digest.schedule);
+  } catch (error) {
+    fail(error.message);
+  }
+  if (digest.channels !== undefined && !(Array.isArray(digest.channels) && digest.channels.every((name) => typeof name === 'string'))) {
+    fail('channels');
+  }
+  const unknownChannels = (digest.channels || []).filter((name) => !channelNames.includes(name));
+  if (unknownChannels.length) fail(`unknown channels: ${unknownChannels.join(', ')}`);
+  if (digest.chatId !== undefined && !/^-?\d+$/.test(String(digest.chatId))) fail('chatId');
+  if (digest.location !== undefined && !locationIds.includes(digest.location)) fail('unknown location');
+};
+
+// No file means no digests; `channelNames` are the notification channels there are
+const loadDigests = (filePath, locationIds, channelNames) => {
+  if (!fs.existsSync(filePath)) return [];
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read digests config at ${filePath}: ${error.message}`);
+  }
+  if (!config || !Array.isArray(config.digests)) {
+    throw new Error(`Digests config at ${filePath} must be { "digests": [...] }`);
+  }
+  const seen = new Set();
+  for (const digest of config.digests) {
+    validateDigest(digest, filePath, locationIds, channelNames);
+    if (seen.has(digest.id)) throw new Error(`Duplicate digest id in ${filePath}: ${digest.id}`);
+    seen.add(digest.id);
+  }
+  return config.digests.map((digest) => ({
+    ...digest,
+    chatId: digest.chatId !== undefined ? String(digest.chatId) : undefined,
+  }));
+};
+
+// The last completed period before `now` and the one before it, as inclusive date keys
+const periodWindows = (period, now) => {
+  const today = formatDateKey(now);
+  if (period === 'day') {
+    const day = shiftDateKey(today, -1);
+    return { current: { from: day, to: day }, previous: { from: shiftDateKey(day, -1), to: shiftDateKey(day, -1) } };
+  }
+  if (period === 'week') {
+    const monday = shiftDateKey(today, -((weekdayOfDateKey(today) + 6) % 7));
+    return {
+      current: { from: shiftDateKey(monday, -7), to: shiftDateKey(monday, -1) },
+      previous: { from: shiftDateKey(monday, -14), to: shiftDateKey(monday, -8) },
+    };
+  }
+  const firstOfMonth = `${today.slice(0, 8)}01`;
+  const lastMonthEnd = shiftDateKey(firstOfMonth, -1);
+  const lastMonthStart = `${lastMonthEnd.slice(0, 8)}01`;
+  const previousEnd = shiftDateKey(lastMonthStart, -1);
+  return {
+    current: { from: lastMonthStart, to: lastMonthEnd },
+    previous: { from: `${previousEnd.slice(0, 8)}01`, to: previousEnd },
+  };
+};
+
+// "2026-10-12".."2026-10-18" → "12.10–18.10.2026"; a single day → "18.10.2026"
+const formatWindow = ({ from, to }) => {
+  const [fromYear, fromMonth, fromDay] = from.split('-');
+  const [toYear, toMonth, toDay] = to.split('-');
+  if (from === to) return `${toDay}.${toMonth}.${toYear}`;
+  const start = fromYear === toYear ? `${fromDay}.${fromMonth}` : `${fromDay}.${fromMonth}.${fromYear}`;
+  return `${start}–${toDay}.${toMonth}.${toYear}`;
+};
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 100) : null);
+
+// "+3", "−0.2", "без змін"; nothing when there is no earlier value to compare with
+const formatChange = (current, previous, unit = '') => {
+  if (current === null || previous === null) return '';
+  const delta = Math.round((current - previous) * 100) / 100;
+  if (!delta) return ' (без змін)';
+  return ` (${delta > 0 ? '+' : '−'}${Math.abs(delta)}${unit})`;
+};
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+const periodStats = (store, window, inScope) => {
+  const inWindow = (record) => {
+    const day = formatDateKey(record.createdAt);
+    return day >= window.from && day <= window.to && inScope(record);
+  };
+  const reviews = store.list('reviews', inWindow);
+  const offeredGoogle = reviews.filter((review) => review.redirectUrl);
+  const masterClicks = {};
+  for (const event of store.list('events', (record) => record.type === 'master_click' && inWindow(record))) {
+    const name = event.master || 'Без майстра';
+    masterClicks[name] = (masterClicks[name] || 0) + 1;
+  }
+  return {
+    reviews,
+    summary: summarize(reviews),
+    offeredGoogle: offeredGoogle.length,
+    googleClicks: offeredGoogle.filter((review) => review.googleClickedAt).length,
+    masterClicks,
+  };
+};
+
+// Placeholder values for the "digest" message template
+const buildDigestValues = ({ store, locationOf, digest, now = Date.now() }) => {
+  const windows = periodWindows(digest.period, now);
+  const inScope = digest.location ? (record) => locationOf(record) === digest.location : () => true;
+  const current = periodStats(store, windows.current, inScope);
+  const previous = periodStats(store, windows.previous, inScope);
+
+  const { count, average } = current.summary;
+  const distribution = ratingDistribution(current.reviews);
+  const conversion = percent(current.googleClicks, current.offeredGoogle);
+  const previousConversion = percent(previous.googleClicks, previous.offeredGoogle);
+
+  const masterNames = [...new Set([...Object.keys(current.masterClicks), ...Object.keys(previous.masterClicks)])]
+    .sort((a, b) => (current.masterClicks[b] || 0) - (current.masterClicks[a] || 0));
+  const masterLines = masterNames.map((name) => {
+    const clicks = current.masterClicks[name] || 0;
+    return `• ${name}: ${clicks}${formatChange(clicks, previous.masterClicks[name] || 0)}`;
+  });
+
+  const negative = current.reviews
+    .filter((review) => review.rating < 5 && review.reason)
+    .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+  const negativeLines = negative
+    .slice(0, MAX_NEGATIVE_COMMENTS)
+    .map((review) => `• ${review.rating}★ ${review.name || 'Невідомо'}${review.master ? ` (${review.master})` : ''}: ${truncate(review.reason, MAX_COMMENT_PREVIEW)}`);
+  if (negative.length > MAX_NEGATIVE_COMMENTS) {
+    negativeLines.push(`…та ще ${negative.length - MAX_NEGATIVE_COMMENTS}`);
+  }
+
+  return {
+    title: TITLES[digest.period],
+    period: formatWindow(windows.current),
+    comparedTo: formatWindow(windows.previous),
+    count: `${count}${formatChange(count, previous.summary.count)}`,
+    average: average === null ? null : `${average}${formatChange(average, previous.summary.average)}`,
+    distribution: count ? [5, 4, 3, 2, 1].map((rating) => `${rating}★ ${distribution[rating]}`).join(' · ') : null,
+    googleConversion: conversion === null
+      ? null
+      : `${current.googleClicks} з ${current.offeredGoogle} (${conversion}%)${formatChange(conversion, previousConversion, ' п.п.')}`,
+    masterClicks: masterLines.length ? ['🧑‍🔧 Кліки «Відгук про майстра»:', ...masterLines].join('\n') : null,
+    negativeComments: negativeLines.length ? ['❗️ Негативні коментарі:', ...negativeLines].join('\n') : null,
+  };
+};
+
+// Registers each digest with the scheduler; `send(id)` posts one right away
+const createDigests = ({ store, kv, locationOf, digests, notify }) => {
+  const find = (id) => digests.find((digest) => digest.id === id) || null;
+
+  const send = async (id, now = Date.now()) => {
+    const digest = find(id);
+    if (!digest) return null;
+    await notify({
+      event: 'digest',
+      values: buildDigestValues({ store, locationOf, digest, now }),
+      location: digest.location,
+      channels: digest.channels,
+      chatId: digest.chatId,
+    });
+    return digest;
+  };
+
+  // → true for the one instance that sends this period's digest; without the store, each sends
+  const claim = async (digest, now) => {
+    const { current } = periodWindows(digest.period, now);
+    try {
+      return await kv.setIfAbsent(`digest:${digest.id}:${current.from}:${current.to}`, '1', CLAIM_TTL_MS);
+    } catch (error) {
+      console.warn(`Digest ${digest.id} sent unclaimed, the key-value store failed: ${error && error.message}`);
+      return true;
+    }
+  };
+
+  const register = (scheduler) => {
+    for (const digest of digests) {
+      scheduler.add(`digest:${digest.id}`, digest.schedule, async () => {
+        const now = Date.now();
+        if (await claim(digest, now)) await send(digest.id, now);
+      });
+    }
+  };
+
+  const list = () => digests.map(({ id, period, schedule, location }) => ({ id, period, schedule, location: location || null }));
+
+  return { send, register, list };
+};
+
+module.exports = { PERIODS, loadDigests, periodWindows, buildDigestValues, createDigests };
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const express = require('express');
+const { DAY_MS } = require('./reports');
+const { MAX_NAME_LENGTH, sanitizeText, isValidRating, formatDateKey, getClientIp } = require('./utils');
+
+// Cookieless review funnel: the pages report steps with a random per-tab session id
+// (sessionStorage), and each session is one record noting when it reached each step.
+//
+//   view → rating → submit → google_click → master_click
+//
+// Nothing identifies the guest: no cookie, no IP, no name. Sessions older than
+// FUNNEL_RETENTION_DAYS are dropped.
+//
+// The endpoint is open, so one address opens at most `maxSessionsPerIp` sessions a
+// day (counted in the key-value store under a hash of the address, never in the
+// data file), and beacons are collected in memory and written together every few
+// seconds rather than rewriting the data file on each one.
+
+const STEPS = ['view', 'rating', 'submit', 'google_click', 'master_click'];
+// What the pages generate: crypto.randomUUID(), or 32 hex digits where it's missing
+const SESSION_ID_REGEX = /^(?:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{32})$/;
+const SOURCE_REGEX = /^[a-z0-9_-]{1,32}$/;
+const FLUSH_INTERVAL_MS = 5000;
+
+// ?src=qr / utm_source=instagram as chosen on the page; anything else is "direct"
+const normalizeSource = (raw) => {
+  const source = String(raw || '').trim().toLowerCase();
+  return SOURCE_REGEX.test(source) ? source : 'direct';
+};
+
+// Percentage with one decimal; null without a base
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+// Sessions that reached each step, plus 5-star submissions (the only ones offered
+// Google), each step's conversion from the one before it and views → reviews
+const countSteps = (sessions) => {
+  const counts = Object.fromEntries(STEPS.map((step) => [step, 0]));
+  counts.fiveStar = 0;
+  for (const session of sessions) {
+    for (const step of STEPS) {
+      if (session.steps[step]) counts[step] += 1;
+    }
+    if (session.steps.submit && session.rating === 5) counts.fiveStar += 1;
+  }
+  return {
+    ...counts,
+    rates: {
+      rating: percent(counts.rating, counts.view),
+      submit: percent(counts.submit, counts.rating),
+      google_click: percent(counts.google_click, counts.fiveStar),
+      master_click: percent(counts.master_click, counts.submit),
+      completed: percent(counts.submit, counts.view),
+    },
+  };
+};
+
+const groupCounts = (sessions, keyOf) => {
+  const groups = new Map();
+  for (const session of sessions) {
+    const key = keyOf(session);
+    if (key === null) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(session);
+  }
+  return [...groups].map(([key, members]) => ({ key, ...countSteps(members) }));
+};
+
+// Totals, per day (oldest first), per source and per master (busiest first)
+const summarizeFunnel = (sessions) => {
+  const byViews = (a, b) => b.view - a.view || b.submit - a.submit;
+  return {
+    steps: STEPS,
+    total: countSteps(sessions),
+    days: groupCounts(sessions, (session) => formatDateKey(session.createdAt))
+      .sort((a, b) => (a.key < b.key ? -1 : 1))
+      .map(({ key, ...counts }) => ({ day: key, ...counts })),
+    sources: groupCounts(sessions, (session) => session.source)
+      .sort(byViews)
+      .map(({ key, ...counts }) => ({ source: key, ...counts })),
+    masters: groupCounts(sessions, (session) => session.master || null)
+      .sort(byViews)
+      .map(({ key, ...counts }) => ({ master: key, ...counts })),
+  };
+};
+
+const createFunnel = ({ store, kv, limiter, retentionDays, maxSessionsPerIp }) => {
+  const router = express.Router();
+  let timer = null;
+  // sid → the session as it will be written; the stored sessions lag by up to FLUSH_INTERVAL_MS
+  const pending = new Map();
+  let flushTimer = null;
+
+  const current = (sid) => pending.get(sid) || store.findById('funnelSessions', sid);
+
+  const flush = async () => {
+    flushTimer = null;
+    if (!pending.size) return;
+    const batch = [...pending.values()];
+    pending.clear();
+    try {
+      await store.upsertMany('funnelSessions', batch);
+    } catch (error) {
+      console.error('Failed to write funnel sessions', error);
+      // Kept for the next write unless a newer beacon already replaced them
+      for (const session of batch) {
+        if (!pending.has(session.id)) pending.set(session.id, session);
+      }
+      scheduleFlush();
+    }
+  };
+
+  const scheduleFlush = () => {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, FLUSH_INTERVAL_MS);
+    if (flushTimer.unref) flushTimer.unref();
+  };
+
+  // Counts a new session against its address; with the shared store down nothing new is opened
+  const allowNewSession = async (ip) => {
+    const key = `funnel:ip:${crypto.createHash('sha256').update(ip).digest('base64url')}`;
+    try {
+      const { count } = await kv.increment(key, DAY_MS);
+      return count <= maxSessionsPerIp;
+    } catch (error) {
+      console.warn(`Funnel session not counted, the key-value store failed: ${error && error.message}`);
+      return false;
+    }
+  };
+
+  // POST /api/collect { sid, step, source, rating?, master?, reviewId? }; sent as a beacon
+  router.post('/api/collect', limiter, async (req, res) => {
+    try {
+      const { sid, step, source, rating, master, reviewId } = req.body || {};
+      if (!SESSION_ID_REGEX.test(sid) || !STEPS.includes(step)) {
+        return res.status(400).json({ error: req.t('errors.generic') });
+      }
+
+      let session = current(sid);
+      if (!session) {
+        if (!(await allowNewSession(getClientIp(req)))) {
+          return res.status(204).end();
+        }
+        // Another beacon of the same session may have opened it meanwhile
+        session = current(sid);
+      }
+      // A step counts once per session
+      if (session && session.steps[step]) {
+        return res.status(204).end();
+      }
+
+      const now = new Date().toISOString();
+      const next = session
+        ? { ...session, steps: { ...session.steps, [step]: now } }
+        : {
+          id: sid,
+          createdAt: now,
+          source: normalizeSource(source),
+          location: req.location.id,
+          rating: null,
+          master: null,
+          steps: { [step]: now },
+        };
+      const numericRating = Number(rating);
+      if (step === 'submit' && isValidRating(numericRating)) next.rating = numericRating;
+      // The master comes from the review (a personal link names one) or from the masters page
+      const review = step === 'submit' && typeof reviewId === 'string' ? store.findById('reviews', reviewId) : null;
+      const masterName = (review && review.master) || sanitizeText(master, MAX_NAME_LENGTH) || null;
+      if (masterName && !next.master) next.master = masterName;
+
+      pending.set(sid, next);
+      scheduleFlush();
+      return res.status(204).end();
+    } catch (error) {
+      console.error('Failed to record funnel step', error);
+      return res.status(500).json({ error: req.t('errors.generic') });
+    }
+  });
+
+  const prune = () => {
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    return store.remove('funnelSessions', (session) => new Date(session.createdAt).getTime() < cutoff);
+  };
+
+  const start = () => {
+    if (timer) return;
+    const run = () => prune().catch((error) => console.warn('Failed to prune funnel sessions', error && error.message));
+    run();
+    timer = setInterval(run, DAY_MS);
+    if (timer.unref) timer.unref();
+  };
+
+  return { router, prune, start, flush };
+};
+
+const isSessionId = (sid) => SESSION_ID_REGEX.test(sid);
+
+module.exports = { STEPS, normalizeSource, isSessionId, summarizeFunnel, createFunnel };
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, readCookie } = require('./utils');
+
+// Guest-facing translations. Catalogs live in locales/<code>.json as flat
+// "section.key" maps; uk is the reference and every other catalog must have the
+// same keys. Pages are templates with {{key}} placeholders rendered once per
+// locale at startup; "client.*" keys are embedded into the page as a JSON data
+// block for app.js / page.js. Staff-facing output (Telegram, admin, reception)
+// stays in Ukrainian.
+//
+// A page can override catalog entries (salon name, reward text); an override is a
+// string for every language or a { uk, en, pl } map falling back to the catalog.
+
+const DEFAULT_LOCALE = 'uk';
+const LOCALES = ['uk', 'en', 'pl'];
+const OG_LOCALES = { uk: 'uk_UA', en: 'en_US', pl: 'pl_PL' };
+const LOCALE_COOKIE = 'hm_lang';
+const LOCALE_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+const CLIENT_PREFIX = 'client.';
+
+const loadCatalogs = (dir) => {
+  const catalogs = {};
+  for (const locale of LOCALES) {
+    const filePath = path.join(dir, `${locale}.json`);
+    try {
+      catalogs[locale] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read locale catalog at ${filePath}: ${error.message}`);
+    }
+  }
+  const reference = Object.keys(catalogs[DEFAULT_LOCALE]);
+  for (const locale of LOCALES) {
+    const missing = reference.filter((key) => typeof catalogs[locale][key] !== 'string');
+    if (missing.length) {
+      throw new Error(`Locale catalog ${locale}.json is missing keys: ${missing.join(', ')}`);
+    }
+  }
+  return catalogs;
+};
+
+const isLocale = (value) => LOCALES.includes(value);
+
+// "en-GB,en;q=0.9,uk;q=0.8" → first supported primary tag by weight
+const fromAcceptLanguage = (header) =>
+  String(header || '')
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+      return { code: tag.toLowerCase().split('-')[0], weight: q ? Number(q.slice(2)) || 0 : 1 };
+    })
+    .filter((entry) => entry.weight > 0 && isLocale(entry.code))
+    .sort((a, b) => b.weight - a.weight)
+    .map((entry) => entry.code)[0] || null;
+
+// ?lang= beats the remembered choice, which beats the browser language
+const resolveLocale = (req) => {
+  const fromQuery = req.query && typeof req.query.lang === 'string' ? req.query.lang.toLowerCase() : null;
+  if (isLocale(fromQuery)) return fromQuery;
+  const fromCookie = readCookie(req, LOCALE_COOKIE);
+  if (isLocale(fromCookie)) return fromCookie;
+  return fromAcceptLanguage(req.headers['accept-language']) || DEFAULT_LOCALE;
+};
+
+const createI18n = ({ dir, secureCookies }) => {
+  const catalogs = loadCatalogs(dir);
+
+  const fill = (template, params) =>
+    template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+
+  const t = (locale, key, params = {}) => {
+    const catalog = catalogs[locale] || catalogs[DEFAULT_LOCALE];
+    return fill(catalog[key] ?? catalogs[DEFAULT_LOCALE][key] ?? key, params);
+  };
+
+  const withOverrides = (locale, overrides) => (key) => {
+    const override = overrides[key];
+    if (typeof override === 'string') return override;
+    return (override && override[locale]) ?? t(locale, key);
+  };
+
+  // An entry the way a page with these overrides shows it, with {placeholders} filled in
+  const text = (locale, key, overrides = {}, params = {}) => fill(withOverrides(locale, overrides)(key), params);
+
+  const clientCatalog = (locale, lookup) => {
+    const entries = Object.keys(catalogs[locale])
+      .filter((key) => key.startsWith(CLIENT_PREFIX))
+      .map((key) => [key.slice(CLIENT_PREFIX.length), lookup(key)]);
+    // Data block, never executed; "<" is escaped so the JSON can't close the tag
+    const json = JSON.stringify(Object.fromEntries(entries)).replace(/</g, '\\u003c');
+    return `<script type="application/json" id="i18n">${json}</script>`;
+  };
+
+  const render = (template, locale, overrides = {}) => {
+    const lookup = withOverrides(locale, overrides);
+    return template
+      .replace(/\{\{lang\}\}/g, locale)
+      .replace(/\{\{ogLocale\}\}/g, OG_LOCALES[locale])
+      .replace(/\{\{([\w.]+)\}\}/g, (match, key) => escapeHtml(lookup(key)))
+      .replace('<!-- i18n:client -->', () => clientCatalog(locale, lookup));
+  };
+
+  // Links keep the rest of the query (e.g. the ?t= invitation token)
+  const renderSwitcher = (req, locale) => {
+    const links = LOCALES.map((code) => {
+      const params = new URLSearchParams(req.query);
+      params.set('lang', code);
+      const current = code === locale ? ' aria-current="true"' : '';
+      return `<a href="?${escapeHtml(params.toString())}" hreflang="${code}" lang="${code}"${current}>${escapeHtml(
+        catalogs[code]['meta.languageName'],
+      )}</a>`;
+    });
+    return `<nav class="lang-switch" aria-label="${escapeHtml(t(locale, 'meta.switcherLabel'))}">${links.join('')}</nav>`;
+  };
+
+  // Sets req.locale / req.t and remembers an explicit ?lang= choice
+  const middleware = (req, res, next) => {
+    const locale = resolveLocale(req);
+    req.locale = locale;
+    req.t = (key, params) => t(locale, key, params);
+    if (typeof req.query.lang === 'string' && isLocale(req.query.lang.toLowerCase())) {
+      res.cookie(LOCALE_COOKIE, locale, {
+        maxAge: LOCALE_COOKIE_MAX_AGE_MS,
+        sameSite: 'lax',
+        secure: secureCookies,
+        path: '/',
+      });
+    }
+    next();
+  };
+
+  // Renders a page template for every locale up front; send() picks one per request
+  const createPage = (template, overrides) => {
+    const pages = Object.fromEntries(LOCALES.map((locale) => [locale, render(template, locale, overrides)]));
+    return {
+      send: (req, res) => {
+        res.set('Content-Language', req.locale);
+        res.vary('Accept-Language');
+        res.vary('Cookie');
+        res.type('html').send(pages[req.locale].replace('<!-- i18n:switcher -->', renderSwitcher(req, req.locale)));
+      },
+    };
+  };
+
+  // For staff messages: the guest's language in Ukrainian, or null when it is Ukrainian anyway
+  const guestLanguage = (locale) =>
+    (locale && locale !== DEFAULT_LOCALE && isLocale(locale) ? t(DEFAULT_LOCALE, `language.${locale}`) : null);
+
+  return { t, text, render, middleware, createPage, guestLanguage };
+};
+
+module.exports = { DEFAULT_LOCALE, LOCALES, createI18n, resolveLocale, fromAcceptLanguage };
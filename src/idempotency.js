@@ -0,0 +1,72 @@
+const { DAY_MS } = require('./reports');
+
+// Guest submissions may arrive twice: the service worker (public/sw.js) replays
+// requests it queued while the salon was offline, and the first attempt may have
+// reached the server even though the page never got the answer. The page sends
+// every submission with an `Idempotency-Key` header; the first answer under a key
+// is stored, and a repeat gets that answer back without running the route again.
+// A repeat that arrives while the first is still being handled waits for it.
+//
+// Requests without the header (e.g. sendBeacon) are handled as before. Keys are
+// kept for IDEMPOTENCY_RETENTION_DAYS, longer than the worker keeps its queue.
+
+const KEY_REGEX = /^[A-Za-z0-9-]{16,64}$/;
+
+const createIdempotency = ({ store, retentionDays }) => {
+  const pending = new Map();
+  let timer = null;
+
+  const middleware = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+    if (!KEY_REGEX.test(key)) {
+      return res.status(400).json({ error: req.t('errors.generic') });
+    }
+
+    const id = `${req.path}:${key}`;
+    if (pending.has(id)) await pending.get(id);
+    const saved = store.findById('idempotencyKeys', id);
+    if (saved) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(saved.status).json(saved.body);
+    }
+
+    let settle;
+    pending.set(id, new Promise((resolve) => {
+      settle = resolve;
+    }));
+    res.on('close', () => {
+      pending.delete(id);
+      settle();
+    });
+
+    // Server errors aren't final: a retry under the same key runs the route again
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 500) {
+        store.insert('idempotencyKeys', { id, status: res.statusCode, body }).catch((error) => {
+          console.warn('Failed to store idempotency key', error && error.message);
+        });
+      }
+      return json(body);
+    };
+    return next();
+  };
+
+  const prune = () => {
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    return store.remove('idempotencyKeys', (record) => new Date(record.createdAt).getTime() < cutoff);
+  };
+
+  const start = () => {
+    if (timer) return;
+    const run = () => prune().catch((error) => console.warn('Failed to prune idempotency keys', error && error.message));
+    run();
+    timer = setInterval(run, DAY_MS);
+    if (timer.unref) timer.unref();
+  };
+
+  return { middleware, prune, start };
+};
+
+module.exports = { createIdempotency };
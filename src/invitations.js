@@ -0,0 +1,112 @@
+const express = require('express');
+const crypto = require('crypto');
+const { DAY_MS } = require('./reports');
+const { safeEqual } = require('./utils');
+
+// Per-visit review links: /?t=<payload>.<signature>
+//
+// The payload is base64url JSON { v: visit id, m: master id, l: salon id, e: expiry (unix seconds) },
+// the signature an HMAC-SHA256 over it with REVIEW_LINK_SECRET. Nothing is stored
+// when a link is issued; the visit id is written onto the review, and a second
+// review for the same visit is refused.
+
+const VISIT_ID_REGEX = /^[\w.-]{1,64}$/;
+
+const toBase64Url = (buffer) => buffer.toString('base64url');
+
+const createInvitationSigner = ({ secret, ttlDays }) => {
+  const sign = (encoded) => toBase64Url(crypto.createHmac('sha256', secret).update(encoded).digest());
+
+  const issue = ({ visitId, masterId = null, locationId = null }) => {
+    const expiresAt = new Date(Date.now() + ttlDays * DAY_MS);
+    const payload = {
+      v: visitId || toBase64Url(crypto.randomBytes(9)),
+      m: masterId || undefined,
+      l: locationId || undefined,
+      e: Math.floor(expiresAt.getTime() / 1000),
+    };
+    const encoded = toBase64Url(Buffer.from(JSON.stringify(payload)));
+    return {
+      token: `${encoded}.${sign(encoded)}`,
+      visitId: payload.v,
+      masterId: payload.m || null,
+      locationId: payload.l || null,
+      expiresAt,
+    };
+  };
+
+  // → { status: 'valid', invitation } | { status: 'invalid' } | { status: 'expired' }
+  const verify = (token) => {
+    const [encoded, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+    if (!encoded || !signature || extra !== undefined || !safeEqual(signature, sign(encoded))) {
+      return { status: 'invalid' };
+    }
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { status: 'invalid' };
+    }
+    if (!payload || !VISIT_ID_REGEX.test(payload.v) || !Number.isFinite(payload.e)) {
+      return { status: 'invalid' };
+    }
+    if (payload.e * 1000 <= Date.now()) {
+      return { status: 'expired' };
+    }
+    return {
+      status: 'valid',
+      invitation: {
+        visitId: payload.v,
+        masterId: payload.m || null,
+        locationId: typeof payload.l === 'string' ? payload.l : null,
+        expiresAt: new Date(payload.e * 1000),
+      },
+    };
+  };
+
+  return { issue, verify };
+};
+
+// Validates the request body and issues a link for one salon; shared by the API and the CLI
+const issueInvitation = (signer, location, { visitId, masterId }) => {
+  if (visitId !== undefined && visitId !== null && visitId !== '' && !VISIT_ID_REGEX.test(String(visitId))) {
+    return { error: 'Номер візиту може містити лише латиницю, цифри, «-», «_» і «.» (до 64 символів).' };
+  }
+  if (masterId && !location.masters.some((master) => master.id === masterId && master.active)) {
+    return { error: 'Майстра не знайдено.' };
+  }
+  return {
+    invitation: signer.issue({ visitId: visitId ? String(visitId) : null, masterId: masterId || null, locationId: location.id }),
+  };
+};
+
+const buildReviewUrl = (baseUrl, token) => `${baseUrl.replace(/\/+$/, '')}/?t=${encodeURIComponent(token)}`;
+
+// POST /api/invitations { pin, visitId?, masterId? } → { url, token, expiresAt }
+// The link is for the salon whose reception asked (req.location)
+const createInvitationRouter = ({ signer, locations, pinGuard, baseUrl }) => {
+  const router = express.Router();
+
+  router.post('/api/invitations', ...pinGuard, (req, res) => {
+    if (!signer) {
+      return res.status(503).json({ error: 'Персональні посилання не налаштовано. Задайте REVIEW_LINK_SECRET.' });
+    }
+    const { visitId, masterId } = req.body || {};
+    const { invitation, error } = issueInvitation(signer, req.location, { visitId, masterId });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const origin = locations.baseUrlFor(req.location, baseUrl || `${req.protocol}://${req.get('host')}`);
+    return res.json({
+      success: true,
+      url: buildReviewUrl(origin, invitation.token),
+      token: invitation.token,
+      visitId: invitation.visitId,
+      expiresAt: invitation.expiresAt.toISOString(),
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createInvitationSigner, createInvitationRouter, issueInvitation, buildReviewUrl };
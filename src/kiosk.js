@@ -0,0 +1,125 @@
+const express = require('express');
+const crypto = require('crypto');
+const { DAY_MS } = require('./reports');
+const { safeEqual, readCookie } = require('./utils');
+
+// Reception kiosk: the review form on a shared tablet at the front desk.
+//
+// A tablet is enrolled once by opening /kiosk?device=<token>. The token comes from
+// `npm run kiosk-token`: base64url JSON { d: device name, l: salon id, e: expiry
+// (unix seconds) } and an HMAC-SHA256 over it with KIOSK_SECRET. The server moves
+// it into an httpOnly cookie, so the address bar stays clean. Changing
+// KIOSK_SECRET unenrolls every tablet.
+//
+// The kiosk page is the review form with the <!-- kiosk --> blocks of
+// views/index.html left in. There the page keeps nothing about the guest, starts
+// over after a thank-you countdown and shows the Google step as a QR code. Staff
+// open a panel with the reception PIN to pick the master the guest saw or to exit.
+
+const COOKIE_NAME = 'hm_kiosk';
+const DEVICE_NAME_REGEX = /^[\p{L}\p{N} ._-]{1,40}$/u;
+const KIOSK_BLOCK_REGEX = /<!-- kiosk -->[\s\S]*?<!-- \/kiosk -->\n?/g;
+const KIOSK_MARKER_REGEX = /<!-- \/?kiosk -->\n?/g;
+
+const toBase64Url = (buffer) => buffer.toString('base64url');
+
+const createKioskSigner = ({ secret, ttlDays }) => {
+  const sign = (encoded) => toBase64Url(crypto.createHmac('sha256', `kiosk:${secret}`).update(encoded).digest());
+
+  const issue = ({ device, locationId }) => {
+    if (!DEVICE_NAME_REGEX.test(device || '')) {
+      throw new Error('Device name may only have letters, digits, spaces, ".", "_" and "-" (up to 40)');
+    }
+    const expiresAt = new Date(Date.now() + ttlDays * DAY_MS);
+    const encoded = toBase64Url(Buffer.from(JSON.stringify({
+      d: device,
+      l: locationId,
+      e: Math.floor(expiresAt.getTime() / 1000),
+    })));
+    return { token: `${encoded}.${sign(encoded)}`, expiresAt };
+  };
+
+  // → { device, locationId, expiresAt } | null
+  const verify = (token) => {
+    const [encoded, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+    if (!encoded || !signature || extra !== undefined || !safeEqual(signature, sign(encoded))) return null;
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+    if (!payload || !DEVICE_NAME_REGEX.test(payload.d) || typeof payload.l !== 'string' || !Number.isFinite(payload.e)) {
+      return null;
+    }
+    if (payload.e * 1000 <= Date.now()) return null;
+    return { device: payload.d, locationId: payload.l, expiresAt: new Date(payload.e * 1000) };
+  };
+
+  return { issue, verify };
+};
+
+// The review page template with (kiosk) or without (guest phones) the kiosk blocks
+const kioskTemplate = (template, enabled) =>
+  (enabled
+    ? template.replace(KIOSK_MARKER_REGEX, '').replace('<body data-base=', '<body data-kiosk="1" data-base=')
+    : template.replace(KIOSK_BLOCK_REGEX, ''));
+
+// GET /kiosk, POST /api/kiosk/staff { pin } → { masters }, POST /api/kiosk/exit { pin }
+const createKioskRouter = ({ signer, locations, page, pinGuard, secureCookies }) => {
+  const router = express.Router();
+
+  // The enrolled tablet behind the request; only in the salon its token names
+  const fromRequest = (req) => {
+    if (!signer) return null;
+    const device = signer.verify(readCookie(req, COOKIE_NAME));
+    return device && device.locationId === req.location.id ? device : null;
+  };
+
+  const requireKiosk = (req, res, next) => {
+    if (!fromRequest(req)) {
+      return res.status(403).json({ error: 'Цей пристрій не підключено як кіоск.' });
+    }
+    next();
+  };
+
+  router.get('/kiosk', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    if (!signer) {
+      return res.status(503).type('text/plain').send('Режим кіоску не налаштовано. Задайте KIOSK_SECRET.');
+    }
+    if (req.query.device) {
+      const token = String(req.query.device);
+      const device = signer.verify(token);
+      if (!device || !locations.get(device.locationId)) {
+        return res.status(403).type('text/plain').send('Посилання кіоску недійсне або застаріле.');
+      }
+      res.cookie(COOKIE_NAME, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: secureCookies,
+        expires: device.expiresAt,
+        path: '/',
+      });
+      return res.redirect(303, `${locations.get(device.locationId).pathPrefix || ''}/kiosk`);
+    }
+    if (!fromRequest(req)) {
+      return res.status(403).type('text/plain').send('Цей пристрій не підключено як кіоск. Відкрийте посилання з npm run kiosk-token.');
+    }
+    return page.send(req, res);
+  });
+
+  router.post('/api/kiosk/staff', requireKiosk, ...pinGuard, (req, res) =>
+    res.json({
+      masters: req.location.masters.filter((master) => master.active).map(({ id, name }) => ({ id, name })),
+    }));
+
+  router.post('/api/kiosk/exit', requireKiosk, ...pinGuard, (req, res) => {
+    res.clearCookie(COOKIE_NAME, { path: '/' });
+    return res.json({ success: true, url: `${req.location.pathPrefix || ''}/` });
+  });
+
+  return { router, fromRequest };
+};
+
+module.exports = { createKioskSigner, createKioskRouter, kioskTemplate };
@@ -0,0 +1,61 @@
+// Short-lived shared state with TTLs: rate-limit counters, the master-click
+// de-duplication and the alert throttle. In memory by default; with REDIS_URL set,
+// in Redis, so several instances behind a load balancer (and a restarted one) see
+// the same counters.
+//
+// Every store has the same async interface; values are strings and TTLs milliseconds:
+//
+//   get(key) → value | null
+//   set(key, value, ttlMs)
+//   setIfAbsent(key, value, ttlMs) → true if the key was free and is now set
+//   increment(key, ttlMs) → { count, expiresAt }; the TTL starts with the first increment
+//   decrement(key), delete(key), close()
+//
+// `local` tells whether the keys are only seen by this process.
+
+const { createMemoryStore } = require('./memory');
+const { createRedisStore } = require('./redis');
+
+const createKeyValueStore = ({ redisUrl, prefix }) =>
+  (redisUrl ? createRedisStore({ url: redisUrl, prefix }) : createMemoryStore());
+
+// Store for express-rate-limit on top of a key-value store; `prefix` keeps each
+// limiter's counters apart. Without `fallback` a store error reaches the limiter
+// (the guest limiters let the request through). With it, e.g. for the password and
+// PIN limiters, counting goes on in this process while the shared store is down.
+const createRateLimitStore = (kv, prefix, { fallback } = {}) => {
+  let windowMs = 60 * 1000;
+  let degraded = false;
+  const keyOf = (key) => `${prefix}${key}`;
+
+  const withFallback = async (action) => {
+    if (!fallback) return action(kv);
+    try {
+      const result = await action(kv);
+      degraded = false;
+      return result;
+    } catch (error) {
+      if (!degraded) {
+        degraded = true;
+        console.warn(`Rate limiter ${prefix} counts in this process: ${error && error.message}`);
+      }
+      return action(fallback);
+    }
+  };
+
+  return {
+    prefix,
+    localKeys: kv.local,
+    init: (options) => {
+      windowMs = options.windowMs;
+    },
+    increment: (key) => withFallback(async (target) => {
+      const { count, expiresAt } = await target.increment(keyOf(key), windowMs);
+      return { totalHits: count, resetTime: expiresAt };
+    }),
+    decrement: (key) => withFallback((target) => target.decrement(keyOf(key))),
+    resetKey: (key) => withFallback((target) => target.delete(keyOf(key))),
+  };
+};
+
+module.exports = { createKeyValueStore, createMemoryStore, createRateLimitStore };
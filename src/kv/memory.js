@@ -0,0 +1,67 @@
+// In-process key-value store: the default, and enough for a single instance.
+// Expired keys are dropped when read and by a sweep once a minute.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+  // key → { value, expiresAt }
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  if (sweep.unref) sweep.unref();
+
+  const get = async (key) => {
+    const entry = live(key);
+    return entry ? entry.value : null;
+  };
+
+  const set = async (key, value, ttlMs) => {
+    entries.set(key, { value: String(value), expiresAt: Date.now() + ttlMs });
+  };
+
+  const setIfAbsent = async (key, value, ttlMs) => {
+    if (live(key)) return false;
+    entries.set(key, { value: String(value), expiresAt: Date.now() + ttlMs });
+    return true;
+  };
+
+  const increment = async (key, ttlMs) => {
+    const entry = live(key) || { value: '0', expiresAt: Date.now() + ttlMs };
+    entry.value = String(Number(entry.value) + 1);
+    entries.set(key, entry);
+    return { count: Number(entry.value), expiresAt: new Date(entry.expiresAt) };
+  };
+
+  const decrement = async (key) => {
+    const entry = live(key);
+    if (entry && Number(entry.value) > 0) entry.value = String(Number(entry.value) - 1);
+  };
+
+  const remove = async (key) => {
+    entries.delete(key);
+  };
+
+  const close = async () => {
+    clearInterval(sweep);
+    entries.clear();
+  };
+
+  return { name: 'memory', local: true, get, set, setIfAbsent, increment, decrement, delete: remove, close };
+};
+
+module.exports = { createMemoryStore };
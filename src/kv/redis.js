@@ -0,0 +1,240 @@
+const net = require('net');
+const tls = require('tls');
+
+// Key-value store on Redis (or anything speaking its protocol: Valkey, KeyDB,
+// managed Redis), shared by every instance of the portal. A small RESP2 client over
+// one connection; no dependency. REDIS_URL is redis://[user:password@]host[:port][/db],
+// or rediss:// for TLS.
+//
+// Commands are pipelined and answered in order. A lost connection fails the
+// commands in flight and is re-established with backoff; while it is down commands
+// fail at once, so callers decide how to degrade. A command that gets no answer
+// within `commandTimeoutMs` drops the connection (the replies would no longer line up).
+
+const MAX_RECONNECT_DELAY_MS = 5000;
+
+// Fixed-window counter: the TTL is set when the window opens (or if the key lost it)
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { count, ttl }`;
+// Never creates the key or goes below zero
+const DECREMENT_SCRIPT = `
+if tonumber(redis.call('GET', KEYS[1]) or '0') > 0 then
+  return redis.call('DECR', KEYS[1])
+end
+return 0`;
+
+const encode = (args) =>
+  `*${args.length}\r\n${args.map((arg) => {
+    const text = String(arg);
+    return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+  }).join('')}`;
+
+// One reply from `buffer` at `offset` → { value, offset } | null when incomplete.
+// Error replies become Error values, so the caller can reject just that command.
+const parseReply = (buffer, offset) => {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+  if (type === '+') return { value: line, offset: next };
+  if (type === '-') return { value: new Error(`Redis: ${line}`), offset: next };
+  if (type === ':') return { value: Number(line), offset: next };
+  if (type === '$') {
+    const length = Number(line);
+    if (length === -1) return { value: null, offset: next };
+    if (buffer.length < next + length + 2) return null;
+    return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+  }
+  if (type === '*') {
+    const count = Number(line);
+    if (count === -1) return { value: null, offset: next };
+    const items = [];
+    let position = next;
+    for (let index = 0; index < count; index += 1) {
+      const item = parseReply(buffer, position);
+      if (!item) return null;
+      items.push(item.value);
+      position = item.offset;
+    }
+    return { value: items, offset: position };
+  }
+  throw new Error(`Unexpected Redis reply type ${JSON.stringify(type)}`);
+};
+
+const parseUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid REDIS_URL: ${error.message}`);
+  }
+  if (!['redis:', 'rediss:'].includes(parsed.protocol)) {
+    throw new Error('REDIS_URL must start with redis:// or rediss://');
+  }
+  const db = parsed.pathname.replace(/^\//, '');
+  if (db && !/^\d+$/.test(db)) throw new Error('REDIS_URL database must be a number');
+  return {
+    host: parsed.hostname || 'localhost',
+    port: Number(parsed.port || 6379),
+    tls: parsed.protocol === 'rediss:',
+    username: decodeURIComponent(parsed.username),
+    password: decodeURIComponent(parsed.password),
+    db: db ? Number(db) : 0,
+  };
+};
+
+const createRedisClient = ({ url, commandTimeoutMs }) => {
+  const options = parseUrl(url);
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  // Commands waiting for their reply, in the order they were sent
+  let pending = [];
+  let reconnectTimer = null;
+  let reconnectAttempts = 0;
+  let closed = false;
+  let warned = false;
+
+  const failPending = (error) => {
+    const failed = pending;
+    pending = [];
+    for (const entry of failed) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+  };
+
+  const send = (args) => new Promise((resolve, reject) => {
+    if (!socket || socket.destroyed) {
+      reject(new Error('Redis is not connected'));
+      return;
+    }
+    const entry = { resolve, reject };
+    entry.timer = setTimeout(() => {
+      if (socket) socket.destroy(new Error(`Redis command timed out after ${commandTimeoutMs}ms`));
+    }, commandTimeoutMs);
+    pending.push(entry);
+    socket.write(encode(args));
+  });
+
+  const onData = (chunk) => {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    let reply;
+    try {
+      while (offset < buffer.length && (reply = parseReply(buffer, offset))) {
+        offset = reply.offset;
+        const entry = pending.shift();
+        if (!entry) continue;
+        clearTimeout(entry.timer);
+        if (reply.value instanceof Error) entry.reject(reply.value);
+        else entry.resolve(reply.value);
+      }
+    } catch (error) {
+      socket.destroy(error);
+      return;
+    }
+    buffer = buffer.subarray(offset);
+  };
+
+  const connect = () => {
+    reconnectTimer = null;
+    buffer = Buffer.alloc(0);
+    socket = options.tls
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host })
+      : net.createConnection({ host: options.host, port: options.port });
+    socket.setNoDelay(true);
+    socket.on('data', onData);
+    socket.on('error', (error) => {
+      if (!warned) {
+        warned = true;
+        console.warn(`Redis connection error: ${error.message}`);
+      }
+    });
+    socket.on('close', () => {
+      socket = null;
+      failPending(new Error('Redis connection closed'));
+      if (closed) return;
+      const delayMs = Math.min(MAX_RECONNECT_DELAY_MS, 100 * 2 ** reconnectAttempts);
+      reconnectAttempts += 1;
+      reconnectTimer = setTimeout(connect, delayMs);
+      if (reconnectTimer.unref) reconnectTimer.unref();
+    });
+
+    // Written ahead of anything else, so they run first on the new connection
+    const handshake = [];
+    if (options.password) {
+      handshake.push(send(options.username ? ['AUTH', options.username, options.password] : ['AUTH', options.password]));
+    }
+    if (options.db) handshake.push(send(['SELECT', options.db]));
+    handshake.push(send(['PING']));
+    Promise.all(handshake).then(() => {
+      if (warned || reconnectAttempts) console.log(`Redis connected (${options.host}:${options.port})`);
+      warned = false;
+      reconnectAttempts = 0;
+    }, (error) => {
+      // A refused connection is already reported by the socket; this is AUTH or SELECT
+      if (!socket || socket.destroyed) return;
+      console.error(`Redis handshake failed: ${error.message}`);
+      socket.destroy();
+    });
+  };
+
+  const quit = async () => {
+    closed = true;
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    if (!socket) return;
+    await send(['QUIT']).catch(() => {});
+    if (socket) socket.end();
+  };
+
+  connect();
+  return { send, quit, address: `${options.host}:${options.port}` };
+};
+
+const createRedisStore = ({ url, prefix = '', commandTimeoutMs = 2000 }) => {
+  const client = createRedisClient({ url, commandTimeoutMs });
+  const keyOf = (key) => `${prefix}${key}`;
+
+  const get = (key) => client.send(['GET', keyOf(key)]);
+
+  const set = async (key, value, ttlMs) => {
+    await client.send(['SET', keyOf(key), value, 'PX', Math.max(1, Math.round(ttlMs))]);
+  };
+
+  const setIfAbsent = async (key, value, ttlMs) =>
+    (await client.send(['SET', keyOf(key), value, 'PX', Math.max(1, Math.round(ttlMs)), 'NX'])) === 'OK';
+
+  const increment = async (key, ttlMs) => {
+    const [count, ttl] = await client.send(['EVAL', INCREMENT_SCRIPT, 1, keyOf(key), Math.max(1, Math.round(ttlMs))]);
+    return { count, expiresAt: new Date(Date.now() + ttl) };
+  };
+
+  const decrement = async (key) => {
+    await client.send(['EVAL', DECREMENT_SCRIPT, 1, keyOf(key)]);
+  };
+
+  const remove = async (key) => {
+    await client.send(['DEL', keyOf(key)]);
+  };
+
+  return {
+    name: `redis (${client.address})`,
+    local: false,
+    get,
+    set,
+    setIfAbsent,
+    increment,
+    decrement,
+    delete: remove,
+    close: client.quit,
+  };
+};
+
+module.exports = { createRedisStore, createRedisClient, parseReply, encode };
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const { loadMasters } = require('./masters');
+const { escapeHtml } = require('./utils');
+
+// Salon profiles: one deployment can serve several locations.
+//
+// config/locations.json lists the salons; a request belongs to the one whose
+// `hosts` contain its hostname, or whose `pathPrefix` ("/kyiv-center") starts
+// its path, otherwise to the first (default) salon. A prefix is stripped before
+// routing, so /kyiv-center/masters is served by the same routes as /masters.
+//
+// Without the file the portal runs as a single salon configured from the
+// environment, exactly as before. Records created before locations existed
+// carry no `location` and count towards the default salon.
+
+const LOCATION_ID_REGEX = /^[a-z0-9-]{1,40}$/;
+const PATH_PREFIX_REGEX = /^\/[a-z0-9-]+$/;
+const HOST_REGEX = /^[a-z0-9.-]+$/;
+
+const validateLocation = (location, filePath) => {
+  const fail = (reason) => {
+    throw new Error(`Invalid location entry in ${filePath} (${reason}): ${JSON.stringify(location)}`);
+  };
+  if (!location || typeof location !== 'object') fail('not an object');
+  if (!LOCATION_ID_REGEX.test(location.id)) fail('id');
+  if (typeof location.name !== 'string' || !location.name.trim()) fail('name');
+  if (location.hosts !== undefined && !(Array.isArray(location.hosts) && location.hosts.every((host) => HOST_REGEX.test(host)))) {
+    fail('hosts');
+  }
+  if (location.pathPrefix !== undefined && !PATH_PREFIX_REGEX.test(location.pathPrefix)) fail('pathPrefix');
+  if (location.telegramChatId !== undefined && !/^-?\d+$/.test(String(location.telegramChatId))) fail('telegramChatId');
+  if (location.googleReviewUrl !== undefined && !/^https:\/\//.test(location.googleReviewUrl)) fail('googleReviewUrl');
+  if (location.reviewUrls !== undefined) {
+    const urls = location.reviewUrls;
+    const valid = urls && typeof urls === 'object' && Object.values(urls).every((url) => /^https:\/\//.test(url));
+    if (!valid) fail('reviewUrls');
+  }
+  if (location.masters !== undefined && typeof location.masters !== 'string') fail('masters');
+  if (location.logo !== undefined && !/^\/[\w./-]+$/.test(location.logo)) fail('logo');
+  if (location.altegioCompanyId !== undefined && !/^\d+$/.test(String(location.altegioCompanyId))) fail('altegioCompanyId');
+  if (location.texts !== undefined) {
+    const texts = location.texts;
+    const valid = texts && typeof texts === 'object'
+      && Object.values(texts).every((value) => typeof value === 'string'
+        || (value && typeof value === 'object' && Object.values(value).every((text) => typeof text === 'string')));
+    if (!valid) fail('texts');
+  }
+};
+
+const readLocations = (filePath) => {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read locations config at ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(entries) || !entries.length) {
+    throw new Error(`Locations config at ${filePath} must be a non-empty array`);
+  }
+  const seen = { id: new Set(), host: new Set(), prefix: new Set() };
+  const claim = (kind, value) => {
+    if (seen[kind].has(value)) {
+      throw new Error(`Duplicate location ${kind} in ${filePath}: ${value}`);
+    }
+    seen[kind].add(value);
+  };
+  for (const location of entries) {
+    validateLocation(location, filePath);
+    claim('id', location.id);
+    (location.hosts || []).forEach((host) => claim('host', host));
+    if (location.pathPrefix) claim('prefix', location.pathPrefix);
+  }
+  return entries;
+};
+
+// `defaults` are the environment settings: TELEGRAM_CHAT_ID, GOOGLE_REVIEW_URL and
+// MASTERS_CONFIG, which a salon inherits unless it sets its own value, and
+// ALTEGIO_COMPANY_ID, which only the default salon inherits.
+const loadLocations = (filePath, defaults) => {
+  const entries = fs.existsSync(filePath)
+    ? readLocations(filePath)
+    : [{ id: 'main', name: 'Хата Масажу' }];
+  // Per-salon masters catalogs are resolved relative to the locations file
+  const baseDir = path.dirname(filePath);
+  const mastersCache = new Map();
+  const readMasters = (mastersPath) => {
+    const resolved = path.resolve(baseDir, mastersPath);
+    if (!mastersCache.has(resolved)) mastersCache.set(resolved, loadMasters(resolved));
+    return mastersCache.get(resolved);
+  };
+
+  return entries.map((entry, index) => ({
+    id: entry.id,
+    name: entry.name,
+    hosts: entry.hosts || [],
+    pathPrefix: entry.pathPrefix || null,
+    telegramChatId: entry.telegramChatId !== undefined ? String(entry.telegramChatId) : defaults.telegramChatId || null,
+    googleReviewUrl: entry.googleReviewUrl || defaults.googleReviewUrl || null,
+    // Other review platforms (config/redirect-policy.json) by id → this salon's page there
+    reviewUrls: entry.reviewUrls || {},
+    masters: readMasters(entry.masters || defaults.mastersPath),
+    logo: entry.logo || null,
+    texts: entry.texts || {},
+    altegioCompanyId: entry.altegioCompanyId !== undefined
+      ? String(entry.altegioCompanyId)
+      : (index === 0 && defaults.altegioCompanyId) || null,
+  }));
+};
+
+// Fills a page template for one salon: {{location.base}} (its path prefix, used
+// for links and API calls) and its own logo instead of the default logo block
+const brandTemplate = (template, location) => {
+  const withBase = template.replace(/\{\{location\.base\}\}/g, location.pathPrefix || '');
+  if (!location.logo) return withBase;
+  return withBase.replace(
+    /<!-- location:logo -->[\s\S]*?<!-- \/location:logo -->/,
+    `<img src="${escapeHtml(location.logo)}" alt="{{meta.logoAlt}}" class="logo" width="96" height="128" fetchpriority="high" decoding="async" />`,
+  );
+};
+
+const createLocations = (list) => {
+  const [defaultLocation] = list;
+  const byId = new Map(list.map((location) => [location.id, location]));
+  const byHost = new Map(list.flatMap((location) => location.hosts.map((host) => [host, location])));
+  const withPrefix = list.filter((location) => location.pathPrefix);
+
+  const get = (id) => byId.get(id) || null;
+
+  // Legacy records (no `location`) belong to the default salon
+  const of = (record) => (record && byId.has(record.location) ? record.location : defaultLocation.id);
+
+  const isMulti = list.length > 1;
+
+  // Every salon's masters, once each; a master may work in several salons
+  const allMasters = () => {
+    const seen = new Map();
+    for (const location of list) {
+      for (const master of location.masters) {
+        if (!seen.has(master.id)) seen.set(master.id, master);
+      }
+    }
+    return [...seen.values()];
+  };
+
+  // Sets req.location; strips a path prefix so the usual routes handle the request
+  const middleware = (req, res, next) => {
+    const prefixed = withPrefix.find(
+      (location) => req.path === location.pathPrefix || req.path.startsWith(`${location.pathPrefix}/`),
+    );
+    if (prefixed) {
+      // Relative links and API calls on the page need the trailing slash
+      if (req.path === prefixed.pathPrefix) {
+        const queryIndex = req.originalUrl.indexOf('?');
+        return res.redirect(301, `${prefixed.pathPrefix}/${queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex)}`);
+      }
+      req.location = prefixed;
+      req.url = req.url.slice(prefixed.pathPrefix.length);
+      return next();
+    }
+    req.location = byHost.get(String(req.hostname || '').toLowerCase()) || defaultLocation;
+    next();
+  };
+
+  // Public address of a salon's review page, e.g. for invitation links
+  const baseUrlFor = (location, fallbackOrigin) => {
+    if (location.hosts.length) return `https://${location.hosts[0]}`;
+    return `${fallbackOrigin.replace(/\/+$/, '')}${location.pathPrefix || ''}`;
+  };
+
+  // alteg.io company → salon; null when the company isn't one of ours.
+  // Without any company ids configured every record belongs to the default salon.
+  const forAltegioCompany = (companyId) => {
+    if (!companyId || !list.some((location) => location.altegioCompanyId)) return defaultLocation;
+    return list.find((location) => location.altegioCompanyId === String(companyId)) || null;
+  };
+
+  // One rendered page per salon (branding, text overrides) and per language.
+  // `template` is the page template or a function of the salon returning it.
+  const createPage = (i18n, template) => {
+    const pages = new Map(
+      list.map((location) => {
+        const source = typeof template === 'function' ? template(location) : template;
+        return [location.id, i18n.createPage(brandTemplate(source, location), location.texts)];
+      }),
+    );
+    return { send: (req, res) => pages.get((req.location || defaultLocation).id).send(req, res) };
+  };
+
+  // Telegram chat per salon, for the telegram channel
+  const telegramChats = () =>
+    Object.fromEntries(list.filter((location) => location.telegramChatId).map((location) => [location.id, location.telegramChatId]));
+
+  // Chats allowed to use the bot → the salon they cover: the main chat sees every
+  // salon, a salon's own chat only that salon
+  const botChatScopes = (mainChatId) => {
+    const scopes = mainChatId ? { [String(mainChatId)]: null } : {};
+    for (const location of list) {
+      if (location.telegramChatId && !(location.telegramChatId in scopes)) {
+        scopes[location.telegramChatId] = location.id;
+      }
+    }
+    return scopes;
+  };
+
+  return {
+    list,
+    default: defaultLocation,
+    isMulti,
+    get,
+    of,
+    allMasters,
+    middleware,
+    baseUrlFor,
+    forAltegioCompany,
+    createPage,
+    telegramChats,
+    botChatScopes,
+  };
+};
+
+module.exports = { loadLocations, createLocations };
@@ -0,0 +1,248 @@
+const express = require('express');
+const fs = require('fs');
+const {
+  MAX_NAME_LENGTH,
+  MAX_REASON_LENGTH,
+  sanitizeText,
+  isValidRating,
+  escapeHtml,
+  getClientIp,
+} = require('./utils');
+const { summarize } = require('./reports');
+
+const MASTER_ID_REGEX = /^[a-z0-9-]{1,40}$/;
+const PHOTO_NAME_REGEX = /^[a-z0-9-]{1,60}$/;
+const PHOTO_WIDTHS = [320, 432, 864, 1296];
+const PHOTO_SIZES = '(max-width: 560px) calc(100vw - 48px), 432px';
+
+// Crop hints map onto the .person-img modifiers in styles.css
+const ZOOM_CLASSES = { 1: null, 1.15: 'zoom-115', 1.25: 'zoom-125', 1.35: 'zoom-135', 1.5: 'zoom', 1.55: 'zoom-155' };
+const POSITION_CLASSES = { top: null, center: 'centered', 'top-46': 'pos-top-46' };
+
+const validateMaster = (master, filePath) => {
+  const fail = (reason) => {
+    throw new Error(`Invalid master entry in ${filePath} (${reason}): ${JSON.stringify(master)}`);
+  };
+  if (!master || typeof master !== 'object') fail('not an object');
+  if (!MASTER_ID_REGEX.test(master.id)) fail('id');
+  if (typeof master.name !== 'string' || !master.name.trim()) fail('name');
+  if (!PHOTO_NAME_REGEX.test(master.photo)) fail('photo');
+  if (master.photoVersion !== undefined && !/^[\w.-]+$/.test(String(master.photoVersion))) fail('photoVersion');
+  const crop = master.crop || {};
+  if (crop.zoom !== undefined && !Object.prototype.hasOwnProperty.call(ZOOM_CLASSES, crop.zoom)) fail('crop.zoom');
+  if (crop.position !== undefined && !Object.prototype.hasOwnProperty.call(POSITION_CLASSES, crop.position)) fail('crop.position');
+  if (master.bookingUrl !== undefined && !/^https:\/\//.test(master.bookingUrl)) fail('bookingUrl');
+  if (master.altegioStaffId !== undefined && !(Number.isInteger(master.altegioStaffId) && master.altegioStaffId > 0)) {
+    fail('altegioStaffId');
+  }
+};
+
+const loadMasters = (filePath) => {
+  let masters;
+  try {
+    masters = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read masters config at ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(masters)) {
+    throw new Error(`Masters config at ${filePath} must be an array`);
+  }
+  const seen = new Set();
+  for (const master of masters) {
+    validateMaster(master, filePath);
+    if (seen.has(master.id)) {
+      throw new Error(`Duplicate master id in ${filePath}: ${master.id}`);
+    }
+    seen.add(master.id);
+  }
+  return masters.map((master) => ({ ...master, active: master.active !== false }));
+};
+
+const activeMasters = (masters) => masters.filter((master) => master.active);
+
+const photoUrl = (master, width, ext) =>
+  `/masters/${master.photo}-${width}.${ext}${master.photoVersion ? `?v=${master.photoVersion}` : ''}`;
+
+const photoSrcset = (master, ext) => PHOTO_WIDTHS.map((width) => `${photoUrl(master, width, ext)} ${width}w`).join(', ');
+
+const cropClasses = (master) => {
+  const crop = master.crop || {};
+  return ['person-img', POSITION_CLASSES[crop.position], ZOOM_CLASSES[crop.zoom]].filter(Boolean).join(' ');
+};
+
+const toPublicMaster = (master) => ({
+  id: master.id,
+  name: master.name,
+  bookingUrl: master.bookingUrl || null,
+  photo: {
+    src: photoUrl(master, 432, 'jpg'),
+    srcsetWebp: photoSrcset(master, 'webp'),
+    srcsetJpeg: photoSrcset(master, 'jpg'),
+    sizes: PHOTO_SIZES,
+  },
+});
+
+const renderMasterCard = (master, index) => {
+  const name = escapeHtml(master.name);
+  // Only the first card is above the fold on phones
+  const loading = index === 0 ? 'fetchpriority="high"' : 'loading="lazy"';
+  const bookingLink = master.bookingUrl
+    ? `\n             <a class="btn primary" data-master="${name}" href="${escapeHtml(master.bookingUrl)}">{{masters.leaveReview}}</a>`
+    : '';
+  return `          <!-- Master ${index + 1} -->
+          <article class="person" data-master-id="${master.id}">
+            <div class="person-media">
+              <picture>
+                <source type="image/webp" srcset="${escapeHtml(photoSrcset(master, 'webp'))}" sizes="${PHOTO_SIZES}" />
+                <source type="image/jpeg" srcset="${escapeHtml(photoSrcset(master, 'jpg'))}" sizes="${PHOTO_SIZES}" />
+                <img class="${cropClasses(master)}" src="${escapeHtml(photoUrl(master, 432, 'jpg'))}" alt="{{masters.photoAlt}} ${name}" width="432" height="432" decoding="async" ${loading} />
+              </picture>
+            </div>
+            <div class="person-body">
+              <h3 class="person-name">${name}</h3>
+              <div class="person-actions">${bookingLink}
+              </div>
+            </div>
+          </article>`;
+};
+
+const renderMastersPage = (template, masters) => {
+  const visible = activeMasters(masters);
+  const first = visible[0];
+  const preload = first
+    ? `    <link rel="preload" as="image" href="${escapeHtml(photoUrl(first, 320, 'webp'))}" imagesrcset="${escapeHtml(
+        `${photoUrl(first, 320, 'webp')} 320w, ${photoUrl(first, 432, 'webp')} 432w`,
+      )}" imagesizes="${PHOTO_SIZES}" />`
+    : '';
+  return template
+    .replace('<!-- masters:preload -->', preload)
+    .replace('<!-- masters:cards -->', visible.map(renderMasterCard).join('\n'));
+};
+
+// Per-master averages over the in-portal master reviews
+const summarizeMasterReviews = (masters, masterReviews) =>
+  masters.map((master) => {
+    const reviews = masterReviews.filter((review) => review.masterId === master.id);
+    return { id: master.id, name: master.name, ...summarize(reviews) };
+  });
+
+// Stores an in-portal master review and announces it to staff; also used when
+// a quarantined review is published from the admin panel
+const createMasterReviews = ({ store, i18n, notify }) => {
+  const publish = async (fields) => {
+    const stored = await store.insert('masterReviews', { ...fields, telegramStatus: 'pending' });
+    const guestReview = stored.reviewId ? store.findById('reviews', stored.reviewId) : null;
+    if (guestReview && !guestReview.master) {
+      await store.update('reviews', guestReview.id, { master: stored.masterName });
+    }
+
+    const stats = summarize(store.list('masterReviews', (review) => review.masterId === stored.masterId));
+
+    try {
+      await notify({
+        event: 'master_review.created',
+        values: {
+          master: stored.masterName,
+          name: stored.name || 'Невідомо',
+          rating: stored.rating,
+          comment: stored.comment,
+          language: i18n.guestLanguage(stored.locale),
+          average: stats.average,
+          count: stats.count,
+        },
+        rating: stored.rating,
+        location: stored.location,
+        ref: { collection: 'masterReviews', id: stored.id },
+      });
+    } catch (error) {
+      console.error('Failed to send master review notification', error);
+      await store.update('masterReviews', stored.id, { telegramStatus: 'failed' });
+    }
+    return stored;
+  };
+
+  return { publish };
+};
+
+// Each salon shows and accepts reviews for its own masters (req.location)
+const createMastersRouter = ({ store, locations, i18n, templatePath, limiter, masterReviews, spamGuard, onError }) => {
+  const router = express.Router();
+  const template = fs.readFileSync(templatePath, 'utf8');
+  const page = locations.createPage(i18n, (location) => renderMastersPage(template, location.masters));
+  const findMaster = (location, id) => activeMasters(location.masters).find((master) => master.id === id) || null;
+
+  router.get('/masters', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    page.send(req, res);
+  });
+
+  router.get('/api/masters', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({ masters: activeMasters(req.location.masters).map(toPublicMaster) });
+  });
+
+  router.post('/api/masters/:id/review', limiter, async (req, res) => {
+    try {
+      const master = findMaster(req.location, req.params.id);
+      if (!master) {
+        return res.status(404).json({ error: req.t('errors.masterNotFound') });
+      }
+
+      const { name, rating, comment, reviewId, nonce, website, sid } = req.body || {};
+      const numericRating = Number(rating);
+      if (!isValidRating(numericRating)) {
+        return res.status(400).json({ error: req.t('errors.ratingInvalid') });
+      }
+
+      const guestReview = typeof reviewId === 'string' ? store.findById('reviews', reviewId) : null;
+      const fields = {
+        masterId: master.id,
+        masterName: master.name,
+        name: sanitizeText(name, MAX_NAME_LENGTH),
+        rating: numericRating,
+        comment: sanitizeText(comment, MAX_REASON_LENGTH),
+        reviewId: guestReview ? guestReview.id : null,
+        location: req.location.id,
+        locale: req.locale,
+      };
+
+      const reasons = await spamGuard.inspectForm({
+        nonce,
+        honeypot: website,
+        text: fields.comment,
+        name: fields.name,
+        ip: getClientIp(req),
+        sid,
+      });
+      if (reasons.length) {
+        await spamGuard.quarantine('master_review', {
+          record: fields,
+          text: fields.comment,
+          reasons,
+          location: fields.location,
+          ip: getClientIp(req),
+        });
+      } else {
+        await masterReviews.publish(fields);
+      }
+
+      return res.json({ success: true, bookingUrl: master.bookingUrl || null });
+    } catch (error) {
+      console.error('Failed to process master review', error);
+      await onError(error);
+      return res.status(500).json({ error: req.t('errors.reviewFailed') });
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  PHOTO_WIDTHS,
+  loadMasters,
+  activeMasters,
+  renderMastersPage,
+  summarizeMasterReviews,
+  createMasterReviews,
+  createMastersRouter,
+};
@@ -0,0 +1,231 @@
+// Durable outbox for outgoing messages.
+//
+// Messages are written to the store before anything is sent, delivered one at a
+// time in the background and retried with exponential backoff. A 429 pauses every
+// message with the same `pauseKey` (the channel: Telegram limits the whole bot, not
+// one message) for `retry_after` seconds or the Retry-After header; the rest of the
+// queue goes on. Messages that run out of attempts, or that the channel rejects
+// outright, are parked with status "dead" until someone retries them from the admin.
+// `deliver` gets the stored message and picks the channel by `message.channel`.
+// Outbound event webhooks run a second queue of their own (`collection`, `label`,
+// paused per endpoint).
+
+const SENT_RETENTION_MS = 14 * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_ERROR_LENGTH = 300;
+
+const describeError = (error) => {
+  const response = error && error.response;
+  const description = response && response.data && response.data.description;
+  const text = response
+    ? `HTTP ${response.status}${description ? `: ${description}` : ''}`
+    : (error && (error.code || error.message)) || 'Unknown error';
+  return String(text).slice(0, MAX_ERROR_LENGTH);
+};
+
+const classifyError = (error) => {
+  // Channels flag rejections that a retry won't fix (SMTP 5xx, unknown Viber receiver)
+  if (error && error.permanent) {
+    return { retry: false };
+  }
+  const response = error && error.response;
+  if (!response) {
+    // Timeout / connection level issue without HTTP response
+    return { retry: true };
+  }
+  if (response.status === 429) {
+    const retryAfter = Number((response.data && response.data.parameters && response.data.parameters.retry_after)
+      || (response.headers && response.headers['retry-after']));
+    return { retry: true, throttleMs: (Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : 1) * 1000 };
+  }
+  if (response.status >= 500) {
+    return { retry: true };
+  }
+  // 400/403 etc. will fail the same way next time
+  return { retry: false };
+};
+
+const createNotificationQueue = ({
+  store,
+  deliver,
+  onSettled,
+  maxAttempts,
+  baseDelayMs,
+  maxDelayMs,
+  collection = 'outbox',
+  label = 'Notification',
+  pauseKey = (message) => message.channel,
+}) => {
+  let timer = null;
+  let running = false;
+  let rerun = false;
+  // pause key → when its messages may be sent again
+  const pausedUntil = new Map();
+  let lastPruneAt = 0;
+
+  const backoffMs = (attempts) => {
+    const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    // ±20% jitter so a backlog doesn't retry in lockstep
+    return Math.round(exponential * (0.8 + Math.random() * 0.4));
+  };
+
+  const schedule = (delayMs) => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(tick, Math.max(0, delayMs));
+    if (timer.unref) timer.unref();
+  };
+
+  const settle = async (message, status) => {
+    if (!onSettled) return;
+    try {
+      await onSettled(message, status);
+    } catch (error) {
+      console.error(`${label} settle hook failed`, error && error.message);
+    }
+  };
+
+  const attempt = async (message) => {
+    const attempts = (message.attempts || 0) + 1;
+    try {
+      // Whatever the channel reports back (e.g. the Telegram message id) is kept for onSettled
+      const result = await deliver(message);
+      const sent = await store.update(collection, message.id, {
+        status: 'sent',
+        attempts,
+        sentAt: new Date().toISOString(),
+        lastError: null,
+        result: result || null,
+      });
+      await settle(sent, 'sent');
+    } catch (error) {
+      const { retry, throttleMs } = classifyError(error);
+      const lastError = describeError(error);
+      if (throttleMs) {
+        pausedUntil.set(pauseKey(message), Date.now() + throttleMs);
+      }
+
+      if (!retry || attempts >= maxAttempts) {
+        console.error(`${label} ${message.id} moved to dead letters after ${attempts} attempt(s): ${lastError}`);
+        const dead = await store.update(collection, message.id, {
+          status: 'dead',
+          attempts,
+          lastError,
+          deadAt: new Date().toISOString(),
+        });
+        await settle(dead, 'dead');
+        return;
+      }
+
+      const delayMs = Math.max(backoffMs(attempts), throttleMs || 0);
+      console.warn(`${label} ${message.id} failed (attempt ${attempts}/${maxAttempts}), retrying in ${delayMs}ms: ${lastError}`);
+      await store.update(collection, message.id, {
+        attempts,
+        lastError,
+        nextAttemptAt: new Date(Date.now() + delayMs).toISOString(),
+      });
+    }
+  };
+
+  const prune = async () => {
+    const now = Date.now();
+    if (now - lastPruneAt < PRUNE_INTERVAL_MS) return;
+    lastPruneAt = now;
+    await store.remove(collection, (message) =>
+      message.status === 'sent' && now - new Date(message.sentAt).getTime() > SENT_RETENTION_MS);
+  };
+
+  // The pending message to send next → { message, dueAt } | null; a paused key holds its messages back
+  const nextDue = (now) => {
+    for (const [key, until] of pausedUntil) {
+      if (until <= now) pausedUntil.delete(key);
+    }
+    return store
+      .list(collection, (message) => message.status === 'pending')
+      .map((message) => ({
+        message,
+        dueAt: Math.max(new Date(message.nextAttemptAt).getTime(), pausedUntil.get(pauseKey(message)) || 0),
+      }))
+      .sort((a, b) => (a.dueAt === b.dueAt
+        ? (a.message.createdAt < b.message.createdAt ? -1 : 1)
+        : a.dueAt - b.dueAt))[0] || null;
+  };
+
+  async function tick() {
+    timer = null;
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+
+    try {
+      await prune();
+      for (;;) {
+        const now = Date.now();
+        const next = nextDue(now);
+        if (!next) return;
+        if (next.dueAt > now) {
+          schedule(next.dueAt - now);
+          return;
+        }
+        await attempt(next.message);
+      }
+    } catch (error) {
+      console.error(`${label} queue failure`, error);
+      schedule(baseDelayMs);
+    } finally {
+      running = false;
+      if (rerun) {
+        rerun = false;
+        schedule(0);
+      }
+    }
+  }
+
+  // { channel, method, payload, ref } for notifications; the fields are stored as given
+  const enqueue = async ({ ref = null, ...fields }) => {
+    const message = await store.insert(collection, {
+      ...fields,
+      ref,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      lastError: null,
+    });
+    schedule(0);
+    return message;
+  };
+
+  const retry = async (id) => {
+    const message = store.findById(collection, id);
+    if (!message || message.status !== 'dead') return null;
+    const updated = await store.update(collection, id, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      deadAt: null,
+    });
+    schedule(0);
+    return updated;
+  };
+
+  const retryAllDead = async () => {
+    const dead = store.list(collection, (message) => message.status === 'dead');
+    for (const message of dead) {
+      await retry(message.id);
+    }
+    return dead.length;
+  };
+
+  const listDead = () =>
+    store.list(collection, (message) => message.status === 'dead').sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+
+  const countPending = () => store.list(collection, (message) => message.status === 'pending').length;
+
+  // Resume whatever was still pending before a restart
+  const start = () => schedule(0);
+
+  return { start, enqueue, retry, retryAllDead, listDead, countPending };
+};
+
+module.exports = { createNotificationQueue, classifyError };
@@ -0,0 +1,40 @@
+const nodemailer = require('nodemailer');
+
+const MAX_SUBJECT_LENGTH = 120;
+
+// First line of the message without leading emoji makes a readable subject
+const subjectFrom = (text) => {
+  const firstLine = String(text || '').split('\n').find((line) => line.trim()) || 'Hata Masazhu';
+  return firstLine.replace(/^[^\p{L}\p{N}]+/u, '').trim().slice(0, MAX_SUBJECT_LENGTH) || 'Hata Masazhu';
+};
+
+const createEmailChannel = ({ host, port, secure, user, pass, from, to }) => {
+  const transporter = host
+    ? nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    })
+    : null;
+
+  return {
+    name: 'email',
+    isConfigured: () => Boolean(transporter && from && to),
+    missingConfig: 'SMTP_HOST, SMTP_FROM and NOTIFY_EMAIL_TO',
+    buildMessages: ({ text, subject }) => [{ method: 'sendMail', payload: { subject: subject || subjectFrom(text), text } }],
+    send: async ({ payload }) => {
+      try {
+        await transporter.sendMail({ from, to, subject: payload.subject, text: payload.text });
+      } catch (error) {
+        // SMTP 5xx replies are permanent (bad recipient, rejected content)
+        if (error && error.responseCode >= 500) {
+          error.permanent = true;
+        }
+        throw error;
+      }
+    },
+  };
+};
+
+module.exports = { createEmailChannel };
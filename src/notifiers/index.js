@@ -0,0 +1,116 @@
+// Notification channels and the routing rules that decide which channel gets what.
+//
+// Every notification carries an event name (see EVENTS) and, for reviews, a rating.
+// config/notifications.json lists per channel which events it wants and an optional
+// rating window, e.g. email only for review.created with rating ≤ 3. Matching
+// channels get their own outbox messages, so a Viber outage never delays Telegram.
+// With several salons a rule can be limited to some of them ("locations": [...]);
+// Telegram additionally sends each salon's messages to that salon's chat.
+// Guest-facing messages (SMS invitations) name their channel explicitly instead.
+
+const fs = require('fs');
+
+const EVENTS = [
+  'review.created',
+  'review.google_click',
+  'review.master_click',
+  'master_review.created',
+  'voucher.redeemed',
+  'case.escalation',
+  'alert',
+  'digest',
+  'bot.reply',
+  'visit.invitation',
+];
+
+const validateRule = (name, rule, filePath) => {
+  const fail = (reason) => {
+    throw new Error(`Invalid notification rule for "${name}" in ${filePath} (${reason}): ${JSON.stringify(rule)}`);
+  };
+  if (!rule || typeof rule !== 'object') fail('not an object');
+  if (rule.events !== '*') {
+    if (!Array.isArray(rule.events)) fail('events must be "*" or a list');
+    const unknown = rule.events.filter((event) => !EVENTS.includes(event));
+    if (unknown.length) fail(`unknown events: ${unknown.join(', ')}`);
+  }
+  for (const key of ['minRating', 'maxRating']) {
+    if (rule[key] !== undefined && !(Number.isInteger(rule[key]) && rule[key] >= 1 && rule[key] <= 5)) fail(key);
+  }
+  if (rule.locations !== undefined && !(Array.isArray(rule.locations) && rule.locations.every((id) => typeof id === 'string'))) {
+    fail('locations must be a list of location ids');
+  }
+};
+
+const loadNotificationRoutes = (filePath, channelNames) => {
+  let routes;
+  try {
+    routes = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read notification config at ${filePath}: ${error.message}`);
+  }
+  if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+    throw new Error(`Notification config at ${filePath} must be an object keyed by channel`);
+  }
+  for (const [name, rule] of Object.entries(routes)) {
+    if (!channelNames.includes(name)) {
+      throw new Error(`Unknown notification channel in ${filePath}: ${name}`);
+    }
+    validateRule(name, rule, filePath);
+  }
+  return routes;
+};
+
+// Rating bounds only apply to notifications about a rating; anything else skips such rules
+const matchesRule = (rule, { event, rating, location }) => {
+  if (!rule || rule.enabled === false) return false;
+  if (rule.events !== '*' && !rule.events.includes(event)) return false;
+  if (rule.locations && location && !rule.locations.includes(location)) return false;
+  if (rule.minRating === undefined && rule.maxRating === undefined) return true;
+  if (!Number.isFinite(rating)) return false;
+  if (rule.minRating !== undefined && rating < rule.minRating) return false;
+  if (rule.maxRating !== undefined && rating > rule.maxRating) return false;
+  return true;
+};
+
+const createNotifier = ({ channels, routes, queue }) => {
+  const byName = new Map(channels.map((channel) => [channel.name, channel]));
+  const configured = () => channels.filter((channel) => channel.isConfigured());
+
+  // Queues one outbox message per matching channel; resolves with the queued messages.
+  // `channels` bypasses the routing rules (bot replies must go back to Telegram, to `chatId`).
+  // `buttons` are Telegram inline keyboard rows; other channels leave them out.
+  const notify = async ({ event, text, formatted, subject, phone, rating, location, chatId, buttons, ref = null, channels: only }) => {
+    const available = configured();
+    const targets = only
+      ? available.filter((channel) => only.includes(channel.name))
+      : available.filter((channel) => matchesRule(routes[channel.name], { event, rating, location }));
+
+    if (!targets.length && (only || !available.length)) {
+      const wanted = only ? only.map((name) => byName.get(name)) : channels;
+      const missing = wanted.filter(Boolean).map((channel) => channel.missingConfig).join(' or ');
+      throw new Error(`Notification channel is not configured. Please set ${missing}.`);
+    }
+
+    const queued = [];
+    for (const channel of targets) {
+      for (const { method, payload } of channel.buildMessages({ text, formatted, subject, phone, location, chatId, buttons })) {
+        queued.push(await queue.enqueue({ channel: channel.name, method, payload, ref }));
+      }
+    }
+    return queued;
+  };
+
+  const deliver = (message) => {
+    const channel = byName.get(message.channel);
+    if (!channel) {
+      const error = new Error(`Unknown notification channel: ${message.channel}`);
+      error.permanent = true;
+      return Promise.reject(error);
+    }
+    return channel.send(message);
+  };
+
+  return { notify, deliver, configuredChannels: () => configured().map((channel) => channel.name) };
+};
+
+module.exports = { EVENTS, loadNotificationRoutes, matchesRule, createNotifier };
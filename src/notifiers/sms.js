@@ -0,0 +1,33 @@
+const axios = require('axios');
+
+// TurboSMS HTTP API: 0 and 800-803 mean the message was accepted
+const SUCCESS_CODES = new Set([0, 800, 801, 802, 803]);
+
+const createSmsChannel = ({ apiUrl, token, sender, timeoutMs }) => {
+  const client = axios.create({
+    baseURL: apiUrl,
+    timeout: timeoutMs,
+    headers: { Authorization: `Bearer ${token || ''}` },
+  });
+
+  return {
+    name: 'sms',
+    isConfigured: () => Boolean(token && sender),
+    missingConfig: 'SMS_API_TOKEN and SMS_SENDER',
+    // SMS goes to a guest, so there is nothing to send without their number
+    buildMessages: ({ text, phone }) =>
+      (phone ? [{ method: 'send', payload: { recipients: [phone], sms: { sender, text } } }] : []),
+    send: async ({ payload }) => {
+      const response = await client.post('/message/send.json', payload);
+      const { response_code: code, response_status: status } = response.data || {};
+      if (!SUCCESS_CODES.has(code)) {
+        // Bad number, unknown sender name, empty balance: a retry won't help
+        const error = new Error(`SMS API code ${code}: ${status || 'unknown error'}`);
+        error.permanent = true;
+        throw error;
+      }
+    },
+  };
+};
+
+module.exports = { createSmsChannel };
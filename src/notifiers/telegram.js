@@ -0,0 +1,56 @@
+const axios = require('axios');
+
+const isBadRequest = (error, pattern) => {
+  const response = error && error.response;
+  return Boolean(response && response.status === 400 && pattern.test(response.data && response.data.description));
+};
+
+const isParseError = (error) => isBadRequest(error, /can't parse entities/i);
+// Editing a message to what it already says is not a failure
+const isNotModified = (error) => isBadRequest(error, /message is not modified/i);
+
+// `locationChats` maps salon ids to their own chats; other messages go to `chatId`
+const createTelegramChannel = ({ apiUrl, token, chatId, locationChats = {}, timeoutMs }) => {
+  const client = axios.create({ baseURL: apiUrl, timeout: timeoutMs });
+
+  return {
+    name: 'telegram',
+    isConfigured: () => Boolean(token && (chatId || Object.keys(locationChats).length)),
+    missingConfig: 'TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID',
+    // Formatted text goes with parse_mode; the plain one is kept as a fallback.
+    // `buttons` become an inline keyboard under the message.
+    buildMessages: ({ text, formatted, location, chatId: replyTo, buttons }) => {
+      const target = replyTo || (location && locationChats[location]) || chatId;
+      if (!target) return [];
+      return [{
+        method: 'sendMessage',
+        payload: {
+          ...(formatted
+            ? { chat_id: target, text: formatted.text, parse_mode: formatted.parseMode, fallbackText: text }
+            : { chat_id: target, text }),
+          ...(buttons ? { reply_markup: { inline_keyboard: buttons } } : {}),
+        },
+      }];
+    },
+    // Resolves with { chatId, messageId } for a sent message, so it can be edited later
+    send: async ({ method, payload }) => {
+      const { fallbackText, ...body } = payload;
+      let response;
+      try {
+        response = await client.post(`/bot${token}/${method}`, body);
+      } catch (error) {
+        if (isNotModified(error)) return null;
+        // A template with broken markup must not swallow the notification
+        if (!fallbackText || !isParseError(error)) throw error;
+        console.warn('Telegram rejected message markup, sending plain text:', error.response.data.description);
+        const plain = { ...body, text: fallbackText };
+        delete plain.parse_mode;
+        response = await client.post(`/bot${token}/${method}`, plain);
+      }
+      const result = response.data && response.data.result;
+      return result && result.message_id ? { chatId: String(result.chat.id), messageId: result.message_id } : null;
+    },
+  };
+};
+
+module.exports = { createTelegramChannel };
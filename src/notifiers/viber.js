@@ -0,0 +1,36 @@
+const axios = require('axios');
+
+// Viber REST API answers HTTP 200 with a non-zero status on errors. These ones
+// will not succeed on retry: invalid token, bad data, unknown or unsubscribed receiver.
+const PERMANENT_STATUSES = new Set([2, 3, 5, 6]);
+
+const createViberChannel = ({ apiUrl, token, receivers, senderName, timeoutMs }) => {
+  const client = axios.create({
+    baseURL: apiUrl,
+    timeout: timeoutMs,
+    headers: { 'X-Viber-Auth-Token': token || '' },
+  });
+
+  return {
+    name: 'viber',
+    isConfigured: () => Boolean(token && receivers.length),
+    missingConfig: 'VIBER_AUTH_TOKEN and VIBER_RECEIVERS',
+    // One message per subscriber so a single blocked receiver doesn't hold up the rest
+    buildMessages: ({ text }) =>
+      receivers.map((receiver) => ({
+        method: 'send_message',
+        payload: { receiver, type: 'text', text, sender: { name: senderName } },
+      })),
+    send: async ({ method, payload }) => {
+      const response = await client.post(`/pa/${method}`, payload);
+      const { status, status_message: statusMessage } = response.data || {};
+      if (status) {
+        const error = new Error(`Viber API status ${status}: ${statusMessage || 'unknown error'}`);
+        error.permanent = PERMANENT_STATUSES.has(status);
+        throw error;
+      }
+    },
+  };
+};
+
+module.exports = { createViberChannel };
@@ -0,0 +1,14 @@
+const axios = require('axios');
+
+// Incoming webhooks in the Slack / Mattermost format: POST {"text": "..."}
+const createWebhookChannel = ({ url, timeoutMs }) => ({
+  name: 'webhook',
+  isConfigured: () => Boolean(url),
+  missingConfig: 'NOTIFY_WEBHOOK_URL',
+  buildMessages: ({ text }) => [{ method: 'post', payload: { text } }],
+  send: async ({ payload }) => {
+    await axios.post(url, payload, { timeout: timeoutMs });
+  },
+});
+
+module.exports = { createWebhookChannel };
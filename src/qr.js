@@ -0,0 +1,120 @@
+const fs = require('fs');
+const QRCode = require('qrcode');
+const { escapeHtml } = require('./utils');
+
+// QR codes are drawn on the server (the qrcode package), in the brand color.
+//
+// Printed codes lead to the review form or the masters page with ?src=<source>
+// and optionally &master=<master id>. Sources are the places and campaigns the
+// codes hang in, named in config/qr-sources.json ("room-2" → "кімната 2"); the
+// name goes into the staff notification of a review left through the code.
+
+const BRAND_COLOR = '#0f4232';
+const SOURCE_ID_REGEX = /^[a-z0-9_-]{1,32}$/;
+const TARGETS = { review: '/', masters: '/masters' };
+const PNG_WIDTH = 1024;
+const QR_OPTIONS = { errorCorrectionLevel: 'M', margin: 2, color: { dark: BRAND_COLOR, light: '#ffffff' } };
+
+const toSvg = (text) => QRCode.toString(text, { ...QR_OPTIONS, type: 'svg' });
+
+const toPng = (text) => QRCode.toBuffer(text, { ...QR_OPTIONS, type: 'png', width: PNG_WIDTH });
+
+// For an <img src>: the page CSP allows data: images but no inline markup
+const toSvgDataUrl = async (text) => `data:image/svg+xml;base64,${Buffer.from(await toSvg(text)).toString('base64')}`;
+
+const loadQrSources = (filePath) => {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read QR sources at ${filePath}: ${error.message}`);
+  }
+  const fail = (reason) => {
+    throw new Error(`Invalid QR sources in ${filePath}: ${reason}`);
+  };
+  if (!config || !Array.isArray(config.sources)) fail('must be { "sources": [{ "id", "label" }] }');
+  const seen = new Set();
+  for (const source of config.sources) {
+    if (!source || !SOURCE_ID_REGEX.test(source.id)) fail(`source id ${JSON.stringify(source && source.id)}`);
+    if (seen.has(source.id)) fail(`duplicate source ${source.id}`);
+    seen.add(source.id);
+    if (typeof source.label !== 'string' || !source.label.trim()) fail(`${source.id} needs a label`);
+  }
+  return config.sources.map(({ id, label }) => ({ id, label: label.trim() }));
+};
+
+const createQrCodes = ({ sources, locations }) => {
+  const labels = new Map(sources.map((source) => [source.id, source.label]));
+
+  // What the notification says about a review's source: the configured name, the
+  // raw ?src= of a campaign nobody named, nothing for the ones with lines of their own
+  const sourceLabel = (source) => {
+    if (!source || ['direct', 'invite', 'kiosk'].includes(source)) return null;
+    return labels.get(source) || source;
+  };
+
+  // { target, source, master, location } from the admin form → the code to draw,
+  // or { error }. `origin` is the portal address for salons without their own host.
+  const resolve = (query, origin) => {
+    const target = query.target || 'review';
+    if (!TARGETS[target]) return { error: 'Невідома сторінка для QR-коду.' };
+    const location = query.location ? locations.get(String(query.location)) : locations.default;
+    if (!location) return { error: 'Невідомий салон.' };
+    const source = String(query.source || '').trim().toLowerCase();
+    if (source && !SOURCE_ID_REGEX.test(source)) {
+      return { error: 'Джерело може містити лише латинські літери, цифри, "-" та "_" (до 32).' };
+    }
+    let master = null;
+    if (query.master) {
+      master = location.masters.find((candidate) => candidate.id === query.master && candidate.active) || null;
+      if (!master) return { error: 'Такого майстра немає в цьому салоні.' };
+    }
+
+    const params = new URLSearchParams();
+    if (source) params.set('src', source);
+    if (master) params.set('master', master.id);
+    const search = params.toString();
+    return {
+      target,
+      location,
+      master,
+      source: source || null,
+      sourceLabel: sourceLabel(source),
+      url: `${locations.baseUrlFor(location, origin)}${TARGETS[target]}${search ? `?${search}` : ''}`,
+    };
+  };
+
+  // Printable A6 card (see public/admin/qr-card.css) with the salon logo
+  const renderCard = async ({ target, location, master, sourceLabel: label, url }) => {
+    const title = target === 'masters' ? 'Оцініть свого майстра' : 'Як вам у нас?';
+    const lead = master
+      ? `Розкажіть, як вам сеанс у майстра ${master.name}`
+      : 'Залиште відгук — це займе хвилину';
+    return `<!DOCTYPE html>
+<html lang="uk">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <meta name="robots" content="noindex, nofollow" />
+  <title>QR-картка · ${escapeHtml(location.name)}${label ? ` · ${escapeHtml(label)}` : ''}</title>
+  <link rel="stylesheet" href="/admin/qr-card.css?v=1" />
+</head>
+<body>
+  <p class="print-hint">Формат A6 (105 × 148 мм). Друк: Ctrl+P / ⌘P, масштаб 100%, без полів.</p>
+  <main class="card">
+    <img class="card-logo" src="${escapeHtml(location.logo || '/logo-192.png')}" alt="${escapeHtml(location.name)}" />
+    <h1>${escapeHtml(title)}</h1>
+    <p class="card-lead">${escapeHtml(lead)}</p>
+    <img class="card-qr" src="${await toSvgDataUrl(url)}" alt="QR-код: ${escapeHtml(url)}" />
+    <p class="card-hint">Наведіть камеру телефона на код</p>
+    <p class="card-url">${escapeHtml(url.replace(/^https?:\/\//, '').replace(/\?.*$/, ''))}</p>
+  </main>
+</body>
+</html>
+`;
+  };
+
+  return { sources, sourceLabel, resolve, renderCard };
+};
+
+module.exports = { BRAND_COLOR, toSvg, toPng, toSvgDataUrl, loadQrSources, createQrCodes };
@@ -0,0 +1,165 @@
+const fs = require('fs');
+
+// Where a happy guest is asked to leave a public review, from config/redirect-policy.json:
+//
+//   {
+//     "minRating": 5,
+//     "rotation": "balanced",
+//     "platforms": [
+//       { "id": "google", "name": "Google Maps", "weight": 3 },
+//       { "id": "facebook", "name": "Facebook", "weight": 1, "url": "https://..." }
+//     ],
+//     "variants": [
+//       { "id": "a", "weight": 1 },
+//       { "id": "b", "weight": 1, "texts": { "index.rewardTitle": { "uk": "...", "en": "..." } } }
+//     ]
+//   }
+//
+// A review rated `minRating` or higher gets one of the platforms. "balanced" keeps
+// each salon's redirected reviews in proportion to the weights; "weighted" draws at
+// random by weight. A platform's link is the salon's own (`reviewUrls` in
+// config/locations.json, `googleReviewUrl` for "google") or else the `url` here;
+// platforms without a link for the salon, or with weight 0, are skipped.
+//
+// Variants are A/B wordings of the reward banner, drawn at random by weight. Their
+// `texts` override the index.reward* / index.kioskQr* catalog entries the same way a
+// salon's `texts` do; {platform} in them is the platform's name.
+
+const ID_REGEX = /^[a-z0-9-]{1,32}$/;
+const ROTATIONS = ['balanced', 'weighted'];
+const BANNER_KEYS = {
+  title: 'index.rewardTitle',
+  copy: 'index.rewardCopy',
+  link: 'index.rewardLink',
+  qrAlt: 'index.kioskQrAlt',
+  qrCopy: 'index.kioskQrCopy',
+};
+// Without a config file: Google only, as before there was a policy
+const DEFAULT_POLICY = {
+  minRating: 5,
+  rotation: 'balanced',
+  platforms: [{ id: 'google', name: 'Google', weight: 1, url: null }],
+  variants: [{ id: 'a', weight: 1, texts: {} }],
+};
+
+const isWeight = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const isTexts = (texts) => texts && typeof texts === 'object'
+  && Object.entries(texts).every(([key, value]) => Object.values(BANNER_KEYS).includes(key)
+    && (typeof value === 'string'
+      || (value && typeof value === 'object' && Object.values(value).every((text) => typeof text === 'string'))));
+
+const loadRedirectPolicy = (filePath) => {
+  if (!fs.existsSync(filePath)) return DEFAULT_POLICY;
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read redirect policy at ${filePath}: ${error.message}`);
+  }
+  const fail = (reason) => {
+    throw new Error(`Invalid redirect policy in ${filePath}: ${reason}`);
+  };
+  if (!config || !Array.isArray(config.platforms) || !config.platforms.length) fail('must have a "platforms" list');
+  const minRating = config.minRating ?? DEFAULT_POLICY.minRating;
+  if (!Number.isInteger(minRating) || minRating < 1 || minRating > 5) fail('minRating must be 1–5');
+  const rotation = config.rotation ?? DEFAULT_POLICY.rotation;
+  if (!ROTATIONS.includes(rotation)) fail(`rotation must be one of ${ROTATIONS.join(', ')}`);
+
+  const checkIds = (entries, kind) => {
+    const seen = new Set();
+    for (const entry of entries) {
+      if (!entry || !ID_REGEX.test(entry.id)) fail(`${kind} id ${JSON.stringify(entry && entry.id)}`);
+      if (seen.has(entry.id)) fail(`duplicate ${kind} ${entry.id}`);
+      seen.add(entry.id);
+      if (!isWeight(entry.weight)) fail(`${kind} ${entry.id} needs a weight of 0 or more`);
+    }
+  };
+  checkIds(config.platforms, 'platform');
+  for (const platform of config.platforms) {
+    if (typeof platform.name !== 'string' || !platform.name.trim()) fail(`platform ${platform.id} needs a name`);
+    if (platform.url !== undefined && platform.url !== null && !/^https:\/\//.test(platform.url)) {
+      fail(`platform ${platform.id} url must start with https://`);
+    }
+  }
+  const variants = config.variants ?? DEFAULT_POLICY.variants;
+  if (!Array.isArray(variants) || !variants.length) fail('"variants" must be a non-empty list');
+  checkIds(variants, 'variant');
+  if (!variants.some((variant) => variant.weight > 0)) fail('at least one variant needs a weight above 0');
+  for (const variant of variants) {
+    if (variant.texts !== undefined && !isTexts(variant.texts)) {
+      fail(`variant ${variant.id} texts may only override ${Object.values(BANNER_KEYS).join(', ')}`);
+    }
+  }
+
+  return {
+    minRating,
+    rotation,
+    platforms: config.platforms.map(({ id, name, weight, url }) => ({ id, name: name.trim(), weight, url: url || null })),
+    variants: variants.map(({ id, weight, texts }) => ({ id, weight, texts: texts || {} })),
+  };
+};
+
+const pickWeighted = (entries) => {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  let point = Math.random() * total;
+  for (const entry of entries) {
+    point -= entry.weight;
+    if (point < 0) return entry;
+  }
+  return entries[entries.length - 1];
+};
+
+const createRedirectPolicy = ({ policy, store, locationOf, i18n }) => {
+  const byId = new Map(policy.platforms.map((platform) => [platform.id, platform]));
+  const activeVariants = policy.variants.filter((variant) => variant.weight > 0);
+
+  const urlFor = (platform, location) =>
+    (location.reviewUrls && location.reviewUrls[platform.id])
+    || (platform.id === 'google' && location.googleReviewUrl)
+    || platform.url;
+
+  // Reviews redirected before there was a policy all went to Google
+  const platformOf = (review) => review.platform || 'google';
+
+  // The platform whose share of the salon's redirected reviews lags its weight the most
+  const pickBalanced = (candidates, location) => {
+    const counts = new Map(candidates.map((platform) => [platform.id, 0]));
+    for (const review of store.list('reviews', (entry) => entry.redirectUrl && locationOf(entry) === location.id)) {
+      const id = platformOf(review);
+      if (counts.has(id)) counts.set(id, counts.get(id) + 1);
+    }
+    return candidates.reduce((best, platform) =>
+      ((counts.get(platform.id) + 1) / platform.weight < (counts.get(best.id) + 1) / best.weight ? platform : best));
+  };
+
+  // → { platform: { id, name }, url, variant } | null when the guest isn't asked
+  const choose = (location, rating) => {
+    if (rating < policy.minRating) return null;
+    const candidates = policy.platforms.filter((platform) => platform.weight > 0 && urlFor(platform, location));
+    if (!candidates.length) return null;
+    const platform = policy.rotation === 'weighted' ? pickWeighted(candidates) : pickBalanced(candidates, location);
+    return {
+      platform: { id: platform.id, name: platform.name },
+      url: urlFor(platform, location),
+      variant: pickWeighted(activeVariants).id,
+    };
+  };
+
+  const platformName = (id) => (byId.get(id || 'google') || { name: id || 'Google' }).name;
+
+  // Reward banner wording for the guest's language: the variant's texts over the salon's over the catalog
+  const bannerTexts = ({ location, variant, platform, locale }) => {
+    const chosen = policy.variants.find((entry) => entry.id === variant) || policy.variants[0];
+    const overrides = { ...location.texts, ...chosen.texts };
+    return Object.fromEntries(Object.entries(BANNER_KEYS).map(([name, key]) =>
+      [name, i18n.text(locale, key, overrides, { platform: platform.name })]));
+  };
+
+  // Staff only need to see the variant while there is more than one to compare
+  const variantLabel = (variant) => (activeVariants.length > 1 && variant ? variant : null);
+
+  return { choose, platformOf, platformName, bannerTexts, variantLabel };
+};
+
+module.exports = { loadRedirectPolicy, createRedirectPolicy };
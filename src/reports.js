@@ -0,0 +1,47 @@
+const { formatDateKey } = require('./utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_REGEX = /^(\d{1,3})\s*([dwm])$/i;
+const PERIOD_UNIT_DAYS = { d: 1, w: 7, m: 30 };
+
+// "7d", "2w", "1m" → number of days; null when the input is not a period
+const parsePeriodDays = (raw) => {
+  const match = PERIOD_REGEX.exec(String(raw || '').trim());
+  if (!match) return null;
+  const days = Number(match[1]) * PERIOD_UNIT_DAYS[match[2].toLowerCase()];
+  return days > 0 ? days : null;
+};
+
+const isSince = (record, sinceMs) => new Date(record.createdAt).getTime() >= sinceMs;
+
+const isOnDay = (record, dateKey) => formatDateKey(record.createdAt) === dateKey;
+
+const summarize = (reviews) => {
+  const count = reviews.length;
+  const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+  return {
+    count,
+    average: count ? Math.round((total / count) * 100) / 100 : null,
+    negative: reviews.filter((review) => review.rating < 5).length,
+  };
+};
+
+const ratingDistribution = (reviews) => {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const review of reviews) {
+    if (distribution[review.rating] !== undefined) distribution[review.rating] += 1;
+  }
+  return distribution;
+};
+
+const sameName = (a, b) => String(a || '').trim().toLocaleLowerCase('uk') === String(b || '').trim().toLocaleLowerCase('uk');
+
+module.exports = {
+  DAY_MS,
+  parsePeriodDays,
+  isSince,
+  isOnDay,
+  summarize,
+  ratingDistribution,
+  sameName,
+};
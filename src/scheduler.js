@@ -0,0 +1,98 @@
+const { getZonedParts, weekdayOfDateKey } = require('./utils');
+
+// Cron-style jobs on the salon's clock (Europe/Kyiv, like formatDateTime).
+//
+// Expressions have the usual five fields, "minute hour day-of-month month day-of-week",
+// each "*", a number, a range "1-5", a list "1,15" or a step "*/15" / "8-20/2".
+// Day of week is 0–7 with both 0 and 7 meaning Sunday. As in cron, when both day
+// fields are restricted a day matching either one runs the job.
+//
+// The scheduler wakes up at the start of every minute and runs the jobs whose
+// expression matches the local time, so DST switches need no special handling:
+// a 03:30 job is skipped on the night the clocks jump over it.
+
+const MINUTE_MS = 60 * 1000;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+const parseField = (raw, { name, min, max }, expression) => {
+  const fail = () => {
+    throw new Error(`Invalid ${name} "${raw}" in schedule "${expression}"`);
+  };
+  const values = new Set();
+  for (const part of raw.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) fail();
+    const [, range, fromRaw, toRaw, stepRaw] = match;
+    const from = range === '*' ? min : Number(fromRaw);
+    const to = range === '*' ? max : toRaw !== undefined ? Number(toRaw) : stepRaw ? max : from;
+    const step = stepRaw ? Number(stepRaw) : 1;
+    if (from < min || to > max || from > to || step < 1) fail();
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+};
+
+// "0 9 * * 1" → matcher; throws on a malformed expression
+const parseCron = (expression) => {
+  const raw = String(expression || '').trim().split(/\s+/);
+  if (raw.length !== FIELDS.length) {
+    throw new Error(`Schedule "${expression}" must have ${FIELDS.length} fields: minute hour day month weekday`);
+  }
+  const [minutes, hours, days, months, weekdays] = raw.map((field, index) => parseField(field, FIELDS[index], expression));
+  if (weekdays.has(7)) weekdays.add(0);
+  const anyDay = raw[2] === '*';
+  const anyWeekday = raw[4] === '*';
+
+  return (value) => {
+    const get = getZonedParts(value, { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+    const dayMatches = days.has(Number(get('day')));
+    const weekdayMatches = weekdays.has(weekdayOfDateKey(`${get('year')}-${get('month')}-${get('day')}`));
+    const dayOk = anyDay || anyWeekday ? dayMatches && weekdayMatches : dayMatches || weekdayMatches;
+    return minutes.has(Number(get('minute')))
+      && hours.has(Number(get('hour')) % 24)
+      && months.has(Number(get('month')))
+      && dayOk;
+  };
+};
+
+const createScheduler = () => {
+  const jobs = [];
+  let timer = null;
+
+  // `run` may be async; a failing job is logged and keeps its schedule
+  const add = (name, expression, run) => {
+    jobs.push({ name, matches: parseCron(expression), run });
+  };
+
+  const tick = () => {
+    const now = Date.now();
+    for (const job of jobs) {
+      if (!job.matches(now)) continue;
+      Promise.resolve()
+        .then(job.run)
+        .catch((error) => console.error(`Scheduled job ${job.name} failed`, error));
+    }
+    schedule();
+  };
+
+  const schedule = () => {
+    // A little past the minute boundary, so the clock already shows the new minute
+    timer = setTimeout(tick, MINUTE_MS - (Date.now() % MINUTE_MS) + 500);
+    if (timer.unref) timer.unref();
+  };
+
+  const start = () => {
+    if (!timer) schedule();
+  };
+
+  return { add, start };
+};
+
+module.exports = { parseCron, createScheduler };
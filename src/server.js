@@ -1,10 +1,52 @@
 const express = require('express');
+const crypto = require('crypto');
 const compression = require('compression');
-const axios = require('axios');
+const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { createStore } = require('./store');
+const { createAdminRouter } = require('./admin');
+const { createTelegramWebhookRouter } = require('./telegramBot');
+const { createVoucherService, createVoucherRouter, createPinGuard, toPublicVoucher } = require('./vouchers');
+const { createInvitationSigner, createInvitationRouter } = require('./invitations');
+const { createMasterReviews, createMastersRouter } = require('./masters');
+const { createNotificationQueue } = require('./notificationQueue');
+const { createNotifier, loadNotificationRoutes } = require('./notifiers');
+const { createTelegramChannel } = require('./notifiers/telegram');
+const { createEmailChannel } = require('./notifiers/email');
+const { createWebhookChannel } = require('./notifiers/webhook');
+const { createViberChannel } = require('./notifiers/viber');
+const { createSmsChannel } = require('./notifiers/sms');
+const { createAltegioRouter } = require('./altegio');
+const { createVisitInvitations } = require('./visitInvitations');
+const { createI18n } = require('./i18n');
+const { createTemplateRenderer } = require('./templates');
+const { loadLocations, createLocations } = require('./locations');
+const { createSpamGuard, createQuarantineReport } = require('./antispam');
+const { createFunnel, normalizeSource } = require('./funnel');
+const { createScheduler } = require('./scheduler');
+const { loadDigests, createDigests } = require('./digests');
+const { createCases, caseValues, caseKeyboard } = require('./cases');
+const { loadTopicLexicon, createTopicTagger } = require('./topics');
+const { createIdempotency } = require('./idempotency');
+const { createKioskSigner, createKioskRouter, kioskTemplate } = require('./kiosk');
+const { toSvgDataUrl, loadQrSources, createQrCodes } = require('./qr');
+const { loadRedirectPolicy, createRedirectPolicy } = require('./redirectPolicy');
+const { loadWebhookEndpoints, createWebhooks } = require('./webhooks');
+const { createKeyValueStore, createMemoryStore, createRateLimitStore } = require('./kv');
+const {
+  MAX_NAME_LENGTH,
+  MAX_REASON_LENGTH,
+  sanitizeText,
+  normalizeGuestPhone,
+  normalizeTelegramUsername,
+  maskContacts,
+  isValidRating,
+  formatDateTime,
+  getClientIp,
+} = require('./utils');
 
 dotenv.config();
 
@@ -12,73 +54,199 @@ const app = express();
 const port = process.env.PORT || 3000;
 const telegramBotToken = process.env.TELEGRAM_BOT_TOKEN;
 const telegramChatId = process.env.TELEGRAM_CHAT_ID;
+const telegramApiUrl = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+const telegramWebhookSecret = process.env.TELEGRAM_WEBHOOK_SECRET;
 const googleReviewUrl = process.env.GOOGLE_REVIEW_URL;
 const isProd = process.env.NODE_ENV === 'production';
 const alertsEnabled = isProd && process.env.ERROR_ALERTS_ENABLED === '1';
 const ALERT_MIN_INTERVAL_MS = Number(process.env.ERROR_ALERT_MIN_MS || 5 * 60 * 1000);
+// Fallback for the alert throttle while the shared state store is unreachable
 let lastAlertAt = 0;
 const MASTER_CLICK_DEDUP_MS = Number(process.env.MASTER_CLICK_DEDUP_MS || 30_000);
-const masterClickCache = new Map();
+// Only has to outlive the write of the review's first click time
+const GOOGLE_CLICK_CLAIM_MS = 60 * 60 * 1000;
+const redisUrl = process.env.REDIS_URL;
+const receptionPin = process.env.RECEPTION_PIN;
+const VOUCHER_TTL_DAYS = Number(process.env.VOUCHER_TTL_DAYS || 60);
+const VOUCHER_AMOUNT_UAH = Number(process.env.VOUCHER_AMOUNT_UAH || 200);
+const reviewLinkSecret = process.env.REVIEW_LINK_SECRET;
+const REVIEW_LINK_TTL_DAYS = Number(process.env.REVIEW_LINK_TTL_DAYS || 14);
+const kioskSecret = process.env.KIOSK_SECRET;
+const KIOSK_TOKEN_TTL_DAYS = Number(process.env.KIOSK_TOKEN_TTL_DAYS || 365);
+// With a link secret configured, only invited guests can post unless tokenless mode is kept on
+const allowTokenlessReviews = !reviewLinkSecret || process.env.REVIEW_ALLOW_TOKENLESS === '1';
+const publicBaseUrl = process.env.PUBLIC_BASE_URL;
+const altegioWebhookSecret = process.env.ALTEGIO_WEBHOOK_SECRET;
+const altegioCompanyId = process.env.ALTEGIO_COMPANY_ID;
+const INVITE_DELAY_MIN = Number(process.env.INVITE_DELAY_MIN || 120);
+const inviteChannel = process.env.INVITE_CHANNEL || 'sms';
+const adminPassword = process.env.ADMIN_PASSWORD;
+const ADMIN_SESSION_TTL_MS = Number(process.env.ADMIN_SESSION_TTL_MS || 12 * 60 * 60 * 1000);
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const mastersConfigPath = process.env.MASTERS_CONFIG || path.join(__dirname, '..', 'config', 'masters.json');
+const notifyConfigPath = process.env.NOTIFY_CONFIG || path.join(__dirname, '..', 'config', 'notifications.json');
+const locationsConfigPath = process.env.LOCATIONS_CONFIG || path.join(__dirname, '..', 'config', 'locations.json');
+const antispamSecret = process.env.ANTISPAM_SECRET;
+const ANTISPAM_MIN_SUBMIT_MS = Number(process.env.ANTISPAM_MIN_SUBMIT_MS || 3000);
+const QUARANTINE_REPORT_HOUR = Number(process.env.QUARANTINE_REPORT_HOUR || 9);
+const FUNNEL_RETENTION_DAYS = Number(process.env.FUNNEL_RETENTION_DAYS || 180);
+const FUNNEL_MAX_SESSIONS_PER_IP = Number(process.env.FUNNEL_MAX_SESSIONS_PER_IP || 300);
+const IDEMPOTENCY_RETENTION_DAYS = Number(process.env.IDEMPOTENCY_RETENTION_DAYS || 7);
+const digestsConfigPath = process.env.DIGESTS_CONFIG || path.join(__dirname, '..', 'config', 'digests.json');
+const topicsConfigPath = process.env.TOPICS_CONFIG || path.join(__dirname, '..', 'config', 'topics.json');
+const qrSourcesConfigPath = process.env.QR_SOURCES_CONFIG || path.join(__dirname, '..', 'config', 'qr-sources.json');
+const redirectPolicyConfigPath = process.env.REDIRECT_POLICY_CONFIG || path.join(__dirname, '..', 'config', 'redirect-policy.json');
+const webhooksConfigPath = process.env.WEBHOOKS_CONFIG || path.join(__dirname, '..', 'config', 'webhooks.json');
+const MAX_CONTACT_LENGTH = 64;
+const CASE_ESCALATION_HOURS = Number(process.env.CASE_ESCALATION_HOURS || 24);
 
-const MAX_NAME_LENGTH = 60;
-const MAX_REASON_LENGTH = 500;
-const CONTROL_CHAR_REGEX = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g;
-const TELEGRAM_TIMEOUT_MS = Number(process.env.TELEGRAM_TIMEOUT_MS || 5000);
-const TELEGRAM_RETRY_ATTEMPTS = Number(process.env.TELEGRAM_RETRY_ATTEMPTS || 1);
-const TELEGRAM_RETRY_DELAY_MS = Number(process.env.TELEGRAM_RETRY_DELAY_MS || 500);
-
-const toCleanString = (value) => (typeof value === 'string' ? value : '');
-
-const stripControlChars = (value) => value.replace(CONTROL_CHAR_REGEX, '');
-
-const sanitizeText = (raw, maxLength) => {
-  const cleaned = stripControlChars(toCleanString(raw));
-  return cleaned.trim().slice(0, maxLength);
-};
-
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-const telegramClient = axios.create({
-  baseURL: 'https://api.telegram.org',
-  timeout: TELEGRAM_TIMEOUT_MS,
+const i18n = createI18n({ dir: path.join(__dirname, '..', 'locales'), secureCookies: isProd });
+const store = createStore({ filePath: path.join(dataDir, 'db.json') });
+store.init();
+// Rate limits, master-click de-duplication and the alert throttle; in Redis when
+// REDIS_URL is set, so every instance and a restarted one share them
+const kv = createKeyValueStore({ redisUrl, prefix: process.env.REDIS_PREFIX || 'hata:' });
+console.log(`Shared state: ${kv.name}`);
+// Salon profiles; without config/locations.json a single salon configured from the environment
+const locations = createLocations(loadLocations(locationsConfigPath, {
+  telegramChatId,
+  googleReviewUrl,
+  mastersPath: mastersConfigPath,
+  altegioCompanyId,
+}));
+const masters = locations.allMasters();
+const vouchers = createVoucherService({ store, ttlDays: VOUCHER_TTL_DAYS, amount: VOUCHER_AMOUNT_UAH });
+const invitations = reviewLinkSecret ? createInvitationSigner({ secret: reviewLinkSecret, ttlDays: REVIEW_LINK_TTL_DAYS }) : null;
+// Printed QR codes and the names of the places they hang in (config/qr-sources.json)
+const qrCodes = createQrCodes({ sources: loadQrSources(qrSourcesConfigPath), locations });
+// Which review platform a happy guest is sent to, and the reward banner wording (config/redirect-policy.json)
+const redirectPolicy = createRedirectPolicy({
+  policy: loadRedirectPolicy(redirectPolicyConfigPath),
+  store,
+  locationOf: locations.of,
+  i18n,
 });
-
-const shouldRetryTelegram = (error) => {
-  if (!error || typeof error !== 'object') {
-    return false;
-  }
-
-  if (error.code === 'ECONNABORTED') {
-    return true;
+const kioskSigner = kioskSecret ? createKioskSigner({ secret: kioskSecret, ttlDays: KIOSK_TOKEN_TTL_DAYS }) : null;
+if (!antispamSecret) {
+  console.warn('ANTISPAM_SECRET is not set: forms opened before a restart will be quarantined');
+}
+// Topic hashtags and sentiment for review comments (config/topics.json)
+const topicTagger = createTopicTagger(loadTopicLexicon(topicsConfigPath));
+// Reviews stored before topic tagging existed are tagged once, in the background
+(async () => {
+  for (const review of store.list('reviews', (record) => record.topics === undefined)) {
+    await store.update('reviews', review.id, topicTagger.analyze(review.reason));
   }
+})().catch((error) => console.warn('Failed to tag earlier reviews', error && error.message));
+const spamGuard = createSpamGuard({
+  store,
+  kv,
+  secret: antispamSecret || crypto.randomBytes(32).toString('hex'),
+  minSubmitMs: ANTISPAM_MIN_SUBMIT_MS,
+  profanityPath: process.env.PROFANITY_CONFIG || path.join(__dirname, '..', 'config', 'profanity.json'),
+});
 
-  if (!error.response) {
-    // Network / connection level issue without HTTP response
-    return true;
-  }
+const TELEGRAM_TIMEOUT_MS = Number(process.env.TELEGRAM_TIMEOUT_MS || 5000);
+const NOTIFY_MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS || 8);
+const NOTIFY_BACKOFF_BASE_MS = Number(process.env.NOTIFY_BACKOFF_BASE_MS || 2000);
+const NOTIFY_BACKOFF_MAX_MS = Number(process.env.NOTIFY_BACKOFF_MAX_MS || 15 * 60 * 1000);
 
-  return false;
-};
+const NOTIFY_TIMEOUT_MS = Number(process.env.NOTIFY_TIMEOUT_MS || 5000);
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 10);
+const WEBHOOK_BACKOFF_BASE_MS = Number(process.env.WEBHOOK_BACKOFF_BASE_MS || 10 * 1000);
+const WEBHOOK_BACKOFF_MAX_MS = Number(process.env.WEBHOOK_BACKOFF_MAX_MS || 60 * 60 * 1000);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
 
-const sendTelegramWithRetry = async (endpoint, payload) => {
-  let attempt = 0;
+const channels = [
+  createTelegramChannel({
+    apiUrl: telegramApiUrl,
+    token: telegramBotToken,
+    chatId: telegramChatId,
+    locationChats: locations.telegramChats(),
+    timeoutMs: TELEGRAM_TIMEOUT_MS,
+  }),
+  createEmailChannel({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === '1',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM,
+    to: process.env.NOTIFY_EMAIL_TO,
+  }),
+  createWebhookChannel({
+    url: process.env.NOTIFY_WEBHOOK_URL,
+    timeoutMs: NOTIFY_TIMEOUT_MS,
+  }),
+  createViberChannel({
+    apiUrl: process.env.VIBER_API_URL || 'https://chatapi.viber.com',
+    token: process.env.VIBER_AUTH_TOKEN,
+    receivers: (process.env.VIBER_RECEIVERS || '').split(',').map((id) => id.trim()).filter(Boolean),
+    senderName: process.env.VIBER_SENDER_NAME || 'Hata Masazhu',
+    timeoutMs: NOTIFY_TIMEOUT_MS,
+  }),
+  createSmsChannel({
+    apiUrl: process.env.SMS_API_URL || 'https://api.turbosms.ua',
+    token: process.env.SMS_API_TOKEN,
+    sender: process.env.SMS_SENDER,
+    timeoutMs: NOTIFY_TIMEOUT_MS,
+  }),
+];
 
-  for (;;) {
-    try {
-      await telegramClient.post(endpoint, payload);
-      return;
-    } catch (error) {
-      attempt += 1;
-      const canRetry = attempt <= TELEGRAM_RETRY_ATTEMPTS && shouldRetryTelegram(error);
-      if (!canRetry) {
-        throw error;
-      }
-      if (TELEGRAM_RETRY_DELAY_MS > 0) {
-        await sleep(TELEGRAM_RETRY_DELAY_MS);
-      }
+const notifications = createNotificationQueue({
+  store,
+  deliver: (message) => notifier.deliver(message),
+  // Reflect delivery on the record the message was about: Telegram status for reviews,
+  // or the field the sender asked for (visit invitations). A sent Telegram message about
+  // a negative review is remembered on its case, so the buttons can edit it.
+  onSettled: async (message, status) => {
+    const { ref } = message;
+    const field = ref && (ref.statusField || (message.channel === 'telegram' ? 'telegramStatus' : null));
+    if (field) {
+      await store.update(ref.collection, ref.id, { [field]: status === 'sent' ? 'sent' : 'failed' });
     }
-  }
-};
+    if (status === 'sent' && ref && ref.caseId && message.channel === 'telegram' && message.result) {
+      await cases.attachMessage(ref.caseId, message.result);
+    }
+  },
+  maxAttempts: NOTIFY_MAX_ATTEMPTS,
+  baseDelayMs: NOTIFY_BACKOFF_BASE_MS,
+  maxDelayMs: NOTIFY_BACKOFF_MAX_MS,
+});
+const notifier = createNotifier({
+  channels,
+  routes: loadNotificationRoutes(notifyConfigPath, channels.map((channel) => channel.name)),
+  queue: notifications,
+});
+// Staff message texts; edits to the file are picked up without a restart
+const templates = createTemplateRenderer({
+  filePath: process.env.TEMPLATES_CONFIG || path.join(__dirname, '..', 'config', 'templates.json'),
+});
+notifications.start();
+console.log(`Notification channels: ${notifier.configuredChannels().join(', ') || 'none'}`);
+
+// Signed outbound webhooks for CRMs (config/webhooks.json), delivered through a queue of their own
+const webhookDeliveries = createNotificationQueue({
+  store,
+  collection: 'webhookDeliveries',
+  label: 'Webhook delivery',
+  pauseKey: (delivery) => delivery.endpoint,
+  deliver: (delivery) => webhooks.deliver(delivery),
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  baseDelayMs: WEBHOOK_BACKOFF_BASE_MS,
+  maxDelayMs: WEBHOOK_BACKOFF_MAX_MS,
+});
+const webhooks = createWebhooks({
+  endpoints: loadWebhookEndpoints(webhooksConfigPath, locations.list.map((location) => location.id)),
+  queue: webhookDeliveries,
+  store,
+  locations,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+});
+webhookDeliveries.start();
+if (webhooks.describeEndpoints().length) {
+  console.log(`Webhook endpoints: ${webhooks.describeEndpoints().map((endpoint) => endpoint.id).join(', ')}`);
+}
 
 app.use(express.json());
 // Gzip/Brotli compression for text assets
@@ -140,6 +308,9 @@ app.get('/healthz', (req, res) => {
   res.type('text/plain').send('ok');
 });
 
+// Salon by hostname or path prefix (/kyiv-center/...); the prefix is stripped here
+app.use(locations.middleware);
+
 // Static files (no implicit index) and explicit routes
 const publicDir = path.join(__dirname, '..', 'public');
 app.use(express.static(publicDir, {
@@ -148,6 +319,11 @@ app.use(express.static(publicDir, {
   fallthrough: true,
   setHeaders: (res, filePath) => {
     const ext = path.extname(filePath).toLowerCase();
+    // The service worker must be revalidated, or browsers keep running an old one
+    if (path.basename(filePath) === 'sw.js') {
+      res.setHeader('Cache-Control', 'no-cache');
+      return;
+    }
     // Long cache for static assets; moderate for CSS/JS to ease updates
     if (['.png', '.jpg', '.jpeg', '.webp', '.svg', '.gif', '.ico', '.avif', '.bmp'].includes(ext)) {
       res.setHeader('Cache-Control', 'public, max-age=2592000, immutable'); // 30 days
@@ -161,223 +337,717 @@ app.use(express.static(publicDir, {
   },
 }));
 
+// Guest pages and API errors follow ?lang=, the remembered choice or Accept-Language
+app.use(i18n.middleware);
+
+const reviewTemplate = fs.readFileSync(path.join(__dirname, '..', 'views', 'index.html'), 'utf8');
+const reviewPage = locations.createPage(i18n, kioskTemplate(reviewTemplate, false));
 app.get('/', (req, res) => {
-  res.sendFile(path.join(publicDir, 'index.html'));
+  reviewPage.send(req, res);
 });
 
-// Rate limiters
+// Admin dashboard (session-protected)
+app.use(createAdminRouter({
+  store,
+  locations,
+  notifications,
+  webhooks,
+  rateLimitStore: createRateLimitStore(kv, 'rl:login:', { fallback: createMemoryStore() }),
+  publishQuarantined: (item) => publishQuarantined(item),
+  digests: { list: () => digests.list(), send: (id) => digests.send(id) },
+  topics: topicTagger,
+  redirectPolicy,
+  qrCodes,
+  baseUrl: publicBaseUrl,
+  cases: { list: (options) => cases.list(options), change: (id, changes, actor) => cases.change(id, changes, actor) },
+  publicDir,
+  password: adminPassword,
+  sessionTtlMs: ADMIN_SESSION_TTL_MS,
+  secureCookies: isProd,
+}));
+
+// Rate limiters; counted in the shared state store, and not enforced while it is unreachable
 const reviewLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 10,
   standardHeaders: true,
   legacyHeaders: false,
+  store: createRateLimitStore(kv, 'rl:review:'),
+  passOnStoreError: true,
 });
 const clickLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 30,
   standardHeaders: true,
   legacyHeaders: false,
+  store: createRateLimitStore(kv, 'rl:click:'),
+  passOnStoreError: true,
+});
+// Funnel beacons come several per page view; counted apart so they don't use up the
+// guest's clicks
+const funnelLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: createRateLimitStore(kv, 'rl:funnel:'),
+  passOnStoreError: true,
 });
 
-const isValidRating = (rating) => Number.isInteger(rating) && rating >= 1 && rating <= 5;
-
-const formatDateTime = (value) => {
-  const date = value instanceof Date ? value : new Date(value);
-
-  const formatter = new Intl.DateTimeFormat('uk-UA', {
-    timeZone: 'Europe/Kyiv',
-    day: '2-digit',
-    month: '2-digit',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false,
-  });
+// Funnel steps reported by the guest pages (cookieless), see GET /api/stats
+const funnel = createFunnel({
+  store,
+  kv,
+  limiter: funnelLimiter,
+  retentionDays: FUNNEL_RETENTION_DAYS,
+  maxSessionsPerIp: FUNNEL_MAX_SESSIONS_PER_IP,
+});
+app.use(funnel.router);
+funnel.start();
 
-  const parts = formatter.formatToParts(date);
-  const get = (type) => parts.find((part) => part.type === type)?.value || '';
+// Submissions replayed by the service worker after an outage are answered once
+const idempotency = createIdempotency({ store, retentionDays: IDEMPOTENCY_RETENTION_DAYS });
+idempotency.start();
 
-  return `${get('day')}.${get('month')}.${get('year')} ${get('hour')}:${get('minute')}`;
+// Renders the event's template (config/templates.json) when given `values`, then queues
+// it on every channel its routing rules match; resolves once stored.
+// With several salons the {location} placeholder names the salon.
+const locationLabel = (id) => {
+  const location = id && locations.get(id);
+  return locations.isMulti && location ? location.name : null;
 };
 
-const sendTelegramMessage = async (text) => {
-  if (!telegramBotToken || !telegramChatId) {
-    throw new Error('Telegram configuration is missing. Please set TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID.');
+const notify = async ({ values, ...notification }) => {
+  const rendered = values
+    ? templates.render(
+      notification.event,
+      { location: locationLabel(notification.location), ...values },
+      { rating: notification.rating },
+    )
+    : {};
+  const queued = await notifier.notify({ ...notification, ...rendered });
+  const { ref } = notification;
+  if (ref && !ref.statusField && !queued.some((message) => message.channel === 'telegram')) {
+    await store.update(ref.collection, ref.id, { telegramStatus: 'skipped' });
   }
+  return queued;
+};
 
-  await sendTelegramWithRetry(`/bot${telegramBotToken}/sendMessage`, {
-    chat_id: telegramChatId,
-    text,
-  });
+// Errors can carry request bodies, so guest phones and usernames are masked in
+// logs and alerts
+const logError = (label, error) => {
+  console.error(label, maskContacts(error && error.stack ? error.stack : String(error)));
 };
 
 const sendServerAlert = async (title, parts = []) => {
   if (!alertsEnabled) return;
-  const now = Date.now();
-  if (now - lastAlertAt < ALERT_MIN_INTERVAL_MS) return;
-  lastAlertAt = now;
-  const message = [title, '', ...parts.filter(Boolean), '', `🕑 ${formatDateTime(now)}`].join('\n');
+  // One alert per interval across all instances
+  let due;
+  try {
+    due = await kv.setIfAbsent('alert:throttle', String(Date.now()), ALERT_MIN_INTERVAL_MS);
+  } catch (error) {
+    due = Date.now() - lastAlertAt >= ALERT_MIN_INTERVAL_MS;
+  }
+  if (!due) return;
+  lastAlertAt = Date.now();
   try {
-    await sendTelegramMessage(message);
+    await notify({ event: 'alert', values: { title: maskContacts(title), details: maskContacts(parts.filter(Boolean).join('\n')) } });
   } catch (e) {
-    console.warn('Failed to send server alert to Telegram', e && e.message);
+    console.warn('Failed to send server alert', e && e.message);
   }
 };
 
 
-const sendTelegramNotification = async ({ name, rating, reason }) => {
-  if (!telegramBotToken || !telegramChatId) {
-    throw new Error('Telegram configuration is missing. Please set TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID.');
+const describeVisit = (visitId) => {
+  const visit = visitId ? store.findById('visits', visitId) : null;
+  if (!visit) return visitId;
+  return [visit.visitAt ? formatDateTime(visit.visitAt) : null, visit.services.join(', ') || null]
+    .filter(Boolean)
+    .join(' · ') || visitId;
+};
+
+// Placeholders for the review.created template; `time` stays the review's, so an
+// edited message keeps it
+const reviewValues = ({
+  name, rating, reason, master, visitId, kiosk, source, locale, location, createdAt, topics, contactConsent, contactPhone, contactTelegram,
+}) => ({
+  location: locationLabel(location),
+  name: (name || '').trim() || 'Невідомо',
+  master,
+  rating,
+  comment: (reason || '').trim(),
+  visit: visitId ? describeVisit(visitId) : null,
+  kiosk,
+  source: qrCodes.sourceLabel(source),
+  language: i18n.guestLanguage(locale),
+  hashtags: topicTagger.hashtags(topics) || null,
+  contactRequest: contactConsent ? 'Гість просить звʼязатися' : null,
+  phone: contactPhone,
+  telegram: contactTelegram,
+  time: formatDateTime(createdAt),
+});
+
+const sendReviewNotification = async (review, caseRecord) => {
+  await notify({
+    event: 'review.created',
+    values: { ...reviewValues(review), ...caseValues(caseRecord) },
+    rating: Number(review.rating),
+    location: review.location,
+    buttons: caseRecord ? caseKeyboard(caseRecord) : undefined,
+    ref: { collection: 'reviews', id: review.id, ...(caseRecord ? { caseId: caseRecord.id } : {}) },
+  });
+};
+
+// Negative reviews get a follow-up case: inline buttons in Telegram, a list in the admin
+const cases = createCases({
+  store,
+  kv,
+  telegram: (method, payload) => notifications.enqueue({ channel: 'telegram', method, payload }),
+  renderMessage: (caseRecord) => {
+    const review = store.findById('reviews', caseRecord.reviewId);
+    return templates.render(
+      'review.created',
+      { ...reviewValues(review), ...caseValues(caseRecord) },
+      { rating: Number(review.rating) },
+    );
+  },
+  notifyEscalation: (caseRecord, hours) => {
+    const review = store.findById('reviews', caseRecord.reviewId);
+    return notify({
+      event: 'case.escalation',
+      values: { ...reviewValues(review), ...caseValues(caseRecord), hours, time: formatDateTime(Date.now()) },
+      rating: Number(review.rating),
+      location: caseRecord.location,
+      buttons: caseKeyboard(caseRecord),
+    });
+  },
+  escalateAfterHours: CASE_ESCALATION_HOURS,
+});
+
+// The review as webhooks carry it; contact details only when the guest asked to be contacted
+const reviewPayload = (review) => ({
+  id: review.id,
+  createdAt: review.createdAt,
+  rating: review.rating,
+  name: review.name,
+  comment: review.reason || '',
+  master: review.master || null,
+  visitId: review.visitId || null,
+  source: review.source || null,
+  kiosk: review.kiosk || null,
+  locale: review.locale || null,
+  topics: review.topics || [],
+  sentiment: review.sentiment || null,
+  platform: review.platform || null,
+  variant: review.variant || null,
+  redirectUrl: review.redirectUrl || null,
+  contact: review.contactConsent ? { phone: review.contactPhone, telegram: review.contactTelegram } : null,
+});
+
+// Stores a guest review with its topics and sentiment and announces it; the visit
+// it was left for is marked as reviewed
+const publishReview = async (fields) => {
+  const review = await store.insert('reviews', { ...fields, ...topicTagger.analyze(fields.reason), telegramStatus: 'pending' });
+  if (review.visitId && store.findById('visits', review.visitId)) {
+    await store.update('visits', review.visitId, { reviewId: review.id });
   }
+  const caseRecord = Number(review.rating) < 5 ? await cases.open(review) : null;
 
-  const guestName = (name || '').trim();
-  const comment = (reason || '').trim();
-
-  let message;
-  if (Number(rating) < 5) {
-    message = [
-      '❗️Гість залишив негативний відгук ❗️',
-      '',
-      `👤 Імя: ${guestName || 'Невідомо'}`,
-      `⭐️ ${rating}/5`,
-      comment ? `💬 Коментар: ${comment}` : null,
-      '',
-      `🕑 ${formatDateTime(Date.now())}`
-    ]
-      .filter(Boolean)
-      .join('\n');
-  } else {
-    message = [
-      '✨Гість залишив відгук',
-      '',
-      `👤 Імя: ${guestName || 'Невідомо'}`,
-      `⭐️ ${rating}/5`,
-      comment ? `💬 Коментар: ${comment}` : null,
-      '',
-      `🕑 ${formatDateTime(Date.now())}`
-    ]
-      .filter(Boolean)
-      .join('\n');
+  try {
+    await sendReviewNotification(review, caseRecord);
+  } catch (error) {
+    logError('Failed to send review notification', error);
+    await store.update('reviews', review.id, { telegramStatus: 'failed' });
+    await sendServerAlert('⚠️ Відгук збережено, але сповіщення не поставлено в чергу', [
+      `🆔 ${review.id}`,
+      `⚠️ ${error && error.message}`,
+    ]);
   }
+  await webhooks.emit('review.created', { location: locations.of(review), data: reviewPayload(review) });
+  return review;
+};
+
+const masterReviews = createMasterReviews({ store, i18n, notify });
 
-  await sendTelegramMessage(message);
+// Staff released a quarantined submission in the admin panel: it goes out as if just sent
+const publishQuarantined = (item) => {
+  if (item.kind === 'review') return publishReview(item.record);
+  if (item.kind === 'master_review') return masterReviews.publish(item.record);
+  throw new Error(`Quarantined ${item.kind} can't be published`);
 };
 
-app.post('/api/review', reviewLimiter, async (req, res) => {
+// Form nonces for the antispam time-to-submit check
+app.use(spamGuard.router);
+
+// Daily count of quarantined submissions
+createQuarantineReport({ spamGuard, hour: QUARANTINE_REPORT_HOUR, notify }).start();
+
+// Daily/weekly digests on the schedules in config/digests.json (Kyiv time)
+const scheduler = createScheduler();
+const digestEntries = loadDigests(
+  digestsConfigPath,
+  locations.list.map((location) => location.id),
+  channels.map((channel) => channel.name),
+);
+for (const digest of digestEntries) {
+  const unconfigured = (digest.channels || []).filter((name) => !notifier.configuredChannels().includes(name));
+  if (unconfigured.length) {
+    console.warn(`Digest ${digest.id}: ${unconfigured.join(', ')} not configured, the digest can't be sent there`);
+  }
+}
+const digests = createDigests({ store, kv, locationOf: locations.of, digests: digestEntries, notify });
+digests.register(scheduler);
+// Reminders about negative reviews nobody has resolved
+scheduler.add('cases:escalate', '*/15 * * * *', () => cases.escalate());
+scheduler.start();
+
+// Bot commands (/today, /stats, /negative, /master) from the manager's chat, case buttons and replies
+app.use(createTelegramWebhookRouter({
+  store,
+  secret: telegramWebhookSecret,
+  chats: locations.botChatScopes(telegramChatId),
+  locationOf: locations.of,
+  sendMessage: (text, chatId) => notify({ event: 'bot.reply', text, chatId, channels: ['telegram'] }),
+  onCallbackQuery: (callbackQuery, scope) => cases.handleCallback(callbackQuery, scope),
+  onReply: (message, scope) => cases.handleReply(message, scope),
+}));
+
+// Masters catalog page, GET /api/masters and in-portal master reviews
+app.use(createMastersRouter({
+  store,
+  locations,
+  i18n,
+  templatePath: path.join(__dirname, '..', 'views', 'masters.html'),
+  limiter: reviewLimiter,
+  masterReviews,
+  spamGuard,
+  onError: (error) => sendServerAlert('🔥 Помилка бекенду: /api/masters/:id/review', [
+    `⚠️ ${error && error.message}`,
+    error && error.stack ? `Stack:\n${error.stack}` : null,
+  ]),
+}));
+
+const receptionPinGuard = createPinGuard(receptionPin, createRateLimitStore(kv, 'rl:pin:', { fallback: createMemoryStore() }));
+
+// Review invitations after visits completed in alteg.io
+const visitInvitations = createVisitInvitations({
+  store,
+  signer: invitations,
+  notify,
+  channel: inviteChannel,
+  baseUrlFor: (visit) => locations.baseUrlFor(
+    locations.get(locations.of(visit)),
+    publicBaseUrl || `http://localhost:${port}`,
+  ),
+  delayMs: INVITE_DELAY_MIN * 60 * 1000,
+});
+visitInvitations.start();
+if (altegioWebhookSecret && !publicBaseUrl) {
+  console.warn('PUBLIC_BASE_URL is not set: review invitations will link to localhost');
+}
+app.use(createAltegioRouter({
+  store,
+  locations,
+  secret: altegioWebhookSecret,
+  invitations: visitInvitations,
+}));
+
+// Reception: per-visit review links
+app.use(createInvitationRouter({
+  signer: invitations,
+  locations,
+  pinGuard: receptionPinGuard,
+  baseUrl: publicBaseUrl,
+}));
+
+// Reception kiosk: the review form on the front-desk tablet
+const kiosk = createKioskRouter({
+  signer: kioskSigner,
+  locations,
+  page: locations.createPage(i18n, kioskTemplate(reviewTemplate, true)),
+  pinGuard: receptionPinGuard,
+  secureCookies: isProd,
+});
+app.use(kiosk.router);
+
+// Reception: check and redeem Google-review vouchers
+app.use(createVoucherRouter({
+  vouchers,
+  publicDir,
+  pinGuard: receptionPinGuard,
+  notify: (values, location) => notify({ event: 'voucher.redeemed', values, location }).catch((error) => {
+    console.warn('Failed to announce voucher redemption', error && error.message);
+  }),
+}));
+
+// Visits whose review is being checked or stored right now. The spam checks await the
+// shared state store, so the stored reviews alone can't stop a second submission with
+// the same link that comes in meanwhile.
+const visitsInReview = new Set();
+
+app.post('/api/review', reviewLimiter, idempotency.middleware, async (req, res) => {
+  let claimedVisitId = null;
   try {
-    const { name, rating, reason } = req.body || {};
+    const {
+      name, rating, reason, token, nonce, website, contactConsent, phone, telegram, masterId, source, sid,
+    } = req.body || {};
     const numericRating = Number(rating);
+    const kioskDevice = kiosk.fromRequest(req);
+
+    let invitation = null;
+    if (invitations && token) {
+      const verified = invitations.verify(token);
+      if (verified.status === 'expired') {
+        return res.status(410).json({ error: req.t('errors.linkExpired') });
+      }
+      if (verified.status !== 'valid') {
+        return res.status(400).json({ error: req.t('errors.linkInvalid') });
+      }
+      invitation = verified.invitation;
+    } else if (!allowTokenlessReviews && !kioskDevice) {
+      // The front-desk kiosk is trusted without a link
+      return res.status(403).json({ error: req.t('errors.linkRequired') });
+    }
 
     if (!isValidRating(numericRating)) {
-      return res.status(400).json({ error: 'Rating must be an integer between 1 and 5.' });
+      return res.status(400).json({ error: req.t('errors.ratingInvalid') });
     }
 
     const sanitizedName = sanitizeText(name, MAX_NAME_LENGTH);
     if (!sanitizedName) {
-      return res.status(400).json({ error: 'Name is required.' });
+      return res.status(400).json({ error: req.t('errors.nameRequired') });
     }
 
     const sanitizedReason = sanitizeText(reason, MAX_REASON_LENGTH);
     if (numericRating < 5 && !sanitizedReason) {
-      return res.status(400).json({ error: 'Please provide a short note about your experience.' });
+      return res.status(400).json({ error: req.t('errors.reasonRequired') });
+    }
+
+    // Contact details only count on an unhappy review whose guest asked to be contacted
+    let contact = null;
+    if (numericRating < 5 && contactConsent === true) {
+      const rawPhone = sanitizeText(phone, MAX_CONTACT_LENGTH);
+      const rawTelegram = sanitizeText(telegram, MAX_CONTACT_LENGTH);
+      const guestPhone = rawPhone ? normalizeGuestPhone(rawPhone) : null;
+      const guestTelegram = rawTelegram ? normalizeTelegramUsername(rawTelegram) : null;
+      if (rawPhone && !guestPhone) {
+        return res.status(400).json({ error: req.t('errors.phoneInvalid') });
+      }
+      if (rawTelegram && !guestTelegram) {
+        return res.status(400).json({ error: req.t('errors.telegramInvalid') });
+      }
+      if (!guestPhone && !guestTelegram) {
+        return res.status(400).json({ error: req.t('errors.contactRequired') });
+      }
+      contact = { phone: guestPhone, telegram: guestTelegram };
     }
 
-    await sendTelegramNotification({
+    // A signed link names its salon; otherwise the page the guest came through does
+    const location = (invitation && locations.get(invitation.locationId)) || req.location;
+    const redirect = redirectPolicy.choose(location, numericRating);
+    const redirectUrl = redirect ? redirect.url : null;
+    const invitedMaster = invitation && invitation.masterId
+      ? masters.find((master) => master.id === invitation.masterId)
+      : null;
+    const visit = invitation ? store.findById('visits', invitation.visitId) : null;
+    // Picked by staff on the kiosk or named by the printed QR code the guest scanned
+    const pickedMaster = typeof masterId === 'string'
+      ? location.masters.find((master) => master.id === masterId && master.active)
+      : null;
+
+    // One review per visit: stored already or on its way in another request. The claim
+    // comes before any await and is released once this request is done, when a stored
+    // review takes over (a held-back one leaves the link usable).
+    if (invitation) {
+      const { visitId } = invitation;
+      if (visitsInReview.has(visitId) || store.list('reviews', (review) => review.visitId === visitId).length) {
+        return res.status(409).json({ error: req.t('errors.visitReviewed') });
+      }
+      visitsInReview.add(visitId);
+      claimedVisitId = visitId;
+    }
+
+    const fields = {
       name: sanitizedName,
       rating: numericRating,
       reason: sanitizedReason,
-    });
+      redirectUrl,
+      platform: redirect ? redirect.platform.id : null,
+      variant: redirect ? redirect.variant : null,
+      visitId: invitation ? invitation.visitId : null,
+      master: invitedMaster ? invitedMaster.name : (pickedMaster && pickedMaster.name) || (visit && visit.masterName) || null,
+      kiosk: kioskDevice ? kioskDevice.device : null,
+      source: kioskDevice ? 'kiosk' : normalizeSource(source),
+      location: location.id,
+      locale: req.locale,
+      contactConsent: Boolean(contact),
+      contactPhone: contact ? contact.phone : null,
+      contactTelegram: contact ? contact.telegram : null,
+    };
 
+    // A suspect review is held back; the answer looks the same, minus the review id
+    const spamReasons = await spamGuard.inspectForm({
+      nonce,
+      honeypot: website,
+      text: sanitizedReason,
+      name: sanitizedName,
+      ip: getClientIp(req),
+      sid,
+    });
     const responsePayload = { success: true };
+    let review = null;
+    if (spamReasons.length) {
+      await spamGuard.quarantine('review', {
+        record: fields,
+        text: sanitizedReason,
+        reasons: spamReasons,
+        location: location.id,
+        ip: getClientIp(req),
+      });
+    } else {
+      // Persist first: notification channels are only consumers of the stored record
+      review = await publishReview(fields);
+      responsePayload.reviewId = review.id;
+    }
 
-    if (numericRating === 5 && googleReviewUrl) {
-      responsePayload.redirectUrl = googleReviewUrl;
+    if (redirect) {
+      Object.assign(responsePayload, {
+        redirectUrl,
+        platform: redirect.platform,
+        variant: redirect.variant,
+        reward: redirectPolicy.bannerTexts({ location, variant: redirect.variant, platform: redirect.platform, locale: req.locale }),
+      });
+      // The kiosk can't send the guest away: a QR code takes them there on their phone,
+      // through /go/ so the scan counts as the click
+      if (kioskDevice) {
+        const origin = locations.baseUrlFor(location, publicBaseUrl || `${req.protocol}://${req.get('host')}`);
+        responsePayload.redirectQr = await toSvgDataUrl(review ? `${origin}/go/${review.id}` : redirectUrl);
+      }
     }
 
     return res.json(responsePayload);
   } catch (error) {
-    console.error('Failed to process review', error);
+    logError('Failed to process review', error);
     await sendServerAlert('🔥 Помилка бекенду: /api/review', [
       `⚠️ ${error && error.message}`,
       error && error.stack ? `Stack:\n${error.stack}` : null,
     ]);
-    return res.status(500).json({ error: 'Не вдалося надіслати відгук. Будь ласка, спробуйте ще раз пізніше.' });
+    return res.status(500).json({ error: req.t('errors.reviewFailed') });
+  } finally {
+    if (claimedVisitId) visitsInReview.delete(claimedVisitId);
   }
 });
 
-app.post('/api/review/google-click', clickLimiter, async (req, res) => {
+// A guest followed the review-platform link (Google or another one from the redirect
+// policy): the click is recorded, the voucher issued and the staff told, once per
+// review → the voucher. Later clicks (the kiosk QR scanned again, a reopened page)
+// only get the voucher already issued, if any.
+const recordGoogleClick = async (review, { name, rating }) => {
+  // The shared state store settles two hits racing in; without it the stored click time decides
+  let firstClick = !review.googleClickedAt;
+  if (firstClick) {
+    try {
+      firstClick = await kv.setIfAbsent(`google-click:${review.id}`, '1', GOOGLE_CLICK_CLAIM_MS);
+    } catch (error) {
+      console.warn('Google click de-duplication unavailable', error && error.message);
+    }
+  }
+  if (!firstClick) {
+    return store.list('vouchers', (voucher) => voucher.reviewId === review.id)[0] || null;
+  }
+
+  const location = locations.of(review);
+  const platform = redirectPolicy.platformOf(review);
+  await store.insert('events', {
+    type: 'google_click',
+    name,
+    rating: isValidRating(rating) ? rating : null,
+    reviewId: review.id,
+    platform,
+    variant: review.variant || null,
+    location,
+  });
+  await store.update('reviews', review.id, { googleClickedAt: new Date().toISOString() });
+
+  // The reward is only for guests who actually got a platform link after their review
+  const issued = await vouchers.issueForReview(review);
+  const { voucher } = issued;
+
+  const values = {
+    name: name || 'Невідомо',
+    platform: redirectPolicy.platformName(platform),
+    variant: redirectPolicy.variantLabel(review.variant),
+  };
+  if (issued.created) {
+    Object.assign(values, {
+      voucherAmount: voucher.amount,
+      voucherCode: voucher.code,
+      voucherExpiry: formatDateTime(voucher.expiresAt),
+    });
+  }
+
   try {
-    const { name } = req.body || {};
-    const guestName = sanitizeText(name, MAX_NAME_LENGTH);
+    await notify({ event: 'review.google_click', values, rating: review.rating, location });
+  } catch (error) {
+    // The guest already has the voucher; don't fail the request over a missed ping
+    console.error('Failed to send Google click notification', error);
+    await sendServerAlert('⚠️ Ваучер видано, але сповіщення не поставлено в чергу', [
+      `🎟 ${voucher.code}`,
+      `⚠️ ${error && error.message}`,
+    ]);
+  }
+  await webhooks.emit('review.google_click', {
+    location,
+    data: {
+      reviewId: review.id,
+      name: name || null,
+      rating: isValidRating(rating) ? rating : null,
+      platform,
+      variant: review.variant || null,
+      voucher: issued.created ? { code: voucher.code, amount: voucher.amount, expiresAt: voucher.expiresAt } : null,
+    },
+  });
+  return voucher;
+};
 
-    const message = [
-      '🎉 Гість перейшов за посиланням у Гугл',
-      `👤 Імя: ${guestName || 'Невідомо'}`,
-      `🕑 ${formatDateTime(Date.now())}`
-    ].join('\n');
+app.post('/api/review/google-click', clickLimiter, idempotency.middleware, async (req, res) => {
+  try {
+    const { name, rating, reviewId } = req.body || {};
+    const guestName = sanitizeText(name, MAX_NAME_LENGTH);
+    const numericRating = Number(rating);
+    const review = typeof reviewId === 'string' ? store.findById('reviews', reviewId) : null;
+    const location = review ? locations.of(review) : req.location.id;
 
-    await sendTelegramMessage(message);
+    // Only guests who were just given a review-platform link count
+    if (!review || !review.redirectUrl) {
+      await spamGuard.quarantine('google_click', {
+        record: { name: guestName, rating: isValidRating(numericRating) ? numericRating : null, reviewId: reviewId || null },
+        reasons: ['no_review'],
+        location,
+        ip: getClientIp(req),
+      });
+      return res.json({ success: true });
+    }
 
-    return res.json({ success: true });
+    const voucher = await recordGoogleClick(review, { name: guestName, rating: numericRating });
+    return res.json({ success: true, voucher: voucher ? toPublicVoucher(voucher) : null });
   } catch (error) {
     console.error('Failed to send Google click notification', error);
     await sendServerAlert('🔥 Помилка бекенду: /api/review/google-click', [
       `⚠️ ${error && error.message}`,
       error && error.stack ? `Stack:\n${error.stack}` : null,
     ]);
-    return res.status(500).json({ error: 'Не вдалося надіслати повідомлення в Telegram.' });
+    return res.status(500).json({ error: req.t('errors.notifyFailed') });
+  }
+});
+
+// The QR code the kiosk shows after a happy review: scanning it counts as the click
+app.get('/go/:reviewId', clickLimiter, async (req, res) => {
+  const review = store.findById('reviews', req.params.reviewId);
+  if (!review || !review.redirectUrl) {
+    return res.status(404).sendFile(path.join(__dirname, '..', 'public', '404.html'));
+  }
+  try {
+    await recordGoogleClick(review, { name: review.name, rating: review.rating });
+  } catch (error) {
+    // The guest still gets to Google; staff hear about the failure
+    console.error('Failed to record Google click from a QR code', error);
+    await sendServerAlert('🔥 Помилка бекенду: /go/:reviewId', [
+      `🆔 ${review.id}`,
+      `⚠️ ${error && error.message}`,
+    ]);
   }
+  res.set('Cache-Control', 'no-store');
+  return res.redirect(302, review.redirectUrl);
 });
 
 // Client error-reporting endpoint removed
 
-app.post('/api/review/master-click', clickLimiter, async (req, res) => {
+app.post('/api/review/master-click', clickLimiter, idempotency.middleware, async (req, res) => {
   try {
-    const { name, rating, master } = req.body || {};
-    const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket.remoteAddress || 'unknown';
-    const key = `${ip}::${master || 'unknown'}`;
-    const now = Date.now();
-    const prev = masterClickCache.get(key);
-    if (prev && now - prev < MASTER_CLICK_DEDUP_MS) {
-      return res.json({ success: true, deduped: true });
+    const { name, rating, master, reviewId } = req.body || {};
+    const ip = getClientIp(req);
+    // One ping per guest and master within MASTER_CLICK_DEDUP_MS, whichever instance
+    // gets the click; without the shared state store a click goes through
+    let firstClick = true;
+    try {
+      firstClick = await kv.setIfAbsent(`master-click:${ip}::${master || 'unknown'}`, '1', MASTER_CLICK_DEDUP_MS);
+    } catch (error) {
+      console.warn('Master click de-duplication unavailable', error && error.message);
     }
-    masterClickCache.set(key, now);
-    // best-effort cleanup
-    if (masterClickCache.size > 1000) {
-      for (const [k, t] of masterClickCache) {
-        if (now - t > MASTER_CLICK_DEDUP_MS) masterClickCache.delete(k);
-      }
+    if (!firstClick) {
+      return res.json({ success: true, deduped: true });
     }
     const guestName = sanitizeText(name, MAX_NAME_LENGTH);
     const numericRating = Number(rating);
 
-    const parts = [
-      '📣 Гість натиснув «Відгук про майстра»',
-      '',
-      `👤 Ім'я: ${guestName || 'Невідомо'}`,
-      master ? `🧑‍🔧 Майстер: ${master}` : null,
-      Number.isFinite(numericRating) ? `⭐️ ${numericRating}/5` : null,
-      '',
-      `🕑 ${formatDateTime(Date.now())}`
-    ].filter(Boolean);
+    const masterName = sanitizeText(master, MAX_NAME_LENGTH) || null;
+    const review = typeof reviewId === 'string' ? store.findById('reviews', reviewId) : null;
+
+    // The button is shown after a review, so a click without one is not a guest's
+    if (!review) {
+      await spamGuard.quarantine('master_click', {
+        record: { name: guestName, rating: isValidRating(numericRating) ? numericRating : null, master: masterName },
+        reasons: ['no_review'],
+        location: req.location.id,
+        ip: getClientIp(req),
+      });
+      return res.json({ success: true });
+    }
+
+    await store.insert('events', {
+      type: 'master_click',
+      name: guestName,
+      rating: isValidRating(numericRating) ? numericRating : null,
+      master: masterName,
+      reviewId: review.id,
+      location: req.location.id,
+    });
+    // Attribute the review to the master the guest picked right after it
+    if (masterName && !review.master) {
+      await store.update('reviews', review.id, { master: masterName });
+    }
+    await webhooks.emit('review.master_click', {
+      location: req.location.id,
+      data: {
+        reviewId: review.id,
+        name: guestName || null,
+        rating: isValidRating(numericRating) ? numericRating : null,
+        master: masterName,
+      },
+    });
 
-    await sendTelegramMessage(parts.join('\n'));
+    try {
+      await notify({
+        event: 'review.master_click',
+        values: {
+          name: guestName || 'Невідомо',
+          master: masterName,
+          rating: Number.isFinite(numericRating) ? numericRating : null,
+        },
+        rating: isValidRating(numericRating) ? numericRating : undefined,
+        location: req.location.id,
+      });
+    } catch (error) {
+      // The click is stored and the webhook queued; a retried request would be deduped anyway
+      console.error('Failed to send master click notification', error);
+      await sendServerAlert('⚠️ Клік на майстра збережено, але сповіщення не поставлено в чергу', [
+        masterName ? `🧑‍🔧 ${masterName}` : null,
+        `⚠️ ${error && error.message}`,
+      ]);
+    }
 
     return res.json({ success: true });
   } catch (error) {
-    console.error('Failed to send master click notification', error);
+    console.error('Failed to record master click', error);
     await sendServerAlert('🔥 Помилка бекенду: /api/review/master-click', [
       `⚠️ ${error && error.message}`,
       error && error.stack ? `Stack:\n${error.stack}` : null,
     ]);
-    return res.status(500).json({ error: 'Не вдалося надіслати повідомлення в Telegram.' });
+    return res.status(500).json({ error: req.t('errors.notifyFailed') });
   }
 });
 
-app.get('/masters', (req, res) => {
-  res.sendFile(path.join(__dirname, '..', 'public', 'masters', 'index.html'));
-});
-
 // 404 for everything else (must be after routes, before error handler)
 app.use((req, res) => {
   res.status(404).sendFile(path.join(__dirname, '..', 'public', '404.html'));
@@ -385,14 +1055,14 @@ app.use((req, res) => {
 
 // Express global error handler (fallback)
 app.use(async (err, req, res, next) => {
-  console.error('Unhandled route error', err);
+  logError('Unhandled route error', err);
   await sendServerAlert('🔥 Неконтрольована помилка маршруту', [
     req ? `📄 ${req.method} ${req.originalUrl}` : null,
     `⚠️ ${err && err.message}`,
     err && err.stack ? `Stack:\n${err.stack}` : null,
   ]);
   if (res.headersSent) return next(err);
-  res.status(500).json({ error: 'Сталася помилка. Спробуйте пізніше.' });
+  res.status(500).json({ error: req.t ? req.t('errors.generic') : 'Сталася помилка. Спробуйте пізніше.' });
 });
 
 app.listen(port, () => {
@@ -402,14 +1072,14 @@ app.listen(port, () => {
 // Process-level guards for critical failures
 if (alertsEnabled) {
   process.on('uncaughtException', async (err) => {
-    console.error('uncaughtException', err);
+    logError('uncaughtException', err);
     await sendServerAlert('🔥 Uncaught exception', [
       `⚠️ ${err && err.message}`,
       err && err.stack ? `Stack:\n${err.stack}` : null,
     ]);
   });
   process.on('unhandledRejection', async (reason) => {
-    console.error('unhandledRejection', reason);
+    logError('unhandledRejection', reason);
     const msg = reason && (reason.message || String(reason));
     const stack = reason && reason.stack;
     await sendServerAlert('🔥 Unhandled promise rejection', [
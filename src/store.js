@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Schema migrations: each entry upgrades the document by one version.
+// Never edit an existing step — append a new one instead.
+const MIGRATIONS = [
+  // v1: reviews and guest click events
+  (db) => {
+    db.reviews = db.reviews || [];
+    db.events = db.events || [];
+  },
+  // v2: Google-review discount vouchers
+  (db) => {
+    db.vouchers = db.vouchers || [];
+  },
+  // v3: in-portal reviews about individual masters
+  (db) => {
+    db.masterReviews = db.masterReviews || [];
+  },
+  // v4: durable outbox for outgoing notifications
+  (db) => {
+    db.outbox = db.outbox || [];
+  },
+  // v5: completed visits reported by the booking system
+  (db) => {
+    db.visits = db.visits || [];
+  },
+  // v6: suspect guest submissions held back from publishing
+  (db) => {
+    db.quarantine = db.quarantine || [];
+  },
+  // v7: review funnel sessions (analytics)
+  (db) => {
+    db.funnelSessions = db.funnelSessions || [];
+  },
+  // v8: follow-up cases for negative reviews
+  (db) => {
+    db.cases = db.cases || [];
+  },
+  // v9: answers to guest submissions by idempotency key (offline replays)
+  (db) => {
+    db.idempotencyKeys = db.idempotencyKeys || [];
+  },
+  // v10: outbound webhook deliveries
+  (db) => {
+    db.webhookDeliveries = db.webhookDeliveries || [];
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+const readDocument = (filePath) => {
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { schemaVersion: 0 };
+    }
+    throw new Error(`Failed to read data store at ${filePath}: ${error.message}`);
+  }
+};
+
+const migrate = (db) => {
+  const from = Number(db.schemaVersion) || 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Data store schema v${from} is newer than supported v${SCHEMA_VERSION}`);
+  }
+  for (let version = from; version < SCHEMA_VERSION; version += 1) {
+    MIGRATIONS[version](db);
+    db.schemaVersion = version + 1;
+  }
+  return from !== SCHEMA_VERSION;
+};
+
+const createStore = ({ filePath }) => {
+  let db = null;
+  let writeChain = Promise.resolve();
+
+  const writeSnapshot = (snapshot) => {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, snapshot);
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  // Writes are serialized and atomic (tmp file + rename) so a crash never
+  // leaves a half-written document behind.
+  const persist = () => {
+    const snapshot = JSON.stringify(db, null, 2);
+    writeChain = writeChain
+      .catch(() => {})
+      .then(() => fs.promises.mkdir(path.dirname(filePath), { recursive: true }))
+      .then(() => writeSnapshot(snapshot));
+    return writeChain;
+  };
+
+  const ensureLoaded = () => {
+    if (!db) {
+      throw new Error('Data store is not initialized. Call init() first.');
+    }
+  };
+
+  const getCollection = (name) => {
+    ensureLoaded();
+    if (!Array.isArray(db[name])) {
+      throw new Error(`Unknown data store collection: ${name}`);
+    }
+    return db[name];
+  };
+
+  const init = () => {
+    db = readDocument(filePath);
+    const changed = migrate(db);
+    if (changed) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      writeSnapshot(JSON.stringify(db, null, 2));
+    }
+  };
+
+  const insert = async (collection, record) => {
+    const items = getCollection(collection);
+    const stored = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      ...clone(record),
+    };
+    items.push(stored);
+    await persist();
+    return clone(stored);
+  };
+
+  const update = async (collection, id, patch) => {
+    const items = getCollection(collection);
+    const item = items.find((entry) => entry.id === id);
+    if (!item) {
+      return null;
+    }
+    Object.assign(item, clone(patch), { updatedAt: new Date().toISOString() });
+    await persist();
+    return clone(item);
+  };
+
+  // Inserts records with a new id and merges the others into the stored ones, in one write
+  const upsertMany = async (collection, records) => {
+    const items = getCollection(collection);
+    const now = new Date().toISOString();
+    for (const record of records) {
+      const item = items.find((entry) => entry.id === record.id);
+      if (item) Object.assign(item, clone(record), { updatedAt: now });
+      else items.push({ createdAt: now, ...clone(record) });
+    }
+    await persist();
+  };
+
+  const remove = async (collection, predicate) => {
+    const items = getCollection(collection);
+    const kept = items.filter((entry) => !predicate(entry));
+    const removed = items.length - kept.length;
+    if (removed) {
+      db[collection] = kept;
+      await persist();
+    }
+    return removed;
+  };
+
+  const findById = (collection, id) => clone(getCollection(collection).find((entry) => entry.id === id) || null);
+
+  const list = (collection, predicate = () => true) => clone(getCollection(collection).filter(predicate));
+
+  return {
+    init,
+    insert,
+    update,
+    upsertMany,
+    remove,
+    findById,
+    list,
+    flush: () => writeChain,
+  };
+};
+
+module.exports = { createStore, SCHEMA_VERSION };
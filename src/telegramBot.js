@@ -0,0 +1,202 @@
+const express = require('express');
+const { formatDateTime, formatDateKey, safeEqual } = require('./utils');
+const { DAY_MS, parsePeriodDays, isSince, isOnDay, summarize, ratingDistribution, sameName } = require('./reports');
+
+const DEFAULT_PERIOD_DAYS = 7;
+const MAX_LISTED_REVIEWS = 15;
+const MAX_COMMENT_PREVIEW = 200;
+// Telegram rejects messages longer than 4096 characters
+const MAX_MESSAGE_LENGTH = 4000;
+
+const HELP_TEXT = [
+  '🤖 Команди бота',
+  '',
+  '/today — відгуки за сьогодні',
+  '/stats 7d — середня оцінка та негативні відгуки за період (d — дні, w — тижні, m — місяці)',
+  '/negative 7d — негативні відгуки за період',
+  '/master Аліна — відгуки про майстра за 30 днів',
+].join('\n');
+
+// "/stats@HataBot 7d" → { command: 'stats', args: '7d' }
+const parseCommand = (text) => {
+  const match = /^\/([a-z_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i.exec(String(text || '').trim());
+  if (!match) return null;
+  return { command: match[1].toLowerCase(), args: (match[2] || '').trim() };
+};
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+const formatPeriod = (days) => (days === 1 ? 'за добу' : `за ${days} дн.`);
+
+const formatReviewLine = (review) => {
+  const parts = [
+    `⭐️ ${review.rating}/5 · ${review.name || 'Невідомо'}`,
+    review.master ? `🧑‍🔧 ${review.master}` : null,
+    `🕑 ${formatDateTime(review.createdAt)}`,
+  ].filter(Boolean);
+  const comment = review.reason ? `\n💬 ${truncate(review.reason, MAX_COMMENT_PREVIEW)}` : '';
+  return `${parts.join(' · ')}${comment}`;
+};
+
+const formatReviewList = (reviews) => {
+  const newestFirst = [...reviews].sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  const lines = newestFirst.slice(0, MAX_LISTED_REVIEWS).map(formatReviewLine);
+  if (newestFirst.length > MAX_LISTED_REVIEWS) {
+    lines.push(`…та ще ${newestFirst.length - MAX_LISTED_REVIEWS}`);
+  }
+  return lines.join('\n\n');
+};
+
+const formatSummary = (reviews) => {
+  const { count, average, negative } = summarize(reviews);
+  if (!count) return 'Відгуків немає.';
+  const distribution = ratingDistribution(reviews);
+  return [
+    `📝 Відгуків: ${count}`,
+    `⭐️ Середня оцінка: ${average}`,
+    `❗️ Негативних (<5): ${negative}`,
+    `📊 ${[5, 4, 3, 2, 1].map((rating) => `${rating}★ ${distribution[rating]}`).join(' · ')}`,
+  ].join('\n');
+};
+
+// Handlers take (args, location): a salon id limits the answer to that salon, null covers all.
+// `locationOf(record)` tells which salon a record belongs to.
+const createCommandHandlers = ({ store, locationOf = () => null }) => {
+  const inLocation = (location) => (record) => !location || locationOf(record) === location;
+
+  const reviewsSinceDays = (days, location) => {
+    const sinceMs = Date.now() - days * DAY_MS;
+    return store.list('reviews', (review) => isSince(review, sinceMs)).filter(inLocation(location));
+  };
+
+  const eventsSinceDays = (type, days, location) => {
+    const sinceMs = Date.now() - days * DAY_MS;
+    return store.list('events', (event) => event.type === type && isSince(event, sinceMs)).filter(inLocation(location));
+  };
+
+  return {
+    start: () => HELP_TEXT,
+    help: () => HELP_TEXT,
+
+    today: (args, location) => {
+      const todayKey = formatDateKey(Date.now());
+      const reviews = store.list('reviews', (review) => isOnDay(review, todayKey)).filter(inLocation(location));
+      if (!reviews.length) return '📅 Сьогодні відгуків ще немає.';
+      return ['📅 Відгуки за сьогодні', '', formatSummary(reviews), '', formatReviewList(reviews)].join('\n');
+    },
+
+    stats: (args, location) => {
+      const days = args ? parsePeriodDays(args) : DEFAULT_PERIOD_DAYS;
+      if (!days) return 'Невірний період. Приклад: /stats 7d, /stats 2w, /stats 1m';
+      const reviews = reviewsSinceDays(days, location);
+      const googleClicks = eventsSinceDays('google_click', days, location).length;
+      const masterClicks = eventsSinceDays('master_click', days, location).length;
+      return [
+        `📈 Статистика ${formatPeriod(days)}`,
+        '',
+        formatSummary(reviews),
+        `🎉 Переходів у Гугл: ${googleClicks}`,
+        `📣 Кліків «Відгук про майстра»: ${masterClicks}`,
+      ].join('\n');
+    },
+
+    negative: (args, location) => {
+      const days = args ? parsePeriodDays(args) : DEFAULT_PERIOD_DAYS;
+      if (!days) return 'Невірний період. Приклад: /negative 7d';
+      const reviews = reviewsSinceDays(days, location).filter((review) => review.rating < 5);
+      if (!reviews.length) return `✅ Негативних відгуків ${formatPeriod(days)} немає.`;
+      return [`❗️ Негативні відгуки ${formatPeriod(days)}: ${reviews.length}`, '', formatReviewList(reviews)].join('\n');
+    },
+
+    master: (args, location) => {
+      if (!args) return 'Вкажіть імʼя майстра. Приклад: /master Аліна';
+      const days = 30;
+      const reviews = reviewsSinceDays(days, location).filter((review) => sameName(review.master, args));
+      const clicks = eventsSinceDays('master_click', days, location).filter((event) => sameName(event.master, args)).length;
+      const sinceMs = Date.now() - days * DAY_MS;
+      const masterReviews = store
+        .list('masterReviews', (review) => isSince(review, sinceMs) && sameName(review.masterName, args))
+        .filter(inLocation(location))
+        .map((review) => ({ ...review, reason: review.comment }));
+      return [
+        `🧑‍🔧 ${args} ${formatPeriod(days)}`,
+        '',
+        '⭐️ Оцінки майстра від гостей:',
+        formatSummary(masterReviews),
+        masterReviews.length ? `\n${formatReviewList(masterReviews)}` : null,
+        '',
+        '📝 Відгуки про візит:',
+        formatSummary(reviews),
+        `📣 Кліків «Відгук про майстра»: ${clicks}`,
+      ]
+        .filter((line) => line !== null)
+        .join('\n');
+    },
+  };
+};
+
+// `chats` maps every chat allowed to use the bot to the salon it covers (null — all salons).
+// Inline button presses go to `onCallbackQuery(callbackQuery, scope)`; a reply to one of
+// the bot's messages that isn't a command goes to `onReply(message, scope)`.
+const createTelegramWebhookRouter = ({ store, secret, chats, locationOf, sendMessage, onCallbackQuery, onReply }) => {
+  const router = express.Router();
+  const handlers = createCommandHandlers({ store, locationOf });
+  const isAuthorized = (chatId) => Object.prototype.hasOwnProperty.call(chats, chatId);
+
+  router.post('/telegram/webhook/:secret', async (req, res) => {
+    if (!secret || !safeEqual(req.params.secret, secret)) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    // Always acknowledge: Telegram re-delivers updates that get a non-2xx answer
+    res.json({ ok: true });
+
+    const callbackQuery = req.body && req.body.callback_query;
+    if (callbackQuery) {
+      const chatId = callbackQuery.message && callbackQuery.message.chat ? String(callbackQuery.message.chat.id) : null;
+      if (!chatId || !isAuthorized(chatId)) {
+        console.warn('Ignoring Telegram button press from unauthorized chat', chatId);
+        return;
+      }
+      if (!onCallbackQuery) return;
+      try {
+        await onCallbackQuery(callbackQuery, chats[chatId]);
+      } catch (error) {
+        console.error('Failed to handle Telegram button press', error && error.message);
+      }
+      return;
+    }
+
+    const message = req.body && (req.body.message || req.body.edited_message);
+    if (!message || !message.chat || typeof message.text !== 'string') return;
+
+    const chatId = String(message.chat.id);
+    if (!isAuthorized(chatId)) {
+      console.warn('Ignoring Telegram command from unauthorized chat', message.chat.id);
+      return;
+    }
+
+    const parsed = parseCommand(message.text);
+    if (!parsed && message.reply_to_message && onReply && req.body.message) {
+      try {
+        await onReply(message, chats[chatId]);
+      } catch (error) {
+        console.error('Failed to handle Telegram reply', error && error.message);
+      }
+      return;
+    }
+
+    const handler = parsed && Object.prototype.hasOwnProperty.call(handlers, parsed.command) ? handlers[parsed.command] : null;
+    if (!handler) return;
+
+    try {
+      await sendMessage(truncate(handler(parsed.args, chats[chatId]), MAX_MESSAGE_LENGTH), chatId);
+    } catch (error) {
+      console.error('Failed to answer Telegram command', error && error.message);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createTelegramWebhookRouter, createCommandHandlers, parseCommand };
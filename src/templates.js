@@ -0,0 +1,166 @@
+const fs = require('fs');
+const { formatDateTime } = require('./utils');
+
+// Staff notification texts, editable in config/templates.json without a deploy.
+//
+// Each event has one or more variants; the first whose minRating/maxRating window
+// contains the rating wins (a variant without bounds matches everything). A
+// variant's text is a string or a list of lines with {placeholders}. A line whose
+// placeholders all come out empty is dropped, so optional lines like
+// "💬 Коментар: {comment}" disappear when there is no comment.
+//
+// Templates are trusted markup in the configured Telegram parse mode (HTML or
+// MarkdownV2); placeholder values are guest input and are always escaped. Channels
+// other than Telegram get a plain-text rendering with the markup stripped.
+
+const PARSE_MODES = ['HTML', 'MarkdownV2', 'none'];
+const HTML_TAGS = new Set(['b', 'strong', 'i', 'em', 'u', 'ins', 's', 'strike', 'del', 'a', 'code', 'pre', 'blockquote', 'tg-spoiler']);
+const PLACEHOLDER_REGEX = /\{(\w+)\}/g;
+
+const escapeHtmlValue = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const escapeMarkdownValue = (value) => value.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+const ESCAPERS = { HTML: escapeHtmlValue, MarkdownV2: escapeMarkdownValue, none: (value) => value };
+
+// Markup → what a human would read; used for email, webhooks, Viber and SMS. A tel:
+// link keeps only its label, the number itself, which mail and SMS apps make tappable
+const toPlain = (line, parseMode) => {
+  if (parseMode === 'HTML') {
+    return line
+      .replace(/<a\s[^>]*href="tel:[^"]*"[^>]*>(.*?)<\/a>/g, '$1')
+      .replace(/<a\s[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/g, '$2 ($1)')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, '&');
+  }
+  if (parseMode === 'MarkdownV2') {
+    return line
+      .replace(/\[([^\]]*)\]\(tel:[^)]*\)/g, '$1')
+      .replace(/\[([^\]]*)\]\(([^)]*)\)/g, '$1 ($2)')
+      .replace(/\\(.)|[*_~|`]/g, (match, escaped) => escaped || '');
+  }
+  return line;
+};
+
+const checkHtml = (line) => {
+  const open = [];
+  for (const [, closing, tag] of line.matchAll(/<(\/?)([a-z-]+)[^>]*>/gi)) {
+    const name = tag.toLowerCase();
+    if (!HTML_TAGS.has(name)) return `unsupported tag <${name}>`;
+    if (!closing) open.push(name);
+    else if (open.pop() !== name) return `unbalanced </${name}>`;
+  }
+  return open.length ? `unclosed <${open[open.length - 1]}>` : null;
+};
+
+const toLines = (text) => (Array.isArray(text) ? text : String(text).split('\n'));
+
+const validateTemplates = (config, filePath) => {
+  const fail = (reason) => {
+    throw new Error(`Invalid message templates in ${filePath}: ${reason}`);
+  };
+  if (!config || typeof config !== 'object') fail('not an object');
+  if (!PARSE_MODES.includes(config.parseMode)) fail(`parseMode must be one of ${PARSE_MODES.join(', ')}`);
+  if (!config.templates || typeof config.templates !== 'object') fail('templates must be an object keyed by event');
+  for (const [event, entry] of Object.entries(config.templates)) {
+    const variants = Array.isArray(entry) ? entry : [entry];
+    if (!variants.length) fail(`${event} has no variants`);
+    for (const variant of variants) {
+      if (!variant || (typeof variant.text !== 'string' && !Array.isArray(variant.text))) fail(`${event} variant needs "text"`);
+      for (const key of ['minRating', 'maxRating']) {
+        if (variant[key] !== undefined && !(Number.isInteger(variant[key]) && variant[key] >= 1 && variant[key] <= 5)) {
+          fail(`${event} ${key}`);
+        }
+      }
+      if (config.parseMode === 'HTML') {
+        for (const line of toLines(variant.text)) {
+          const problem = checkHtml(line);
+          if (problem) fail(`${event}: ${problem} in "${line}"`);
+        }
+      }
+    }
+  }
+  return {
+    parseMode: config.parseMode,
+    templates: Object.fromEntries(
+      Object.entries(config.templates).map(([event, entry]) => [event, Array.isArray(entry) ? entry : [entry]]),
+    ),
+  };
+};
+
+const readTemplates = (filePath) => {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read message templates at ${filePath}: ${error.message}`);
+  }
+  return validateTemplates(config, filePath);
+};
+
+const pickVariant = (variants, rating) =>
+  variants.find((variant) => {
+    if (variant.minRating === undefined && variant.maxRating === undefined) return true;
+    if (!Number.isFinite(rating)) return false;
+    return (variant.minRating === undefined || rating >= variant.minRating)
+      && (variant.maxRating === undefined || rating <= variant.maxRating);
+  });
+
+const renderLines = (lines, values, escape) =>
+  lines
+    .map((line) => {
+      let placeholders = 0;
+      let filled = 0;
+      const rendered = line.replace(PLACEHOLDER_REGEX, (match, name) => {
+        placeholders += 1;
+        const value = values[name] === undefined || values[name] === null ? '' : String(values[name]);
+        if (value) filled += 1;
+        return escape(value);
+      });
+      return placeholders && !filled ? null : rendered;
+    })
+    .filter((line) => line !== null)
+    .join('\n');
+
+// Re-reads the file when it changes; a broken edit keeps the last good version
+const createTemplateRenderer = ({ filePath }) => {
+  let current = readTemplates(filePath);
+  let loadedMtimeMs = fs.statSync(filePath).mtimeMs;
+
+  const refresh = () => {
+    try {
+      const { mtimeMs } = fs.statSync(filePath);
+      if (mtimeMs === loadedMtimeMs) return;
+      loadedMtimeMs = mtimeMs;
+      current = readTemplates(filePath);
+      console.log(`Message templates reloaded from ${filePath}`);
+    } catch (error) {
+      console.error(`Keeping previous message templates: ${error.message}`);
+    }
+  };
+
+  // → { text, formatted } where text is plain and formatted carries Telegram parse_mode
+  const render = (event, values = {}, { rating } = {}) => {
+    refresh();
+    const { parseMode, templates } = current;
+    const variant = templates[event] && pickVariant(templates[event], rating);
+    if (!variant) {
+      throw new Error(`No message template for ${event}${Number.isFinite(rating) ? ` (rating ${rating})` : ''}`);
+    }
+    const lines = toLines(variant.text);
+    const withTime = { time: formatDateTime(Date.now()), ...values };
+    const text = renderLines(lines.map((line) => toPlain(line, parseMode)), withTime, ESCAPERS.none);
+    if (parseMode === 'none') {
+      return { text, formatted: null };
+    }
+    return {
+      text,
+      formatted: { text: renderLines(lines, withTime, ESCAPERS[parseMode]), parseMode },
+    };
+  };
+
+  return { render };
+};
+
+module.exports = { createTemplateRenderer, validateTemplates, escapeHtmlValue, escapeMarkdownValue };
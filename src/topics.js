@@ -0,0 +1,157 @@
+const fs = require('fs');
+const { formatDateKey, shiftDateKey, weekdayOfDateKey } = require('./utils');
+
+// Rule-based topics and a rough sentiment score for review comments, computed
+// locally from the Ukrainian/Russian lexicon in config/topics.json.
+//
+// Comments are lower-cased and split into words. A lexicon entry is a word stem
+// matched against the start of a word, so "брудн" covers "брудно", "брудний",
+// "брудними"; a trailing "$" asks for the whole word ("ціна$" but not "цінний"),
+// and several space-separated stems match consecutive words ("раніше закінч").
+//
+// Sentiment counts positive and negative stems; a negation up to two words before
+// ("не чисто", "без запізнень") flips the word. The score is their balance from -1
+// (only negative) to 1 (only positive), null when the comment has neither.
+
+const TOPIC_ID_REGEX = /^[a-z0-9_-]{1,40}$/;
+const HASHTAG_REGEX = /^[\p{L}\p{N}_]{1,40}$/u;
+const NEGATION_REACH = 2;
+const MAX_WEEKS = 104;
+
+// One spelling for apostrophes and ё, so the lexicon needn't list variants
+const normalize = (text) =>
+  String(text || '')
+    .toLocaleLowerCase('uk')
+    .replace(/[ʼ’`]/g, "'")
+    .replace(/ё/g, 'е');
+
+const tokenize = (text) => normalize(text).match(/[\p{L}\p{N}']+/gu) || [];
+
+const toPhrase = (entry) => normalize(entry).trim().split(/\s+/);
+
+const validateStems = (stems, where, fail) => {
+  if (!Array.isArray(stems) || !stems.every((stem) => typeof stem === 'string' && stem.trim())) {
+    fail(`${where} must be a list of non-empty strings`);
+  }
+};
+
+const loadTopicLexicon = (filePath) => {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read topic lexicon at ${filePath}: ${error.message}`);
+  }
+  const fail = (reason) => {
+    throw new Error(`Invalid topic lexicon in ${filePath}: ${reason}`);
+  };
+  if (!config || !Array.isArray(config.topics)) fail('must be { "topics": [...], "sentiment": {...} }');
+  const seen = new Set();
+  for (const topic of config.topics) {
+    if (!topic || !TOPIC_ID_REGEX.test(topic.id)) fail(`topic id ${JSON.stringify(topic && topic.id)}`);
+    if (seen.has(topic.id)) fail(`duplicate topic ${topic.id}`);
+    seen.add(topic.id);
+    if (typeof topic.label !== 'string' || !topic.label.trim()) fail(`${topic.id} needs a label`);
+    if (!HASHTAG_REGEX.test(topic.hashtag)) fail(`${topic.id} hashtag may only have letters, digits and _`);
+    validateStems(topic.stems, `${topic.id} stems`, fail);
+  }
+  const sentiment = config.sentiment || {};
+  for (const key of ['positive', 'negative', 'negations']) {
+    validateStems(sentiment[key] || [], `sentiment.${key}`, fail);
+  }
+
+  return {
+    topics: config.topics.map(({ id, label, hashtag, stems }) => ({ id, label, hashtag, phrases: stems.map(toPhrase) })),
+    positive: (sentiment.positive || []).map(toPhrase),
+    negative: (sentiment.negative || []).map(toPhrase),
+    negations: new Set((sentiment.negations || []).map(normalize)),
+  };
+};
+
+const matchesStem = (word, stem) => (stem.endsWith('$') ? word === stem.slice(0, -1) : word.startsWith(stem));
+
+const phraseAt = (tokens, index, phrase) =>
+  phrase.every((stem, offset) => index + offset < tokens.length && matchesStem(tokens[index + offset], stem));
+
+const createTopicTagger = (lexicon) => {
+  const byId = new Map(lexicon.topics.map((topic) => [topic.id, topic]));
+
+  // → { topics: [ids in lexicon order], sentiment: -1..1 or null }
+  const analyze = (text) => {
+    const tokens = tokenize(text);
+    const topics = lexicon.topics
+      .filter((topic) => tokens.some((word, index) => topic.phrases.some((phrase) => phraseAt(tokens, index, phrase))))
+      .map((topic) => topic.id);
+
+    let total = 0;
+    let hits = 0;
+    tokens.forEach((word, index) => {
+      if (lexicon.negations.has(word)) return;
+      const positive = lexicon.positive.some((phrase) => phraseAt(tokens, index, phrase));
+      const negative = !positive && lexicon.negative.some((phrase) => phraseAt(tokens, index, phrase));
+      if (!positive && !negative) return;
+      const negated = tokens.slice(Math.max(0, index - NEGATION_REACH), index).some((before) => lexicon.negations.has(before));
+      total += (positive ? 1 : -1) * (negated ? -1 : 1);
+      hits += 1;
+    });
+
+    return { topics, sentiment: hits ? Math.round((total / hits) * 100) / 100 : null };
+  };
+
+  // ["cleanliness", "price"] → "#чистота #ціна" (unknown ids are skipped)
+  const hashtags = (ids = []) =>
+    ids
+      .filter((id) => byId.has(id))
+      .map((id) => `#${byId.get(id).hashtag}`)
+      .join(' ');
+
+  const list = () => lexicon.topics.map(({ id, label, hashtag }) => ({ id, label, hashtag }));
+
+  return { analyze, hashtags, list };
+};
+
+const weekOf = (value) => {
+  const day = formatDateKey(value);
+  return shiftDateKey(day, -((weekdayOfDateKey(day) + 6) % 7));
+};
+
+// Mondays from the week of `from` to the week of `to` (date keys), at most the last MAX_WEEKS
+const weekRange = (from, to) => {
+  const weeks = [];
+  for (let week = weekOf(`${from}T12:00:00Z`); week <= to; week = shiftDateKey(week, 7)) weeks.push(week);
+  return weeks.slice(-MAX_WEEKS);
+};
+
+const average = (values) => (values.length ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100 : null);
+
+// Per topic over the given reviews (busiest first): mentions, share of commented
+// reviews, average rating and sentiment, and mentions per week (Monday-based,
+// oldest first). `from`/`to` fix the weeks shown; otherwise the reviews span them.
+const summarizeTopics = (reviews, topics, { from = null, to = null } = {}) => {
+  const commented = reviews.filter((review) => review.reason);
+  const days = commented.map((review) => formatDateKey(review.createdAt)).sort();
+  const first = from || days[0];
+  const last = to || days[days.length - 1];
+  const weeks = first && last ? weekRange(first, last) : [];
+
+  const rows = topics.map((topic) => {
+    const tagged = commented.filter((review) => (review.topics || []).includes(topic.id));
+    const weekly = weeks.map(() => 0);
+    for (const review of tagged) {
+      const index = weeks.indexOf(weekOf(review.createdAt));
+      if (index !== -1) weekly[index] += 1;
+    }
+    return {
+      ...topic,
+      count: tagged.length,
+      share: commented.length ? Math.round((tagged.length / commented.length) * 1000) / 10 : null,
+      average: average(tagged.map((review) => review.rating)),
+      sentiment: average(tagged.map((review) => review.sentiment).filter((score) => typeof score === 'number')),
+      weekly,
+    };
+  });
+
+  return { commented: commented.length, weeks, topics: rows.sort((a, b) => b.count - a.count) };
+};
+
+module.exports = { loadTopicLexicon, createTopicTagger, summarizeTopics };
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+const MAX_NAME_LENGTH = 60;
+const MAX_REASON_LENGTH = 500;
+const CONTROL_CHAR_REGEX = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g;
+const TIME_ZONE = 'Europe/Kyiv';
+
+const toCleanString = (value) => (typeof value === 'string' ? value : '');
+
+const stripControlChars = (value) => value.replace(CONTROL_CHAR_REGEX, '');
+
+const sanitizeText = (raw, maxLength) => {
+  const cleaned = stripControlChars(toCleanString(raw));
+  return cleaned.trim().slice(0, maxLength);
+};
+
+// Phone left by a guest → E.164. Ukrainian numbers may come in any local form
+// ("050 123 45 67", "(050) 123-45-67", "380501234567"); others need the leading "+".
+const normalizeGuestPhone = (raw) => {
+  const cleaned = sanitizeText(raw, 30);
+  if (!/^\+?[\d\s().-]+$/.test(cleaned)) return null;
+  const digits = cleaned.replace(/\D/g, '');
+  if (digits.startsWith('380')) return digits.length === 12 ? `+${digits}` : null;
+  if (/^0\d{9}$/.test(digits)) return `+38${digits}`;
+  if (/^[1-9]\d{8}$/.test(digits) && !cleaned.startsWith('+')) return `+380${digits}`;
+  return cleaned.startsWith('+') && /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+};
+
+// "@olena_k", "olena_k" or "https://t.me/olena_k" → "@olena_k"; null when it can't be a username
+const normalizeTelegramUsername = (raw) => {
+  const cleaned = sanitizeText(raw, 64).replace(/^(?:https?:\/\/)?(?:t\.me|telegram\.me)\//i, '').replace(/^@/, '');
+  return /^[A-Za-z][A-Za-z0-9_]{4,31}$/.test(cleaned) ? `@${cleaned}` : null;
+};
+
+const PHONE_IN_TEXT_REGEX = /(?<![\w+])(?:\+\d{8,15}|(?:\+?38\s?)?\(?0\d{2}\)?[\s-]?\d{3}[\s-]?\d{2}[\s-]?\d{2})(?!\d)/g;
+const USERNAME_IN_TEXT_REGEX = /(?<![\w/])@([A-Za-z][A-Za-z0-9_]{4,31})\b/g;
+
+// Guest phones and Telegram usernames in log lines and alerts:
+// "+380501234567" → "+38050•••••67", "@olena_k" → "@ol•••"
+const maskContacts = (text) =>
+  String(text)
+    .replace(PHONE_IN_TEXT_REGEX, (phone) => {
+      const digits = phone.replace(/\D/g, '');
+      return `${phone.startsWith('+') ? '+' : ''}${digits.slice(0, 5)}${'•'.repeat(Math.max(digits.length - 7, 1))}${digits.slice(-2)}`;
+    })
+    .replace(USERNAME_IN_TEXT_REGEX, (match, name) => `@${name.slice(0, 2)}•••`);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isValidRating = (rating) => Number.isInteger(rating) && rating >= 1 && rating <= 5;
+
+const getZonedParts = (value, options) => {
+  const date = value instanceof Date ? value : new Date(value);
+
+  const formatter = new Intl.DateTimeFormat('uk-UA', {
+    timeZone: TIME_ZONE,
+    hour12: false,
+    ...options,
+  });
+
+  const parts = formatter.formatToParts(date);
+  return (type) => parts.find((part) => part.type === type)?.value || '';
+};
+
+const formatDateTime = (value) => {
+  const get = getZonedParts(value, {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+  return `${get('day')}.${get('month')}.${get('year')} ${get('hour')}:${get('minute')}`;
+};
+
+// Calendar day in the salon's zone as YYYY-MM-DD (sortable, comparable as strings)
+const formatDateKey = (value) => {
+  const get = getZonedParts(value, { day: '2-digit', month: '2-digit', year: 'numeric' });
+  return `${get('year')}-${get('month')}-${get('day')}`;
+};
+
+// "2026-10-19" + 3 → "2026-10-22"; date keys are calendar days, so no DST surprises
+const shiftDateKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Day of week of a date key, 0 = Sunday
+const weekdayOfDateKey = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+// Milliseconds until the next hh:00 on the salon's clock
+const msUntilLocalHour = (hour, now = Date.now()) => {
+  const get = getZonedParts(now, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  const elapsed = ((Number(get('hour')) % 24) * 60 + Number(get('minute'))) * 60 + Number(get('second'));
+  const target = hour * 60 * 60;
+  const seconds = target > elapsed ? target - elapsed : target + 24 * 60 * 60 - elapsed;
+  return seconds * 1000;
+};
+
+// Compare digests so the check takes the same time regardless of input length
+const safeEqual = (candidate, expected) => {
+  const a = crypto.createHash('sha256').update(String(candidate)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(rest.join('='));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const getClientIp = (req) => req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket.remoteAddress || 'unknown';
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  MAX_REASON_LENGTH,
+  TIME_ZONE,
+  sanitizeText,
+  normalizeGuestPhone,
+  normalizeTelegramUsername,
+  maskContacts,
+  sleep,
+  isValidRating,
+  getZonedParts,
+  formatDateTime,
+  formatDateKey,
+  shiftDateKey,
+  weekdayOfDateKey,
+  msUntilLocalHour,
+  safeEqual,
+  readCookie,
+  escapeHtml,
+  getClientIp,
+};
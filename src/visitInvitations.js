@@ -0,0 +1,110 @@
+const { buildReviewUrl } = require('./invitations');
+const { formatDateTime } = require('./utils');
+
+// Sends a personal review link some time after a completed visit.
+//
+// Visits carry their own invitation state: scheduled → queued (handed to the
+// outbox) → sent / failed, or skipped / cancelled. The link is signed for the
+// visit record, so the review that comes back is tied to the visit and its master.
+
+const RETRY_MS = 60 * 1000;
+
+const buildGuestText = ({ visit, url }) =>
+  `${visit.clientName ? `${visit.clientName}, д` : 'Д'}якуємо за візит до Хати Масажу! Будемо вдячні за відгук: ${url}`;
+
+// Staff channels (e.g. Telegram) get the link to forward by hand
+const buildStaffText = ({ visit, url }) =>
+  [
+    '📨 Запрошення до відгуку',
+    '',
+    `👤 Гість: ${visit.clientName || 'Невідомо'}`,
+    visit.clientPhone ? `📞 +${visit.clientPhone}` : null,
+    visit.masterName ? `🧑‍🔧 Майстер: ${visit.masterName}` : null,
+    visit.visitAt ? `📅 Візит: ${formatDateTime(visit.visitAt)}` : null,
+    '',
+    'Надішліть гостю посилання:',
+    url,
+  ]
+    .filter((line) => line !== null)
+    .join('\n');
+
+// `baseUrlFor(visit)` is the review page of the salon the visit was in
+const createVisitInvitations = ({ store, signer, notify, channel, baseUrlFor, delayMs }) => {
+  let timer = null;
+  let running = false;
+  let rerun = false;
+
+  const initialState = () =>
+    (signer
+      ? { invitationStatus: 'scheduled', invitationDueAt: new Date(Date.now() + delayMs).toISOString() }
+      : { invitationStatus: 'skipped', invitationError: 'REVIEW_LINK_SECRET is not set' });
+
+  const schedule = (delayMsFromNow) => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(tick, Math.max(0, delayMsFromNow));
+    if (timer.unref) timer.unref();
+  };
+
+  const invite = async (visit) => {
+    if (channel === 'sms' && !visit.clientPhone) {
+      await store.update('visits', visit.id, { invitationStatus: 'skipped', invitationError: 'No phone number' });
+      return;
+    }
+
+    const { token } = signer.issue({ visitId: visit.id, masterId: visit.masterId, locationId: visit.location });
+    const url = buildReviewUrl(baseUrlFor(visit), token);
+    const text = channel === 'sms' ? buildGuestText({ visit, url }) : buildStaffText({ visit, url });
+    // Mark first: the outbox may settle the message before notify() returns
+    await store.update('visits', visit.id, { invitationStatus: 'queued', invitationQueuedAt: new Date().toISOString() });
+    try {
+      await notify({
+        event: 'visit.invitation',
+        text,
+        phone: visit.clientPhone,
+        channels: [channel],
+        location: visit.location,
+        ref: { collection: 'visits', id: visit.id, statusField: 'invitationStatus' },
+      });
+    } catch (error) {
+      console.error(`Failed to queue review invitation for visit ${visit.id}`, error && error.message);
+      await store.update('visits', visit.id, { invitationStatus: 'failed', invitationError: error && error.message });
+    }
+  };
+
+  async function tick() {
+    timer = null;
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+    try {
+      const now = Date.now();
+      const scheduled = store.list('visits', (visit) => visit.invitationStatus === 'scheduled');
+      for (const visit of scheduled.filter((item) => new Date(item.invitationDueAt).getTime() <= now)) {
+        await invite(visit);
+      }
+      const next = scheduled
+        .map((visit) => new Date(visit.invitationDueAt).getTime())
+        .filter((dueAt) => dueAt > now)
+        .sort((a, b) => a - b)[0];
+      if (next) schedule(next - now);
+    } catch (error) {
+      console.error('Visit invitation scheduler failure', error);
+      schedule(RETRY_MS);
+    } finally {
+      running = false;
+      if (rerun) {
+        rerun = false;
+        schedule(0);
+      }
+    }
+  }
+
+  // Re-plan after new visits arrive; also picks up invitations due before a restart
+  const wake = () => schedule(0);
+
+  return { start: wake, wake, initialState };
+};
+
+module.exports = { createVisitInvitations };
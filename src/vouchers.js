@@ -0,0 +1,159 @@
+const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const rateLimit = require('express-rate-limit');
+const { DAY_MS } = require('./reports');
+const { safeEqual } = require('./utils');
+
+// No 0/O, 1/I/L — codes are read aloud and typed by reception
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_LENGTH = 6;
+const CODE_PREFIX = 'HM-';
+const MAX_CODE_ATTEMPTS = 10;
+
+const randomCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (const byte of bytes) {
+    code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  }
+  return `${CODE_PREFIX}${code}`;
+};
+
+// "hm 7kq-4p2" → "HM-7KQ4P2"
+const normalizeCode = (raw) => {
+  const compact = String(raw || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+  const body = compact.startsWith('HM') ? compact.slice(2) : compact;
+  return body.length === CODE_LENGTH ? `${CODE_PREFIX}${body}` : null;
+};
+
+const toPublicVoucher = (voucher) => ({
+  code: voucher.code,
+  amount: voucher.amount,
+  expiresAt: voucher.expiresAt,
+  redeemedAt: voucher.redeemedAt || null,
+});
+
+const createVoucherService = ({ store, ttlDays, amount }) => {
+  const findByCode = (code) => store.list('vouchers', (voucher) => voucher.code === code)[0] || null;
+
+  // One voucher per review: repeated clicks return the already issued code
+  const issueForReview = async (review) => {
+    const existing = store.list('vouchers', (voucher) => voucher.reviewId === review.id)[0];
+    if (existing) {
+      return { voucher: existing, created: false };
+    }
+
+    let code = randomCode();
+    for (let attempt = 1; findByCode(code); attempt += 1) {
+      if (attempt >= MAX_CODE_ATTEMPTS) {
+        throw new Error('Failed to generate a unique voucher code');
+      }
+      code = randomCode();
+    }
+
+    const voucher = await store.insert('vouchers', {
+      code,
+      amount,
+      reviewId: review.id,
+      location: review.location || null,
+      guestName: review.name || null,
+      expiresAt: new Date(Date.now() + ttlDays * DAY_MS).toISOString(),
+      redeemedAt: null,
+    });
+    return { voucher, created: true };
+  };
+
+  const check = (rawCode) => {
+    const code = normalizeCode(rawCode);
+    const voucher = code ? findByCode(code) : null;
+    if (!voucher) return { status: 'not_found', voucher: null };
+    if (voucher.redeemedAt) return { status: 'redeemed', voucher };
+    if (new Date(voucher.expiresAt).getTime() <= Date.now()) return { status: 'expired', voucher };
+    return { status: 'valid', voucher };
+  };
+
+  const redeem = async (rawCode) => {
+    const result = check(rawCode);
+    if (result.status !== 'valid') return result;
+    const voucher = await store.update('vouchers', result.voucher.id, { redeemedAt: new Date().toISOString() });
+    return { status: 'redeemed_now', voucher };
+  };
+
+  return { issueForReview, check, redeem };
+};
+
+const STATUS_RESPONSES = {
+  not_found: { http: 404, error: 'Код не знайдено.' },
+  redeemed: { http: 409, error: 'Цей код уже використано.' },
+  expired: { http: 410, error: 'Термін дії коду минув.' },
+};
+
+const sendVoucherResult = (res, { status, voucher }) => {
+  const failure = STATUS_RESPONSES[status];
+  if (failure) {
+    return res.status(failure.http).json({
+      error: failure.error,
+      status,
+      voucher: voucher ? toPublicVoucher(voucher) : null,
+    });
+  }
+  return res.json({ success: true, status, voucher: toPublicVoucher(voucher) });
+};
+
+// Middleware pair for reception endpoints: failed-attempt limiter + RECEPTION_PIN check.
+// Create it once and share it so every reception endpoint counts towards the same limit.
+// `limiterStore` is an express-rate-limit store (in memory when omitted).
+const createPinGuard = (pin, limiterStore) => {
+  const pinLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    skipSuccessfulRequests: true,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Забагато спроб. Спробуйте пізніше.' },
+    store: limiterStore,
+  });
+
+  const requirePin = (req, res, next) => {
+    if (!pin) {
+      return res.status(503).json({ error: 'Ресепшн не налаштовано. Задайте RECEPTION_PIN.' });
+    }
+    const candidate = req.body && req.body.pin;
+    if (typeof candidate !== 'string' || !safeEqual(candidate, pin)) {
+      return res.status(401).json({ error: 'Невірний PIN.' });
+    }
+    next();
+  };
+
+  return [pinLimiter, requirePin];
+};
+
+// Reception page + PIN-protected check/redeem API; vouchers are valid in every salon
+// and a redemption is announced to the salon whose reception took it
+const createVoucherRouter = ({ vouchers, publicDir, pinGuard, notify }) => {
+  const router = express.Router();
+
+  router.get('/reception', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.sendFile(path.join(publicDir, 'reception', 'index.html'));
+  });
+
+  router.post('/api/vouchers/check', ...pinGuard, (req, res) => {
+    const result = vouchers.check(req.body.code);
+    return sendVoucherResult(res, result);
+  });
+
+  router.post('/api/vouchers/redeem', ...pinGuard, async (req, res) => {
+    const result = await vouchers.redeem(req.body.code);
+    if (result.status === 'redeemed_now') {
+      const { voucher } = result;
+      await notify({ code: voucher.code, name: voucher.guestName || 'Невідомо', amount: voucher.amount }, req.location.id);
+    }
+    return sendVoucherResult(res, result);
+  });
+
+  return router;
+};
+
+module.exports = { createVoucherService, createVoucherRouter, createPinGuard, normalizeCode, toPublicVoucher };
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Outbound event webhooks for CRMs and spreadsheet automations, from config/webhooks.json:
+//
+//   {
+//     "endpoints": [
+//       { "id": "crm", "url": "https://crm.example.com/hooks/hata", "secretEnv": "WEBHOOK_SECRET_CRM",
+//         "events": ["review.created", "review.google_click"], "locations": ["podil"] }
+//     ]
+//   }
+//
+// Every event goes to each endpoint subscribed to it (and to its salon, when the
+// entry names `locations`) as POST application/json:
+//
+//   { "id": <event id>, "event": "review.created", "createdAt": ..., "location": { "id", "name" }, "data": {...} }
+//
+// with the headers X-Hata-Event, X-Hata-Delivery (the delivery id), X-Hata-Timestamp
+// (unix seconds of this attempt) and X-Hata-Signature: sha256=<hex HMAC-SHA256 of
+// "<timestamp>.<body>" with the endpoint's secret>. Receivers check the signature and
+// refuse stale timestamps, so a captured request can't be replayed later.
+//
+// Deliveries go through their own durable queue (collection "webhookDeliveries"):
+// 5xx, 429 and network errors are retried with backoff, other answers are final.
+// Redelivering from the admin sends the same payload (same event id) as a new delivery.
+
+const EVENTS = ['review.created', 'review.google_click', 'review.master_click'];
+const ENDPOINT_ID_REGEX = /^[a-z0-9-]{1,40}$/;
+const SECRET_ENV_REGEX = /^[A-Z][A-Z0-9_]*$/;
+
+const validateEndpoint = (endpoint, filePath, locationIds) => {
+  const fail = (reason) => {
+    throw new Error(`Invalid webhook endpoint in ${filePath} (${reason}): ${JSON.stringify(endpoint)}`);
+  };
+  if (!endpoint || typeof endpoint !== 'object') fail('not an object');
+  if (!ENDPOINT_ID_REGEX.test(endpoint.id)) fail('id');
+  if (typeof endpoint.url !== 'string' || !/^https?:\/\/[^\s]+$/.test(endpoint.url)) fail('url must be http(s)');
+  if (!SECRET_ENV_REGEX.test(endpoint.secretEnv || '')) fail('secretEnv must name an environment variable');
+  if (!process.env[endpoint.secretEnv]) fail(`${endpoint.secretEnv} is not set`);
+  if (!Array.isArray(endpoint.events) || !endpoint.events.length || !endpoint.events.every((event) => EVENTS.includes(event))) {
+    fail(`events must be a list of ${EVENTS.join(', ')}`);
+  }
+  if (endpoint.locations !== undefined
+    && !(Array.isArray(endpoint.locations) && endpoint.locations.every((id) => locationIds.includes(id)))) {
+    fail('unknown location');
+  }
+};
+
+// No file means no webhooks
+const loadWebhookEndpoints = (filePath, locationIds) => {
+  if (!fs.existsSync(filePath)) return [];
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read webhooks config at ${filePath}: ${error.message}`);
+  }
+  if (!config || !Array.isArray(config.endpoints)) {
+    throw new Error(`Webhooks config at ${filePath} must be { "endpoints": [...] }`);
+  }
+  const seen = new Set();
+  for (const endpoint of config.endpoints) {
+    validateEndpoint(endpoint, filePath, locationIds);
+    if (seen.has(endpoint.id)) throw new Error(`Duplicate webhook endpoint id in ${filePath}: ${endpoint.id}`);
+    seen.add(endpoint.id);
+  }
+  return config.endpoints.map(({ id, url, secretEnv, events, locations }) => ({
+    id,
+    url,
+    secret: process.env[secretEnv],
+    events,
+    locations: locations || null,
+  }));
+};
+
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const createWebhooks = ({ endpoints, queue, store, locations, timeoutMs }) => {
+  const byId = new Map(endpoints.map((endpoint) => [endpoint.id, endpoint]));
+
+  // Queue `deliver`: one signed POST; a fresh timestamp and signature on every attempt
+  const deliver = async (delivery) => {
+    const endpoint = byId.get(delivery.endpoint);
+    if (!endpoint) {
+      const error = new Error(`Webhook endpoint ${delivery.endpoint} is no longer configured`);
+      error.permanent = true;
+      throw error;
+    }
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const response = await axios.post(endpoint.url, body, {
+      timeout: timeoutMs,
+      maxRedirects: 0,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'hata-masazhu-webhooks',
+        'X-Hata-Event': delivery.event,
+        'X-Hata-Delivery': delivery.id,
+        'X-Hata-Timestamp': String(timestamp),
+        'X-Hata-Signature': sign(endpoint.secret, timestamp, body),
+      },
+    });
+    return { status: response.status, durationMs: Date.now() - startedAt };
+  };
+
+  // Queues the event for every subscribed endpoint. Never throws: a CRM that is down
+  // must not fail the guest's request.
+  const emit = async (event, { location, data }) => {
+    const targets = endpoints.filter((endpoint) => endpoint.events.includes(event)
+      && (!endpoint.locations || endpoint.locations.includes(location)));
+    if (!targets.length) return;
+    const salon = locations.get(location);
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      location: { id: location, name: salon ? salon.name : null },
+      data,
+    };
+    for (const endpoint of targets) {
+      try {
+        await queue.enqueue({ endpoint: endpoint.id, event, payload });
+      } catch (error) {
+        console.error(`Failed to queue webhook ${event} for ${endpoint.id}`, error && error.message);
+      }
+    }
+  };
+
+  // A new delivery of the same payload; → the delivery, or null for an unknown id
+  const redeliver = async (id) => {
+    const delivery = store.findById('webhookDeliveries', id);
+    if (!delivery) return null;
+    return queue.enqueue({
+      endpoint: delivery.endpoint,
+      event: delivery.event,
+      payload: delivery.payload,
+      redeliveryOf: delivery.id,
+    });
+  };
+
+  // Newest first, for the delivery log in the admin
+  const listDeliveries = (limit) =>
+    store.list('webhookDeliveries')
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .slice(0, limit);
+
+  const describeEndpoints = () => endpoints.map(({ id, url, events, locations: only }) => ({
+    id,
+    url,
+    events,
+    locations: only,
+  }));
+
+  return { deliver, emit, redeliver, listDeliveries, describeEndpoints };
+};
+
+module.exports = { EVENTS, loadWebhookEndpoints, createWebhooks, sign };
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createSpamGuard, createFormNonces } = require('../src/antispam');
+const { createMemoryStore } = require('../src/kv');
+const { createTestStore } = require('./helpers');
+
+const SECRET = 'antispam-test-secret';
+const SID = '0123456789abcdef0123456789abcdef';
+const OTHER_SID = 'fedcba9876543210fedcba9876543210';
+
+const createGuard = (t, { minSubmitMs = 0 } = {}) => {
+  const store = createTestStore(t);
+  const kv = createMemoryStore();
+  t.after(() => kv.close());
+  const guard = createSpamGuard({
+    store,
+    kv,
+    secret: SECRET,
+    minSubmitMs,
+    profanityPath: path.join(__dirname, '..', 'config', 'profanity.json'),
+  });
+  // Nonces are only signed timestamps, so any issuer with the same secret will do
+  const nonces = createFormNonces({ secret: SECRET, minAgeMs: minSubmitMs });
+  return { store, guard, nonce: () => nonces.issue() };
+};
+
+const form = (fields) => ({ honeypot: '', name: 'Олена', ip: '10.0.0.1', sid: SID, ...fields });
+
+test('an ordinary review passes', async (t) => {
+  const { guard, nonce } = createGuard(t);
+  assert.deepEqual(await guard.inspectForm(form({ nonce: nonce(), text: 'Дуже сподобався масаж спини, дякую!' })), []);
+});
+
+test('a bot filling the hidden field, skipping the nonce or reusing one is caught', async (t) => {
+  const { guard, nonce } = createGuard(t);
+  assert.deepEqual(await guard.inspectForm(form({ nonce: nonce(), honeypot: 'http://spam' })), ['honeypot']);
+  assert.deepEqual(await guard.inspectForm(form({ nonce: undefined })), ['nonce']);
+  assert.deepEqual(await guard.inspectForm(form({ nonce: 'lzx1.forged' })), ['nonce']);
+
+  const reused = nonce();
+  assert.deepEqual(await guard.inspectForm(form({ nonce: reused })), []);
+  assert.deepEqual(await guard.inspectForm(form({ nonce: reused })), ['nonce']);
+
+  const otherSecret = createFormNonces({ secret: 'other', minAgeMs: 0 }).issue();
+  assert.deepEqual(await guard.inspectForm(form({ nonce: otherSecret })), ['nonce']);
+});
+
+test('a form sent back faster than a person can fill it is caught', async (t) => {
+  const { guard, nonce } = createGuard(t, { minSubmitMs: 60 * 1000 });
+  assert.deepEqual(await guard.inspectForm(form({ nonce: nonce(), text: 'Все добре' })), ['too_fast']);
+});
+
+test('links and profanity are caught in the comment and in the name', async (t) => {
+  const { guard, nonce } = createGuard(t);
+  assert.deepEqual(await guard.inspectForm(form({ nonce: nonce(), text: 'Знижки тут: www.example.com' })), ['link']);
+  assert.deepEqual(await guard.inspectForm(form({ nonce: nonce(), name: 'casino-top.xyz', text: 'Гарно' })), ['link']);
+  assert.deepEqual(await guard.inspectForm(form({ nonce: nonce(), text: 'Масажист мудак' })), ['profanity']);
+  assert.deepEqual(await guard.inspectForm(form({ nonce: nonce(), text: 'Сподобалось, а не як у сусідів' })), []);
+});
+
+test('a comment repeating itself is caught', async (t) => {
+  const { guard, nonce } = createGuard(t);
+  assert.deepEqual(await guard.inspectForm(form({ nonce: nonce(), text: 'супер супер супер супер' })), ['repeated']);
+  assert.deepEqual(await guard.inspectForm(form({ nonce: nonce(), text: 'Кльово!!!!!!!!!!' })), ['repeated']);
+});
+
+test('a short stock phrase is only a repeat when the same client sends it again', async (t) => {
+  const { guard, nonce } = createGuard(t);
+  const text = 'Дякую, все супер';
+  assert.deepEqual(await guard.inspectForm(form({ nonce: nonce(), text })), []);
+  assert.deepEqual(await guard.inspectForm(form({ nonce: nonce(), text, sid: OTHER_SID })), []);
+  assert.deepEqual(await guard.inspectForm(form({ nonce: nonce(), text, ip: '10.0.0.2' })), []);
+  assert.deepEqual(await guard.inspectForm(form({ nonce: nonce(), text: ' дякую,   ВСЕ супер ' })), ['repeated']);
+});
+
+test('a long text already posted by someone else is a repeat', async (t) => {
+  const { store, guard, nonce } = createGuard(t);
+  const text = 'Чудовий салон, найкращий масаж у місті, дуже уважні майстри, приємна атмосфера, чисто, затишно, ціни помірні, рекомендую всім!';
+  await store.insert('reviews', { rating: 5, name: 'Іван', reason: text });
+  assert.deepEqual(await guard.inspectForm(form({ nonce: nonce(), text, sid: OTHER_SID, ip: '10.0.0.9' })), ['repeated']);
+});
+
+test('quarantined items are counted by reason', async (t) => {
+  const { guard } = createGuard(t);
+  const since = Date.now() - 1000;
+  await guard.quarantine('review', { record: {}, text: 'a', reasons: ['link', 'nonce'], location: 'podil', ip: '10.0.0.1' });
+  await guard.quarantine('google_click', { record: {}, reasons: ['no_review'], location: 'podil', ip: '10.0.0.1' });
+  assert.deepEqual(guard.statsSince(since), { total: 2, reasons: { link: 1, nonce: 1, no_review: 1 } });
+});
+
+test('a nonce used on one instance is refused on another sharing the store', async (t) => {
+  const kv = createMemoryStore();
+  t.after(() => kv.close());
+  const first = createFormNonces({ secret: SECRET, minAgeMs: 0, kv });
+  const second = createFormNonces({ secret: SECRET, minAgeMs: 0, kv });
+  const nonce = first.issue();
+  assert.notEqual(second.issue(), nonce);
+  assert.equal(await first.consume(nonce), null);
+  assert.equal(await second.consume(nonce), 'nonce');
+});
+
+test('with the shared store down, nonces are still good for one submission', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const broken = { setIfAbsent: async () => { throw new Error('Redis is not connected'); } };
+  const nonces = createFormNonces({ secret: SECRET, minAgeMs: 0, kv: broken });
+  const nonce = nonces.issue();
+  assert.equal(await nonces.consume(nonce), null);
+  assert.equal(await nonces.consume(nonce), 'nonce');
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCases, caseKeyboard, caseValues } = require('../src/cases');
+const { createMemoryStore } = require('../src/kv');
+const { createTestStore } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const setup = (t, { store = createTestStore(t), kv } = {}) => {
+  const sharedKv = kv || createMemoryStore();
+  if (!kv) t.after(() => sharedKv.close());
+  const calls = [];
+  const escalations = [];
+  const cases = createCases({
+    store,
+    kv: sharedKv,
+    telegram: async (method, payload) => calls.push({ method, payload }),
+    renderMessage: (caseRecord) => ({ text: `Випадок: ${caseRecord.status}` }),
+    notifyEscalation: async (caseRecord, hours) => escalations.push({ id: caseRecord.id, hours }),
+    escalateAfterHours: 24,
+  });
+  return { store, cases, calls, escalations };
+};
+
+const review = { id: 'review-1', location: 'podil' };
+const button = (caseRecord, action) => ({ id: 'cb-1', data: `case:${caseRecord.id}:${action}`, from: { first_name: 'Ірина' } });
+
+test('a case moves new → contacted → resolved and can be reopened, with history', async (t) => {
+  const { cases } = setup(t);
+  const opened = await cases.open(review);
+  assert.equal(opened.status, 'new');
+
+  const contacted = await cases.change(opened.id, { status: 'contacted' }, 'Ірина');
+  assert.equal(contacted.status, 'contacted');
+  assert.equal(contacted.resolvedAt, null);
+
+  const resolved = await cases.change(opened.id, { status: 'resolved' }, 'Ірина');
+  assert.equal(resolved.status, 'resolved');
+  assert.ok(resolved.resolvedAt);
+
+  const reopened = await cases.change(opened.id, { status: 'new' }, 'Олег');
+  assert.equal(reopened.resolvedAt, null);
+  assert.deepEqual(reopened.history.map(({ by, status }) => [by, status]), [
+    ['Ірина', 'contacted'],
+    ['Ірина', 'resolved'],
+    ['Олег', 'new'],
+  ]);
+});
+
+test('no-op and unknown changes leave the case alone', async (t) => {
+  const { cases } = setup(t);
+  const opened = await cases.open(review);
+  assert.deepEqual(await cases.change(opened.id, { status: 'new' }, 'Ірина'), opened);
+  assert.deepEqual(await cases.change(opened.id, { status: 'archived', note: '   ' }, 'Ірина'), opened);
+  assert.equal(await cases.change('missing', { status: 'resolved' }, 'Ірина'), null);
+});
+
+test('assignee and notes are recorded and shown', async (t) => {
+  const { cases } = setup(t);
+  const opened = await cases.open(review);
+  await cases.change(opened.id, { assignee: 'Ірина' }, 'Ірина');
+  const noted = await cases.change(opened.id, { note: ` ${'а'.repeat(600)} ` }, 'Олег');
+  assert.deepEqual(noted.assignee, { name: 'Ірина' });
+  assert.equal(noted.notes[0].text.length, 500);
+
+  const values = caseValues(noted);
+  assert.equal(values.caseStatus, '🆕 Новий');
+  assert.equal(values.caseAssignee, 'Ірина');
+  assert.match(values.caseNotes, /^📝 Нотатки:\n• Олег: а+$/);
+
+  const unassigned = await cases.change(opened.id, { assignee: '' }, 'Ірина');
+  assert.equal(unassigned.assignee, null);
+});
+
+test('the buttons follow the case state', async (t) => {
+  const { cases } = setup(t);
+  const opened = await cases.open(review);
+  const actions = (caseRecord) => caseKeyboard(caseRecord).flat().map((item) => item.callback_data.split(':')[2]);
+  assert.deepEqual(actions(opened), ['contacted', 'resolved', 'assign']);
+  assert.deepEqual(actions(await cases.change(opened.id, { status: 'contacted', assignee: 'Ірина' }, 'Ірина')), ['resolved']);
+  assert.deepEqual(actions(await cases.change(opened.id, { status: 'resolved' }, 'Ірина')), ['reopen']);
+});
+
+test('a button press changes the case and edits every message about it', async (t) => {
+  const { cases, calls } = setup(t);
+  const opened = await cases.open(review);
+  await cases.attachMessage(opened.id, { chatId: -100, messageId: 7 });
+  await cases.attachMessage(opened.id, { chatId: -200, messageId: 9 });
+
+  await cases.handleCallback(button(opened, 'assign'), null);
+  await cases.handleCallback(button(opened, 'resolved'), 'podil');
+
+  const edits = calls.filter((call) => call.method === 'editMessageText');
+  assert.deepEqual(edits.slice(-2).map((call) => [call.payload.chat_id, call.payload.message_id, call.payload.text]), [
+    ['-100', 7, 'Випадок: resolved'],
+    ['-200', 9, 'Випадок: resolved'],
+  ]);
+  const answers = calls.filter((call) => call.method === 'answerCallbackQuery').map((call) => call.payload.text);
+  assert.deepEqual(answers, ['Відповідальний: Ірина', '✅ Вирішено']);
+});
+
+test('a chat for another salon or a stale button changes nothing', async (t) => {
+  const { cases, store, calls } = setup(t);
+  const opened = await cases.open(review);
+  await cases.handleCallback(button(opened, 'resolved'), 'obolon');
+  await cases.handleCallback({ id: 'cb-2', data: 'case:missing:resolved', from: {} }, null);
+  await cases.handleCallback({ id: 'cb-3', data: 'something else', from: {} }, null);
+  assert.equal(store.findById('cases', opened.id).status, 'new');
+  assert.deepEqual(calls.map((call) => call.payload.text), ['Випадок не знайдено', 'Випадок не знайдено', 'Випадок не знайдено']);
+});
+
+test('a reply to a case message becomes a note', async (t) => {
+  const { cases } = setup(t);
+  const opened = await cases.open(review);
+  await cases.attachMessage(opened.id, { chatId: -100, messageId: 7 });
+  const reply = (messageId, chatId = -100) => ({
+    chat: { id: chatId },
+    from: { username: 'olena_k' },
+    text: 'Передзвонила, все гаразд',
+    reply_to_message: { message_id: messageId },
+  });
+  assert.equal(await cases.handleReply(reply(8), null), false);
+  assert.equal(await cases.handleReply(reply(7, -200), null), false);
+  assert.equal(await cases.handleReply(reply(7), null), true);
+  const [note] = (await cases.list())[0].notes;
+  assert.deepEqual([note.author, note.text], ['@olena_k', 'Передзвонила, все гаразд']);
+});
+
+test('an unresolved case is escalated once per interval', async (t) => {
+  const { cases, store, escalations } = setup(t);
+  const opened = await cases.open(review);
+  const resolved = await cases.open({ id: 'review-2', location: 'podil' });
+  await cases.change(resolved.id, { status: 'resolved' }, 'Ірина');
+  const openedAt = Date.parse(opened.createdAt);
+
+  assert.equal(await cases.escalate(openedAt + 23 * HOUR_MS), 0);
+  assert.equal(await cases.escalate(openedAt + 25 * HOUR_MS), 1);
+  assert.equal(await cases.escalate(openedAt + 26 * HOUR_MS), 0);
+  assert.equal(await cases.escalate(openedAt + 49 * HOUR_MS), 1);
+  assert.deepEqual(escalations, [{ id: opened.id, hours: 25 }, { id: opened.id, hours: 49 }]);
+  assert.ok(store.findById('cases', opened.id).remindedAt);
+});
+
+test('instances sharing the key-value store send each reminder once', async (t) => {
+  const kv = createMemoryStore();
+  t.after(() => kv.close());
+  const first = setup(t, { kv });
+  const second = setup(t, { kv });
+  // Both instances know the same case, as after a restore of the same data
+  const opened = await first.cases.open(review);
+  await second.store.insert('cases', opened);
+  const openedAt = Date.parse(opened.createdAt);
+
+  for (const hoursLater of [25, 25.25, 49.1, 49.3]) {
+    await first.cases.escalate(openedAt + hoursLater * HOUR_MS);
+    await second.cases.escalate(openedAt + (hoursLater + 0.1) * HOUR_MS);
+  }
+  assert.equal(first.escalations.length + second.escalations.length, 2);
+});
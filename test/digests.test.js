@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadDigests, periodWindows, createDigests } = require('../src/digests');
+const { createMemoryStore } = require('../src/kv');
+const { createTestStore } = require('./helpers');
+
+const CHANNELS = ['telegram', 'email', 'webhook', 'viber', 'sms'];
+
+const writeConfig = (t, config) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hata-digests-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'digests.json');
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  return filePath;
+};
+
+// Collects the jobs a createDigests registers, to run them by hand
+const createFakeScheduler = () => {
+  const jobs = [];
+  return { jobs, add: (name, expression, run) => jobs.push({ name, expression, run }) };
+};
+
+test('periods are the last completed day, week and month on the salon clock', () => {
+  // Wednesday 2026-01-14, 00:30 in Kyiv
+  const now = Date.parse('2026-01-13T22:30:00Z');
+  assert.deepEqual(periodWindows('day', now), {
+    current: { from: '2026-01-13', to: '2026-01-13' },
+    previous: { from: '2026-01-12', to: '2026-01-12' },
+  });
+  assert.deepEqual(periodWindows('week', now), {
+    current: { from: '2026-01-05', to: '2026-01-11' },
+    previous: { from: '2025-12-29', to: '2026-01-04' },
+  });
+  assert.deepEqual(periodWindows('month', now), {
+    current: { from: '2025-12-01', to: '2025-12-31' },
+    previous: { from: '2025-11-01', to: '2025-11-30' },
+  });
+});
+
+test('a digest naming an unknown channel is refused at startup', (t) => {
+  const filePath = writeConfig(t, { digests: [{ id: 'daily', period: 'day', schedule: '0 9 * * *', channels: ['telegarm'] }] });
+  assert.throws(() => loadDigests(filePath, ['main'], CHANNELS), /unknown channels: telegarm/);
+
+  const valid = writeConfig(t, { digests: [{ id: 'daily', period: 'day', schedule: '0 9 * * *', channels: ['email'], chatId: -100 }] });
+  assert.deepEqual(loadDigests(valid, ['main'], CHANNELS), [
+    { id: 'daily', period: 'day', schedule: '0 9 * * *', channels: ['email'], chatId: '-100' },
+  ]);
+});
+
+test('other malformed digests are refused too', (t) => {
+  for (const digest of [
+    { id: 'Daily!', period: 'day', schedule: '0 9 * * *' },
+    { id: 'daily', period: 'year', schedule: '0 9 * * *' },
+    { id: 'daily', period: 'day', schedule: '0 25 * * *' },
+    { id: 'daily', period: 'day', schedule: '0 9 * * *', location: 'nowhere' },
+  ]) {
+    assert.throws(() => loadDigests(writeConfig(t, { digests: [digest] }), ['main'], CHANNELS), /Invalid digest entry/);
+  }
+});
+
+test('with instances sharing the key-value store, only one sends a scheduled digest', async (t) => {
+  const store = createTestStore(t);
+  const kv = createMemoryStore();
+  t.after(() => kv.close());
+  const sent = [];
+  const digest = { id: 'daily', period: 'day', schedule: '0 9 * * *' };
+  const schedulers = [createFakeScheduler(), createFakeScheduler()];
+  for (const scheduler of schedulers) {
+    createDigests({ store, kv, locationOf: () => 'main', digests: [digest], notify: async (message) => sent.push(message) })
+      .register(scheduler);
+  }
+
+  await Promise.all(schedulers.map((scheduler) => scheduler.jobs[0].run()));
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].event, 'digest');
+  assert.equal(sent[0].values.title, 'Щоденний звіт');
+
+  // "Send now" from the admin is not claimed
+  const [instance] = schedulers;
+  assert.equal(instance.jobs[0].name, 'digest:daily');
+  await createDigests({ store, kv, locationOf: () => 'main', digests: [digest], notify: async (message) => sent.push(message) })
+    .send('daily');
+  assert.equal(sent.length, 2);
+});
+
+test('without the key-value store each instance still sends its digest', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const store = createTestStore(t);
+  const kv = { setIfAbsent: async () => { throw new Error('Redis is not connected'); } };
+  const sent = [];
+  const scheduler = createFakeScheduler();
+  createDigests({ store, kv, locationOf: () => 'main', digests: [{ id: 'daily', period: 'day', schedule: '0 9 * * *' }], notify: async (message) => sent.push(message) })
+    .register(scheduler);
+  await scheduler.jobs[0].run();
+  assert.equal(sent.length, 1);
+});
@@ -0,0 +1,18 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../src/store');
+
+// A fresh data store in a temporary directory, removed when the test ends
+const createTestStore = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hata-test-'));
+  const store = createStore({ filePath: path.join(dir, 'db.json') });
+  store.init();
+  t.after(async () => {
+    await store.flush();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return store;
+};
+
+module.exports = { createTestStore };
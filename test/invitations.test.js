@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createInvitationSigner } = require('../src/invitations');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Swaps one character of the part at `index` of a dotted token
+const tamper = (token, index) => {
+  const parts = token.split('.');
+  const text = parts[index];
+  parts[index] = `${text.slice(0, -1)}${text.endsWith('A') ? 'B' : 'A'}`;
+  return parts.join('.');
+};
+
+test('an invitation link carries the visit, master and salon back', () => {
+  const signer = createInvitationSigner({ secret: 'secret', ttlDays: 14 });
+  const { token, expiresAt } = signer.issue({ visitId: 'visit-42', masterId: 'olena', locationId: 'podil' });
+  assert.ok(Math.abs(expiresAt.getTime() - (Date.now() + 14 * DAY_MS)) < 1000);
+  const { status, invitation } = signer.verify(token);
+  assert.equal(status, 'valid');
+  assert.equal(invitation.visitId, 'visit-42');
+  assert.equal(invitation.masterId, 'olena');
+  assert.equal(invitation.locationId, 'podil');
+});
+
+test('an invitation link without a visit gets a random one', () => {
+  const signer = createInvitationSigner({ secret: 'secret', ttlDays: 14 });
+  const first = signer.issue({});
+  const second = signer.issue({});
+  assert.notEqual(first.visitId, second.visitId);
+  assert.equal(signer.verify(first.token).invitation.visitId, first.visitId);
+});
+
+test('a changed, re-signed or malformed invitation link is invalid', () => {
+  const signer = createInvitationSigner({ secret: 'secret', ttlDays: 14 });
+  const { token } = signer.issue({ visitId: 'visit-42' });
+  const other = createInvitationSigner({ secret: 'other', ttlDays: 14 }).issue({ visitId: 'visit-42' }).token;
+  for (const bad of [tamper(token, 0), tamper(token, 1), other, `${token}.x`, token.split('.')[0], '', null, 42]) {
+    assert.deepEqual(signer.verify(bad), { status: 'invalid' }, String(bad));
+  }
+});
+
+test('an invitation link expires', () => {
+  const signer = createInvitationSigner({ secret: 'secret', ttlDays: -1 });
+  assert.deepEqual(signer.verify(signer.issue({ visitId: 'visit-42' }).token), { status: 'expired' });
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createInvitationSigner } = require('../src/invitations');
+const { createKioskSigner } = require('../src/kiosk');
+
+// Swaps one character of the part at `index` of a dotted token
+const tamper = (token, index) => {
+  const parts = token.split('.');
+  const text = parts[index];
+  parts[index] = `${text.slice(0, -1)}${text.endsWith('A') ? 'B' : 'A'}`;
+  return parts.join('.');
+};
+
+test('a kiosk token names the tablet and its salon', () => {
+  const signer = createKioskSigner({ secret: 'secret', ttlDays: 365 });
+  const { token, expiresAt } = signer.issue({ device: 'Ресепшн 1', locationId: 'podil' });
+  const device = signer.verify(token);
+  assert.equal(device.device, 'Ресепшн 1');
+  assert.equal(device.locationId, 'podil');
+  assert.equal(device.expiresAt.getTime(), Math.floor(expiresAt.getTime() / 1000) * 1000);
+});
+
+test('a kiosk token is refused when changed, expired or signed for review links', () => {
+  const signer = createKioskSigner({ secret: 'secret', ttlDays: 365 });
+  const { token } = signer.issue({ device: 'tablet', locationId: 'podil' });
+  assert.equal(signer.verify(tamper(token, 0)), null);
+  assert.equal(signer.verify(tamper(token, 1)), null);
+  assert.equal(signer.verify(`${token}.x`), null);
+  assert.equal(signer.verify(undefined), null);
+
+  const expired = createKioskSigner({ secret: 'secret', ttlDays: -1 }).issue({ device: 'tablet', locationId: 'podil' });
+  assert.equal(signer.verify(expired.token), null);
+
+  // The same secret must not make a review link pass as a kiosk token
+  const invitation = createInvitationSigner({ secret: 'secret', ttlDays: 14 }).issue({ visitId: 'tablet', locationId: 'podil' });
+  assert.equal(signer.verify(invitation.token), null);
+});
+
+test('a kiosk device name is checked when the token is issued', () => {
+  const signer = createKioskSigner({ secret: 'secret', ttlDays: 365 });
+  for (const device of ['', 'a'.repeat(41), 'tablet<script>', undefined]) {
+    assert.throws(() => signer.issue({ device, locationId: 'podil' }), /Device name/, String(device));
+  }
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createNotificationQueue, classifyError } = require('../src/notificationQueue');
+const { createTestStore } = require('./helpers');
+
+const httpError = (status, data) => Object.assign(new Error(`HTTP ${status}`), { response: { status, data } });
+
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 200; attempt += 1) {
+    if (condition()) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for the queue');
+};
+
+const quiet = (t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+};
+
+test('errors are retried or given up according to what a retry can fix', () => {
+  assert.deepEqual(classifyError(Object.assign(new Error('ECONNRESET'), { code: 'ECONNRESET' })), { retry: true });
+  assert.deepEqual(classifyError(httpError(502)), { retry: true });
+  assert.deepEqual(classifyError(httpError(400)), { retry: false });
+  assert.deepEqual(classifyError(httpError(403)), { retry: false });
+  assert.deepEqual(classifyError(Object.assign(new Error('mailbox unavailable'), { permanent: true })), { retry: false });
+  assert.deepEqual(classifyError(httpError(429, { parameters: { retry_after: 7 } })), { retry: true, throttleMs: 7000 });
+  assert.deepEqual(classifyError(httpError(429)), { retry: true, throttleMs: 1000 });
+});
+
+test('a failing message is retried with growing delays until it goes through', async (t) => {
+  quiet(t);
+  const store = createTestStore(t);
+  const attemptsAt = [];
+  const settled = [];
+  const queue = createNotificationQueue({
+    store,
+    maxAttempts: 5,
+    baseDelayMs: 20,
+    maxDelayMs: 1000,
+    deliver: async () => {
+      attemptsAt.push(Date.now());
+      if (attemptsAt.length < 3) throw httpError(503);
+      return { messageId: 7 };
+    },
+    onSettled: (message, status) => settled.push({ message, status }),
+  });
+
+  const { id } = await queue.enqueue({ channel: 'telegram', payload: { text: 'hi' } });
+  await waitFor(() => settled.length);
+
+  const message = store.findById('outbox', id);
+  assert.equal(message.status, 'sent');
+  assert.equal(message.attempts, 3);
+  assert.deepEqual(message.result, { messageId: 7 });
+  assert.equal(settled[0].status, 'sent');
+  // 20 ms then 40 ms, each ±20%
+  assert.ok(attemptsAt[1] - attemptsAt[0] >= 16);
+  assert.ok(attemptsAt[2] - attemptsAt[1] >= 32);
+  assert.equal(queue.countPending(), 0);
+});
+
+test('a message is parked as dead after the last attempt, or at once when a retry is pointless', async (t) => {
+  quiet(t);
+  const store = createTestStore(t);
+  const settled = [];
+  let calls = 0;
+  const queue = createNotificationQueue({
+    store,
+    maxAttempts: 3,
+    baseDelayMs: 5,
+    maxDelayMs: 20,
+    deliver: async (message) => {
+      calls += 1;
+      throw message.payload.fatal ? httpError(400, { description: 'Bad Request: chat not found' }) : httpError(500);
+    },
+    onSettled: (message, status) => settled.push(status),
+  });
+
+  const retried = await queue.enqueue({ channel: 'telegram', payload: {} });
+  await waitFor(() => settled.length === 1);
+  const rejected = await queue.enqueue({ channel: 'telegram', payload: { fatal: true } });
+  await waitFor(() => settled.length === 2);
+
+  assert.deepEqual(settled, ['dead', 'dead']);
+  assert.equal(calls, 4);
+  assert.equal(store.findById('outbox', retried.id).attempts, 3);
+  assert.equal(store.findById('outbox', rejected.id).attempts, 1);
+  assert.equal(store.findById('outbox', rejected.id).lastError, 'HTTP 400: Bad Request: chat not found');
+  assert.deepEqual(queue.listDead().map((message) => message.id), [rejected.id, retried.id]);
+});
+
+test('a dead message retried from the admin is sent again', async (t) => {
+  quiet(t);
+  const store = createTestStore(t);
+  let failing = true;
+  const settled = [];
+  const queue = createNotificationQueue({
+    store,
+    maxAttempts: 1,
+    baseDelayMs: 5,
+    maxDelayMs: 20,
+    deliver: async () => {
+      if (failing) throw httpError(500);
+    },
+    onSettled: (message, status) => settled.push(status),
+  });
+
+  const { id } = await queue.enqueue({ channel: 'email', payload: {} });
+  await waitFor(() => settled.length === 1);
+  failing = false;
+  assert.equal(await queue.retryAllDead(), 1);
+  await waitFor(() => settled.length === 2);
+
+  assert.deepEqual(settled, ['dead', 'sent']);
+  assert.equal(store.findById('outbox', id).status, 'sent');
+  assert.equal(await queue.retry(id), null);
+});
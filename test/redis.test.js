@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createRedisClient, parseReply, encode } = require('../src/kv/redis');
+
+const replies = (text) => {
+  const buffer = Buffer.from(text);
+  const values = [];
+  let offset = 0;
+  let reply;
+  while (offset < buffer.length && (reply = parseReply(buffer, offset))) {
+    values.push(reply.value);
+    offset = reply.offset;
+  }
+  return { values, rest: buffer.subarray(offset).toString() };
+};
+
+test('encode writes a command as an array of bulk strings, counting bytes', () => {
+  assert.equal(encode(['SET', 'ключ', 5]), '*3\r\n$3\r\nSET\r\n$8\r\nключ\r\n$1\r\n5\r\n');
+});
+
+test('parseReply reads simple, integer, bulk, null and nested array replies', () => {
+  const { values, rest } = replies('+OK\r\n:42\r\n$6\r\nпри\r\n$-1\r\n*2\r\n:1\r\n*1\r\n$2\r\nab\r\n');
+  assert.deepEqual(values, ['OK', 42, 'при', null, [1, ['ab']]]);
+  assert.equal(rest, '');
+});
+
+test('parseReply turns an error reply into an Error value', () => {
+  const { values } = replies('-ERR unknown command\r\n');
+  assert.ok(values[0] instanceof Error);
+  assert.equal(values[0].message, 'Redis: ERR unknown command');
+});
+
+test('parseReply waits for the rest of a partial frame', () => {
+  for (const partial of ['+OK', '$5\r\nhel', '$5\r\nhello', '*2\r\n:1\r\n', '*2\r\n:1\r\n$3\r\nab']) {
+    assert.equal(parseReply(Buffer.from(partial), 0), null, partial);
+  }
+  assert.deepEqual(replies(':1\r\n$5\r\nhel').values, [1]);
+});
+
+test('parseReply rejects an unknown reply type', () => {
+  assert.throws(() => parseReply(Buffer.from('?what\r\n'), 0), /Unexpected Redis reply type/);
+});
+
+// A Redis stand-in: `answer(args, socket)` writes the reply to each command
+const startServer = async (answer) => {
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let reply;
+      while (buffer.length && (reply = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(reply.offset);
+        if (reply.value[0] === 'PING') socket.write('+PONG\r\n');
+        else if (reply.value[0] === 'QUIT') socket.end('+OK\r\n');
+        else answer(reply.value, socket);
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    dropConnections: () => sockets.forEach((socket) => socket.destroy()),
+    close: () => new Promise((resolve) => {
+      sockets.forEach((socket) => socket.destroy());
+      server.close(resolve);
+    }),
+  };
+};
+
+const connected = async (client) => {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    try {
+      return await client.send(['PING']);
+    } catch (error) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  }
+  throw new Error('Client did not connect');
+};
+
+test('the client matches pipelined replies split across packets to their commands', async (t) => {
+  // One byte per write, a reply after the other, so every reply arrives in pieces
+  let writing = Promise.resolve();
+  const server = await startServer((args, socket) => {
+    const reply = Buffer.from(`$${Buffer.byteLength(args[1])}\r\n${args[1]}\r\n`);
+    writing = writing.then(async () => {
+      for (const byte of reply) {
+        socket.write(Buffer.from([byte]));
+        await new Promise((resolve) => setTimeout(resolve, 1));
+      }
+    });
+  });
+  const client = createRedisClient({ url: server.url, commandTimeoutMs: 2000 });
+  t.after(async () => {
+    await client.quit();
+    await server.close();
+  });
+  await connected(client);
+
+  const results = await Promise.all(['перший', 'second', 'третій'].map((value) => client.send(['ECHO', value])));
+  assert.deepEqual(results, ['перший', 'second', 'третій']);
+});
+
+test('an error reply fails only its own command', async (t) => {
+  const server = await startServer((args, socket) => {
+    socket.write(args[0] === 'BAD' ? '-ERR no such command\r\n' : '+OK\r\n');
+  });
+  const client = createRedisClient({ url: server.url, commandTimeoutMs: 2000 });
+  t.after(async () => {
+    await client.quit();
+    await server.close();
+  });
+  await connected(client);
+
+  const [bad, good] = await Promise.allSettled([client.send(['BAD']), client.send(['SET', 'a', '1'])]);
+  assert.equal(bad.status, 'rejected');
+  assert.match(bad.reason.message, /no such command/);
+  assert.deepEqual(good, { status: 'fulfilled', value: 'OK' });
+});
+
+test('a lost connection fails the pending commands and is re-established', async (t) => {
+  let silent = true;
+  const server = await startServer((args, socket) => {
+    if (!silent) socket.write('+OK\r\n');
+  });
+  const client = createRedisClient({ url: server.url, commandTimeoutMs: 2000 });
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+  t.after(async () => {
+    await client.quit();
+    await server.close();
+  });
+  await connected(client);
+
+  const pending = [client.send(['GET', 'a']), client.send(['GET', 'b'])];
+  server.dropConnections();
+  for (const result of await Promise.allSettled(pending)) {
+    assert.equal(result.status, 'rejected');
+    assert.equal(result.reason.message, 'Redis connection closed');
+  }
+  // Down until the reconnect: commands fail at once instead of waiting
+  await assert.rejects(client.send(['GET', 'c']), /Redis is not connected/);
+
+  silent = false;
+  await connected(client);
+  assert.equal(await client.send(['SET', 'a', '1']), 'OK');
+});
+
+test('a command without an answer times out and the connection starts over', async (t) => {
+  let silent = true;
+  const server = await startServer((args, socket) => {
+    if (!silent) socket.write('+OK\r\n');
+  });
+  const client = createRedisClient({ url: server.url, commandTimeoutMs: 100 });
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+  t.after(async () => {
+    await client.quit();
+    await server.close();
+  });
+  await connected(client);
+
+  await assert.rejects(client.send(['GET', 'a']), /Redis connection closed/);
+  silent = false;
+  await connected(client);
+  assert.equal(await client.send(['SET', 'a', '1']), 'OK');
+});
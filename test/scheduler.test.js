@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron } = require('../src/scheduler');
+
+// Kyiv is UTC+2 in January and UTC+3 in July
+const at = (iso) => Date.parse(iso);
+
+test('a schedule matches on the salon clock, not UTC', () => {
+  const matches = parseCron('0 9 * * *');
+  assert.equal(matches(at('2026-01-05T07:00:00Z')), true);
+  assert.equal(matches(at('2026-07-06T06:00:00Z')), true);
+  assert.equal(matches(at('2026-01-05T09:00:00Z')), false);
+  assert.equal(matches(at('2026-01-05T07:01:00Z')), false);
+});
+
+test('ranges, lists and steps', () => {
+  const matches = parseCron('*/15 8-20/4 1,15 * *');
+  assert.equal(matches(at('2026-01-15T10:45:00Z')), true); // 12:45 on the 15th
+  assert.equal(matches(at('2026-01-01T14:30:00Z')), true); // 16:30 on the 1st
+  assert.equal(matches(at('2026-01-15T10:50:00Z')), false);
+  assert.equal(matches(at('2026-01-15T11:45:00Z')), false); // 13:45
+  assert.equal(matches(at('2026-01-16T10:45:00Z')), false);
+});
+
+test('day of week: 0 and 7 are both Sunday', () => {
+  // 2026-01-04 is a Sunday, 2026-01-05 a Monday
+  for (const expression of ['0 9 * * 0', '0 9 * * 7']) {
+    const matches = parseCron(expression);
+    assert.equal(matches(at('2026-01-04T07:00:00Z')), true, expression);
+    assert.equal(matches(at('2026-01-05T07:00:00Z')), false, expression);
+  }
+});
+
+test('with both day fields restricted, either one is enough', () => {
+  const matches = parseCron('0 9 1 * 1');
+  assert.equal(matches(at('2026-01-01T07:00:00Z')), true); // the 1st, a Thursday
+  assert.equal(matches(at('2026-01-05T07:00:00Z')), true); // a Monday
+  assert.equal(matches(at('2026-01-06T07:00:00Z')), false);
+});
+
+test('malformed schedules are refused', () => {
+  for (const expression of ['', '0 9 * *', '60 9 * * *', '0 24 * * *', '0 9 0 * *', '0 9 * 13 *', '0 9 * * 8', '5-1 * * * *', '*/0 * * * *', 'a * * * *']) {
+    assert.throws(() => parseCron(expression), Error, expression);
+  }
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTemplateRenderer } = require('../src/templates');
+
+const rendererFor = (t, config) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hata-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'templates.json');
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  return createTemplateRenderer({ filePath });
+};
+
+test('the shipped templates link the guest phone for a call in Telegram and keep it plain elsewhere', () => {
+  const { render } = createTemplateRenderer({ filePath: path.join(__dirname, '..', 'config', 'templates.json') });
+  const { text, formatted } = render('review.created', { name: 'Олена', rating: 2, phone: '+380501234567' }, { rating: 2 });
+  assert.equal(formatted.parseMode, 'HTML');
+  assert.ok(formatted.text.includes('📞 Телефон: <a href="tel:+380501234567">+380501234567</a>'));
+  assert.ok(text.includes('📞 Телефон: +380501234567\n'));
+  assert.ok(!text.includes('tel:'));
+});
+
+test('a MarkdownV2 tel: link escapes the number and renders plain as the number alone', (t) => {
+  const { render } = rendererFor(t, {
+    parseMode: 'MarkdownV2',
+    templates: { 'review.created': { text: ['Телефон: [{phone}](tel:{phone})', 'Сайт: [тут](https://example.com)'] } },
+  });
+  const { text, formatted } = render('review.created', { phone: '+380501234567' });
+  assert.equal(formatted.text.split('\n')[0], 'Телефон: [\\+380501234567](tel:\\+380501234567)');
+  assert.equal(text, 'Телефон: +380501234567\nСайт: тут (https://example.com)');
+});
+
+test('the phone line disappears without a phone', (t) => {
+  const { render } = rendererFor(t, {
+    parseMode: 'HTML',
+    templates: { 'review.created': { text: ['<b>Відгук</b>', 'Телефон: <a href="tel:{phone}">{phone}</a>'] } },
+  });
+  assert.deepEqual(render('review.created', { phone: null }), {
+    text: 'Відгук',
+    formatted: { text: '<b>Відгук</b>', parseMode: 'HTML' },
+  });
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeGuestPhone, normalizeTelegramUsername } = require('../src/utils');
+
+test('Ukrainian phone numbers are written as +380XXXXXXXXX', () => {
+  for (const raw of ['+380501234567', '380501234567', '0501234567', '050 123 45 67', '(050) 123-45-67', '501234567', '+38 (050) 123-45-67']) {
+    assert.equal(normalizeGuestPhone(raw), '+380501234567', raw);
+  }
+});
+
+test('foreign numbers need the international prefix', () => {
+  assert.equal(normalizeGuestPhone('+48 601 234 567'), '+48601234567');
+  assert.equal(normalizeGuestPhone('+1 (212) 555-0100'), '+12125550100');
+  assert.equal(normalizeGuestPhone('48601234567'), null);
+});
+
+test('anything else is not a phone number', () => {
+  for (const raw of ['', null, undefined, '12345', '+38050123456', '3805012345678', '050-123-45-6x', 'call me']) {
+    assert.equal(normalizeGuestPhone(raw), null, String(raw));
+  }
+});
+
+test('Telegram usernames come out as @username', () => {
+  for (const raw of ['olena_k', '@olena_k', ' @olena_k ', 'https://t.me/olena_k', 't.me/olena_k', 'http://telegram.me/olena_k']) {
+    assert.equal(normalizeTelegramUsername(raw), '@olena_k', raw);
+  }
+});
+
+test('Telegram usernames follow Telegram rules', () => {
+  for (const raw of ['', null, 'olen', '_olena', '1olena', 'olena-k', 'o'.repeat(33), '@', 'https://t.me/']) {
+    assert.equal(normalizeTelegramUsername(raw), null, String(raw));
+  }
+  assert.equal(normalizeTelegramUsername('o'.repeat(32)), `@${'o'.repeat(32)}`);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createVoucherService } = require('../src/vouchers');
+const { createTestStore } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const review = { id: 'review-1', name: 'Олена', location: 'podil' };
+
+test('a review gets one voucher, however often the guest clicks', async (t) => {
+  const vouchers = createVoucherService({ store: createTestStore(t), ttlDays: 60, amount: 200 });
+  const first = await vouchers.issueForReview(review);
+  const again = await vouchers.issueForReview(review);
+
+  assert.equal(first.created, true);
+  assert.equal(again.created, false);
+  assert.equal(again.voucher.code, first.voucher.code);
+  assert.match(first.voucher.code, /^HM-[2-9A-HJKMNP-Z]{6}$/);
+  assert.equal(first.voucher.amount, 200);
+  assert.equal(first.voucher.guestName, 'Олена');
+  assert.ok(Math.abs(Date.parse(first.voucher.expiresAt) - (Date.now() + 60 * DAY_MS)) < 1000);
+});
+
+test('reception finds a code however it was typed', async (t) => {
+  const vouchers = createVoucherService({ store: createTestStore(t), ttlDays: 60, amount: 200 });
+  const { voucher } = await vouchers.issueForReview(review);
+  const body = voucher.code.slice(3);
+  for (const typed of [voucher.code, body, `hm ${body.slice(0, 3)}-${body.slice(3)}`, body.toLowerCase()]) {
+    assert.equal(vouchers.check(typed).status, 'valid', typed);
+  }
+  for (const typed of ['', null, 'HM-ABC', 'HM-2345678', 'HM-222222']) {
+    assert.deepEqual(vouchers.check(typed), { status: 'not_found', voucher: null }, String(typed));
+  }
+});
+
+test('a voucher is redeemed once', async (t) => {
+  const vouchers = createVoucherService({ store: createTestStore(t), ttlDays: 60, amount: 200 });
+  const { voucher } = await vouchers.issueForReview(review);
+
+  const redeemed = await vouchers.redeem(voucher.code);
+  assert.equal(redeemed.status, 'redeemed_now');
+  assert.ok(redeemed.voucher.redeemedAt);
+
+  const again = await vouchers.redeem(voucher.code);
+  assert.equal(again.status, 'redeemed');
+  assert.equal(again.voucher.redeemedAt, redeemed.voucher.redeemedAt);
+  assert.equal(vouchers.check(voucher.code).status, 'redeemed');
+});
+
+test('an expired voucher is not redeemed', async (t) => {
+  const vouchers = createVoucherService({ store: createTestStore(t), ttlDays: -1, amount: 200 });
+  const { voucher } = await vouchers.issueForReview(review);
+  const result = await vouchers.redeem(voucher.code);
+  assert.equal(result.status, 'expired');
+  assert.equal(result.voucher.redeemedAt, null);
+});
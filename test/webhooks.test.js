@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { loadWebhookEndpoints, createWebhooks, sign } = require('../src/webhooks');
+
+const SECRET = 'webhook-test-secret';
+const locations = { get: (id) => (id === 'podil' ? { id, name: 'Поділ' } : null) };
+
+// A queue stand-in that keeps what was enqueued
+const recordingQueue = () => {
+  const enqueued = [];
+  return {
+    enqueued,
+    enqueue: async (entry) => {
+      enqueued.push(entry);
+      return { id: `delivery-${enqueued.length}`, ...entry };
+    },
+  };
+};
+
+const endpoint = (overrides = {}) => ({
+  id: 'crm',
+  url: 'http://127.0.0.1:1/hook',
+  secret: SECRET,
+  events: ['review.created'],
+  locations: null,
+  ...overrides,
+});
+
+test('the signature is sha256=<HMAC of "timestamp.body"> with the endpoint secret', () => {
+  const body = '{"event":"review.created"}';
+  const expected = crypto.createHmac('sha256', SECRET).update(`1760000000.${body}`).digest('hex');
+  assert.equal(sign(SECRET, 1760000000, body), `sha256=${expected}`);
+  assert.notEqual(sign(SECRET, 1760000001, body), sign(SECRET, 1760000000, body));
+  assert.notEqual(sign('other-secret', 1760000000, body), sign(SECRET, 1760000000, body));
+});
+
+test('a delivery posts the payload with headers a receiver can verify', async (t) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.end('ok');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  const { deliver } = createWebhooks({ endpoints: [endpoint({ url })], queue: recordingQueue(), locations, timeoutMs: 2000 });
+  const payload = { id: 'event-1', event: 'review.created', data: { rating: 5, name: 'Олена' } };
+  const result = await deliver({ id: 'delivery-1', endpoint: 'crm', event: 'review.created', payload });
+
+  assert.equal(result.status, 200);
+  const [{ headers, body }] = received;
+  assert.deepEqual(JSON.parse(body), payload);
+  assert.equal(headers['content-type'], 'application/json');
+  assert.equal(headers['x-hata-event'], 'review.created');
+  assert.equal(headers['x-hata-delivery'], 'delivery-1');
+  const timestamp = Number(headers['x-hata-timestamp']);
+  assert.ok(Math.abs(timestamp - Date.now() / 1000) < 5);
+  assert.equal(headers['x-hata-signature'], sign(SECRET, timestamp, body));
+});
+
+test('a delivery to an endpoint removed from the config fails for good', async () => {
+  const { deliver } = createWebhooks({ endpoints: [], queue: recordingQueue(), locations, timeoutMs: 2000 });
+  await assert.rejects(
+    deliver({ id: 'delivery-1', endpoint: 'crm', event: 'review.created', payload: {} }),
+    (error) => error.permanent === true && /no longer configured/.test(error.message),
+  );
+});
+
+test('an event is queued only for endpoints subscribed to it and its salon', async () => {
+  const queue = recordingQueue();
+  const { emit } = createWebhooks({
+    endpoints: [
+      endpoint({ id: 'all' }),
+      endpoint({ id: 'podil-only', locations: ['podil'] }),
+      endpoint({ id: 'clicks', events: ['review.google_click'] }),
+    ],
+    queue,
+    locations,
+    timeoutMs: 2000,
+  });
+
+  await emit('review.created', { location: 'obolon', data: { reviewId: 'r1' } });
+  assert.deepEqual(queue.enqueued.map((entry) => entry.endpoint), ['all']);
+
+  await emit('review.created', { location: 'podil', data: { reviewId: 'r2' } });
+  const [forAll, forPodil] = queue.enqueued.slice(1);
+  assert.deepEqual([forAll.endpoint, forPodil.endpoint], ['all', 'podil-only']);
+  // Every endpoint gets the same event
+  assert.equal(forAll.payload, forPodil.payload);
+  assert.deepEqual(forAll.payload.location, { id: 'podil', name: 'Поділ' });
+  assert.deepEqual(forAll.payload.data, { reviewId: 'r2' });
+  assert.equal(forAll.payload.event, 'review.created');
+});
+
+test('emit never throws when the queue does', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { emit } = createWebhooks({
+    endpoints: [endpoint()],
+    queue: { enqueue: async () => { throw new Error('disk full'); } },
+    locations,
+    timeoutMs: 2000,
+  });
+  await emit('review.created', { location: 'podil', data: {} });
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+const writeConfig = (t, config) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hata-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'webhooks.json');
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  return filePath;
+};
+
+test('the endpoints config is checked at startup and secrets come from the environment', (t) => {
+  process.env.WEBHOOK_SECRET_TEST = SECRET;
+  t.after(() => { delete process.env.WEBHOOK_SECRET_TEST; });
+  const valid = {
+    id: 'crm', url: 'https://crm.example.com/hook', secretEnv: 'WEBHOOK_SECRET_TEST', events: ['review.created'], locations: ['podil'],
+  };
+
+  assert.deepEqual(loadWebhookEndpoints(path.join(os.tmpdir(), 'hata-no-such-webhooks.json'), ['podil']), []);
+  assert.deepEqual(loadWebhookEndpoints(writeConfig(t, { endpoints: [valid] }), ['podil']), [
+    { id: 'crm', url: 'https://crm.example.com/hook', secret: SECRET, events: ['review.created'], locations: ['podil'] },
+  ]);
+
+  const broken = [
+    [{ ...valid, secretEnv: 'WEBHOOK_SECRET_MISSING' }, /WEBHOOK_SECRET_MISSING is not set/],
+    [{ ...valid, url: 'ftp://crm.example.com' }, /url must be http\(s\)/],
+    [{ ...valid, events: ['review.deleted'] }, /events must be a list/],
+    [{ ...valid, locations: ['obolon'] }, /unknown location/],
+  ];
+  for (const [entry, message] of broken) {
+    assert.throws(() => loadWebhookEndpoints(writeConfig(t, { endpoints: [entry] }), ['podil']), message);
+  }
+  assert.throws(() => loadWebhookEndpoints(writeConfig(t, { endpoints: [valid, valid] }), ['podil']), /Duplicate webhook endpoint id/);
+});